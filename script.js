@@ -1,334 +1,4696 @@
 
 
+class TaskStore {
+    constructor(name, prefix = 'enhanced-', { useIndexedDB = true, onBlocked = null, onVersionChange = null } = {}) {
+        this.name = name;
+        this.prefix = prefix;
+        this.onBlocked = onBlocked;
+        this.onVersionChange = onVersionChange;
+        this.db = null;
+        this.ready = useIndexedDB ? this.open() : Promise.resolve(null);
+    }
+
+    open() {
+        if (!window.indexedDB) return Promise.resolve(null);
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.name, 2);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('tasks')) db.createObjectStore('tasks', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta');
+                if (!db.objectStoreNames.contains('attachments')) db.createObjectStore('attachments', { keyPath: 'id' });
+            };
+            // Another tab still has the old version open; the upgrade waits until it closes.
+            request.onblocked = () => this.onBlocked?.();
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.onVersionChange?.();
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            console.warn('IndexedDB unavailable, falling back to localStorage', error);
+            return null;
+        });
+    }
+
+    async load() {
+        await this.ready;
+        if (!this.db) {
+            return {
+                tasks: JSON.parse(window.localStorage?.getItem(`${this.prefix}tasks`) || '[]'),
+                version: parseInt(window.localStorage?.getItem(`${this.prefix}schema-version`), 10) || 0
+            };
+        }
+
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['tasks', 'meta'], 'readonly');
+            const tasksRequest = tx.objectStore('tasks').getAll();
+            const versionRequest = tx.objectStore('meta').get('schemaVersion');
+            tx.oncomplete = () => resolve({ tasks: tasksRequest.result, version: versionRequest.result || 0 });
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async write({ put = [], remove = [], clear = false, version = null, all = [] }) {
+        if (!this.db) await this.ready;
+        if (!this.db) {
+            window.localStorage?.setItem(`${this.prefix}tasks`, JSON.stringify(all));
+            if (version !== null) window.localStorage?.setItem(`${this.prefix}schema-version`, version);
+            return;
+        }
+
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['tasks', 'meta'], 'readwrite');
+            const tasks = tx.objectStore('tasks');
+            if (clear) tasks.clear();
+            remove.forEach(id => tasks.delete(id));
+            put.forEach(task => tasks.put(task));
+            if (version !== null) tx.objectStore('meta').put(version, 'schemaVersion');
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // Attachment blobs live only in IndexedDB; tasks keep { id, name, type, size }.
+    async putAttachments(records) {
+        await this.ready;
+        if (!this.db) throw new Error('Attachments need IndexedDB');
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('attachments', 'readwrite');
+            records.forEach(record => tx.objectStore('attachments').put(record));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async getAttachments(ids) {
+        await this.ready;
+        if (!this.db || ids.length === 0) return [];
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('attachments', 'readonly');
+            const requests = ids.map(id => tx.objectStore('attachments').get(id));
+            tx.oncomplete = () => resolve(requests.map(request => request.result).filter(Boolean));
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async pruneAttachments(keep, olderThan) {
+        await this.ready;
+        if (!this.db) return 0;
+        return new Promise((resolve, reject) => {
+            let removed = 0;
+            const tx = this.db.transaction('attachments', 'readwrite');
+            tx.objectStore('attachments').openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                if (!keep.has(cursor.key) && cursor.value.createdAt < olderThan) {
+                    cursor.delete();
+                    removed++;
+                }
+                cursor.continue();
+            };
+            tx.oncomplete = () => resolve(removed);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    close() {
+        this.db?.close();
+        this.db = null;
+    }
+
+    async destroy() {
+        await this.ready;
+        this.close();
+        ['tasks', 'schema-version'].forEach(name => window.localStorage?.removeItem(`${this.prefix}${name}`));
+        if (!window.indexedDB) return;
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.deleteDatabase(this.name);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Due dates are local calendar days ("YYYY-MM-DD"), never UTC instants.
+class LocalDate {
+    static get locale() {
+        return navigator.languages?.[0] || navigator.language || undefined;
+    }
+
+    static toKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    static today() {
+        return this.toKey(new Date());
+    }
+
+    static parse(key, time = '') {
+        const [year, month, day] = key.split('-').map(Number);
+        const [hours = 0, minutes = 0] = time ? time.split(':').map(Number) : [];
+        return new Date(year, month - 1, day, hours, minutes);
+    }
+
+    static addDays(key, days) {
+        const date = this.parse(key);
+        date.setDate(date.getDate() + days);
+        return this.toKey(date);
+    }
+
+    static toTime(date) {
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+
+    static format(date, options) {
+        return date.toLocaleDateString(this.locale, options);
+    }
+
+    static getLocalTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    }
+
+    static getTimeZones() {
+        const zones = Intl.supportedValuesOf?.('timeZone') || [];
+        const local = this.getLocalTimeZone();
+        return local && !zones.includes(local) ? [local, ...zones] : zones;
+    }
+
+    static isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat(undefined, { timeZone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    static getZoneOffset(instant, timeZone) {
+        // Parts are only read back as numbers, so a fixed locale keeps the digits parseable.
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }).formatToParts(new Date(instant)).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+        return wallClock - (instant - (instant % 1000));
+    }
+
+    static toInstant(key, time, timeZone = '') {
+        if (!timeZone) return this.parse(key, time);
+        const [year, month, day] = key.split('-').map(Number);
+        const [hours = 0, minutes = 0] = time ? time.split(':').map(Number) : [];
+        const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+        // Like a local Date, a repeated time is its first occurrence and a skipped time moves forward by the gap.
+        const offsets = [-1, 1].map(days => this.getZoneOffset(wallClock + days * 86400000, timeZone));
+        const matches = offsets.map(offset => wallClock - offset).filter(instant => instant + this.getZoneOffset(instant, timeZone) === wallClock);
+        return new Date(matches.length > 0 ? Math.min(...matches) : wallClock - offsets[0]);
+    }
+
+    static inZone(date, timeZone = '') {
+        if (!timeZone) return { date: this.toKey(date), time: this.toTime(date) };
+        const shifted = new Date(date.getTime() + this.getZoneOffset(date.getTime(), timeZone));
+        const pad = n => String(n).padStart(2, '0');
+        return {
+            date: `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}`,
+            time: `${pad(shifted.getUTCHours())}:${pad(shifted.getUTCMinutes())}`
+        };
+    }
+
+    static getWeekStart(locale = this.locale) {
+        try {
+            const info = new Intl.Locale(locale);
+            const week = info.getWeekInfo?.() || info.weekInfo;
+            if (week) return week.firstDay % 7;
+        } catch (e) {
+            // Fall back to the region table below.
+        }
+        const sundayRegions = ['US', 'CA', 'MX', 'BR', 'JP', 'KR', 'TW', 'HK', 'IL', 'PH', 'IN', 'ZA', 'SA', 'TH', 'ID', 'PK', 'KE', 'PE', 'CO', 'VE', 'AR', 'PR', 'DO', 'GT', 'HN', 'NI', 'PA', 'SV'];
+        const region = (locale || 'en-US').match(/[-_]([A-Z]{2})\b/)?.[1] || ((locale || 'en').startsWith('en') ? 'US' : '');
+        return sundayRegions.includes(region) ? 0 : 1;
+    }
+
+    static isMonthFirst(locale = this.locale) {
+        const order = new Intl.DateTimeFormat(locale).formatToParts(new Date(2023, 11, 31)).map(part => part.type);
+        return order.indexOf('month') < order.indexOf('day');
+    }
+
+    static startOfWeek(date) {
+        const offset = (date.getDay() - this.getWeekStart() + 7) % 7;
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+    }
+
+    static getWeekdays(width = 'short') {
+        const start = this.getWeekStart();
+        return Array.from({ length: 7 }, (_, i) => {
+            const day = (start + i) % 7;
+            return { day, name: this.format(new Date(2023, 0, 1 + day), { weekday: width }) };
+        });
+    }
+}
+
 class TaskManager {
     constructor() {
-        this.tasks = this.loadTasks();
+        this.workspaces = this.loadWorkspaces();
+        this.workspaceId = this.loadActiveWorkspaceId();
+        this.workspaceHidden = Boolean(this.getWorkspace().privacyScreen);
+        // localStorage entries kept per workspace (tasks themselves live in the workspace's IndexedDB store).
+        this.workspaceKeys = ['categories', 'board-columns', 'saved-filters', 'templates', 'cleanup', 'history'];
+        this.loadWorkspaceSettings();
+        this.store = null;
+        this.storageFallback = false;
+        this.savedSnapshot = new Map();
+        this.storageDirty = false;
+        this.tasks = [];
+        this.archive = [];
+        this.trash = [];
+        this.archiveTab = 'archive';
+        this.statsMode = window.localStorage?.getItem('enhanced-stats-mode') === 'all' ? 'all' : 'active';
+        this.activeSavedFilter = null;
         this.currentFilter = 'all';
         this.currentCategory = 'all';
         this.currentView = 'list';
         this.currentEditingTask = null;
+        this.editingSubtasks = [];
+        this.editingTimeEntries = [];
+        this.editingAttachments = [];
+        this.attachmentUrls = [];
+        this.attachmentLimits = { file: 5 * 1024 * 1024, total: 50 * 1024 * 1024 };
+        this.timerTicker = null;
+        this.editingBlockedBy = [];
+        this.blockerResults = [];
+        this.blockerIndex = 0;
+        this.editingTemplate = null;
+        this.draftReminders = { detail: [], modal: [] };
+        this.expandedSubtasks = new Set();
+        this.selectionMode = false;
+        this.selectedTasks = new Set();
+        this.lastSelectedId = null;
+        this.returnFocus = null;
+        this.paletteItems = [];
+        this.paletteIndex = 0;
         this.currentInputMode = 'quick';
         this.calendarDate = new Date();
-        this.init();
+        this.calendarFocusDate = null;
+        this.timelineDate = new Date();
+        this.init().catch(error => this.recoverFromStartupError(error));
     }
 
-    init() {
+    async init() {
+        this.renderCategoryControls();
         this.bindEvents();
-        this.updateStats();
-        this.renderTasks();
+        this.renderSavedFilters();
+        this.renderSuggestionChips();
         this.updateUI();
+        await this.loadWorkspace();
+        this.setupSync();
+        this.applyLaunchAction();
+        this.startReminderChecks();
+        this.registerServiceWorker();
         this.setupVoiceRecognition(); 
     }
 
-    loadTasks() {
+    // A failed start should not leave TaskFlow unusable, so carry on with the simpler localStorage store.
+    async recoverFromStartupError(error) {
+        console.error('TaskFlow could not start', error);
+        this.showToast('Something went wrong while opening your tasks. TaskFlow is using local storage for now.', 'error', null, 0);
+        this.store?.close();
+        this.storageFallback = true;
+        await this.loadWorkspace();
+    }
+
+    applyLaunchAction() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('action') && !params.has('filter')) return;
+
+        if (params.get('action') === 'quick-add') {
+            this.switchInputMode('quick');
+            document.getElementById('task-input').focus();
+        }
+        if (['today', 'upcoming', 'overdue'].includes(params.get('filter'))) {
+            this.setFilter('status', params.get('filter'));
+        }
+        window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.promptForUpdate(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.promptForUpdate(worker);
+                    }
+                });
+            });
+        }).catch(error => console.warn('Service worker registration failed', error));
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateRequested) window.location.reload();
+        });
+    }
+
+    promptForUpdate(worker) {
+        this.showToast('A new version of TaskFlow is available.', 'success', {
+            label: 'Reload',
+            handler: () => {
+                this.updateRequested = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            }
+        }, 0);
+    }
+
+    loadWorkspaces() {
         try {
-            const saved = JSON.parse(window.localStorage?.getItem('enhanced-tasks') || '[]');
-            return saved.map(task => ({
-                id: task.id || Date.now() + Math.random(),
-                title: task.title || task.text || '',
-                description: task.description || '',
-                completed: task.completed || false,
-                priority: task.priority || 'medium',
-                category: task.category || 'personal',
-                dueDate: task.dueDate || task.date || '',
-                dueTime: task.dueTime || task.time || '',
-                tags: Array.isArray(task.tags) ? task.tags : (task.tags ? task.tags.split(',').map(t => t.trim()) : []),
-                createdAt: task.createdAt || Date.now(),
-                completedAt: task.completedAt || null
-            }));
+            const saved = JSON.parse(window.localStorage?.getItem('enhanced-workspaces') || 'null');
+            return Array.isArray(saved) && saved.length > 0 ? saved : [{ id: 'default', name: 'My Tasks', privacyScreen: null }];
         } catch (e) {
-            console.error('Failed to load tasks from localStorage', e);
-            return [];
+            console.error('Failed to load workspaces from localStorage', e);
+            return [{ id: 'default', name: 'My Tasks', privacyScreen: null }];
         }
     }
 
-    saveTasks() {
+    saveWorkspaces() {
+        this.saveSetting('enhanced-workspaces', this.workspaces, 'workspaces');
+    }
+
+    loadActiveWorkspaceId() {
         try {
-            window.localStorage?.setItem('enhanced-tasks', JSON.stringify(this.tasks));
+            const id = JSON.parse(window.localStorage?.getItem('enhanced-active-workspace') || 'null');
+            return this.workspaces.some(workspace => workspace.id === id) ? id : this.workspaces[0].id;
         } catch (e) {
-            console.warn('Could not save tasks to localStorage');
+            return this.workspaces[0].id;
         }
     }
 
-  
-    addTask(taskData) {
-        const task = {
-            id: Date.now() + Math.random(),
-            title: taskData.title.trim(),
-            description: taskData.description?.trim() || '',
-            completed: false,
-            priority: taskData.priority || 'medium',
-            category: taskData.category || 'personal',
-            dueDate: taskData.dueDate || '',
-            dueTime: taskData.dueTime || '',
-            tags: taskData.tags || [],
-            createdAt: Date.now(),
-            completedAt: null
-        };
+    getWorkspace(id = this.workspaceId) {
+        return this.workspaces.find(workspace => workspace.id === id);
+    }
 
-        if (!task.title) {
-            this.showToast('Task title cannot be empty.', 'error');
-            return false;
+    getWorkspacePrefix(id) {
+        return id === 'default' ? 'enhanced-' : `enhanced-ws-${id}-`;
+    }
+
+    storageKey(name) {
+        return `${this.getWorkspacePrefix(this.workspaceId)}${name}`;
+    }
+
+    createWorkspaceStore(id) {
+        const store = new TaskStore(id === 'default' ? 'taskflow' : `taskflow-${id}`, this.getWorkspacePrefix(id), {
+            useIndexedDB: !this.storageFallback,
+            onBlocked: () => {
+                const toast = this.showToast('Close other TaskFlow tabs to finish updating.', 'warning', null, 0);
+                store.ready.then(() => toast?.remove());
+            },
+            onVersionChange: () => this.showToast('TaskFlow was updated in another tab. Reload to keep saving changes.', 'warning', {
+                label: 'Reload',
+                handler: () => window.location.reload()
+            }, 0)
+        });
+        return store;
+    }
+
+    loadWorkspaceSettings() {
+        if (this.workspaceHidden) {
+            this.boardColumns = this.getDefaultBoardColumns();
+            this.categories = this.getDefaultCategories();
+            this.history = { undo: [], redo: [] };
+            this.savedFilters = [];
+            this.templates = [];
+            this.cleanup = this.getDefaultCleanup();
+            return;
         }
+        this.boardColumns = this.loadBoardColumns();
+        this.categories = this.loadCategories();
+        this.history = this.loadHistory();
+        this.savedFilters = this.loadSavedFilters();
+        this.templates = this.loadTemplates();
+        this.cleanup = this.loadCleanup();
+    }
 
-        this.tasks.push(task);
-        this.saveTasks();
+    async loadWorkspace() {
+        // Anything added before the load finishes would be overwritten by the stored list.
+        this.tasksLoading = true;
+        document.getElementById('task-input').disabled = true;
+        this.loadWorkspaceSettings();
+        this.store = this.createWorkspaceStore(this.workspaceId);
+        this.savedSnapshot = new Map();
+        const stored = this.workspaceHidden ? [] : await this.loadTasks();
+        this.tasks = stored.filter(task => !task.deletedAt && !task.archivedAt);
+        this.archive = stored.filter(task => !task.deletedAt && task.archivedAt);
+        this.trash = stored.filter(task => task.deletedAt);
+        this.tasksLoading = false;
+        document.getElementById('task-input').disabled = false;
+        const cleaned = this.workspaceHidden ? null : this.applyCleanupRules();
+        this.registerTaskCategories();
+        if (!this.workspaceHidden) this.pruneAttachments();
+
+        this.closeModal();
+        this.selectionMode = false;
+        this.selectedTasks.clear();
+        this.expandedSubtasks.clear();
+        this.currentFilter = 'all';
+        this.currentCategory = 'all';
+        this.activeSavedFilter = null;
+        document.body.classList.toggle('privacy-screen-active', this.workspaceHidden);
+        document.getElementById('privacy-screen-title').textContent = `"${this.getWorkspace().name}" is behind a privacy screen`;
+        document.getElementById('privacy-screen-error').textContent = '';
+
+        this.renderWorkspaceControls();
+        this.renderCategoryControls();
+        this.renderSavedFilters();
+        this.renderSuggestionChips();
+        this.updateUI();
         this.updateStats();
         this.renderTasks();
-        this.showToast('Task added successfully! 🎉', 'success');
-        this.clearInputFields();
+        if (this.workspaceHidden) document.getElementById('privacy-screen-passphrase').focus();
+        if (cleaned) this.announceCleanup(cleaned);
+    }
+
+    async switchWorkspace(id) {
+        const workspace = this.getWorkspace(id);
+        if (!workspace || id === this.workspaceId) {
+            this.renderWorkspaceControls();
+            return false;
+        }
+
+        await this.pendingWrite;
+        this.store?.close();
+        this.workspaceId = id;
+        this.workspaceHidden = Boolean(workspace.privacyScreen);
+        this.saveSetting('enhanced-active-workspace', id, 'current workspace');
+        await this.loadWorkspace();
+        if (!this.workspaceHidden) this.showToast(`Switched to ${this.escapeHtml(workspace.name)}`, 'success');
         return true;
     }
 
-    updateTask(id, updates) {
-        const taskIndex = this.tasks.findIndex(t => t.id === parseFloat(id));
-        if (taskIndex === -1) return false;
+    handleWorkspacesChanged() {
+        this.workspaces = this.loadWorkspaces();
+        if (!this.getWorkspace()) {
+            this.switchWorkspace(this.workspaces[0].id);
+            return;
+        }
+        this.renderWorkspaceControls();
+        if (!document.getElementById('workspace-modal').classList.contains('active')) return;
+        this.renderWorkspaceManager();
+    }
 
-        this.tasks[taskIndex] = { ...this.tasks[taskIndex], ...updates };
-        this.saveTasks();
-        this.updateStats();
-        this.renderTasks();
-        this.showToast('Task updated successfully!', 'success');
-        this.closeModal();
+    renderWorkspaceControls() {
+        const current = this.getWorkspace();
+        const others = this.workspaces.filter(workspace => workspace.id !== this.workspaceId);
+        document.getElementById('workspace-select').innerHTML = `
+            ${this.workspaces.map(workspace => `
+                <option value="${workspace.id}" ${workspace.id === this.workspaceId ? 'selected' : ''}>${this.escapeHtml(workspace.name)}${workspace.privacyScreen ? ' (private)' : ''}</option>
+            `).join('')}
+            <option value="__new">+ New workspace…</option>
+        `;
+        document.getElementById('show-privacy-screen').hidden = !current.privacyScreen || this.workspaceHidden;
+
+        ['batch-transfer', 'modal-transfer'].forEach(id => {
+            const select = document.getElementById(id);
+            select.hidden = others.length === 0;
+            select.innerHTML = `
+                <option value="">${select.dataset.placeholder}</option>
+                <optgroup label="Move to">
+                    ${others.map(workspace => `<option value="move:${workspace.id}">${this.escapeHtml(workspace.name)}</option>`).join('')}
+                </optgroup>
+                <optgroup label="Copy to">
+                    ${others.map(workspace => `<option value="copy:${workspace.id}">${this.escapeHtml(workspace.name)}</option>`).join('')}
+                </optgroup>
+            `;
+        });
+    }
+
+    handleWorkspaceSelect(e) {
+        if (e.target.value === '__new') {
+            const name = prompt('Name for the new workspace:');
+            if (name?.trim()) {
+                this.addWorkspace(name);
+            } else {
+                this.renderWorkspaceControls();
+            }
+            return;
+        }
+        this.switchWorkspace(e.target.value);
+    }
+
+    addWorkspace(name) {
+        const trimmed = name.trim();
+        if (!trimmed) return false;
+        if (this.workspaces.some(workspace => workspace.name.toLowerCase() === trimmed.toLowerCase())) {
+            this.showToast(`A workspace named "${this.escapeHtml(trimmed)}" already exists.`, 'warning');
+            this.renderWorkspaceControls();
+            return false;
+        }
+
+        const workspace = { id: Date.now().toString(36), name: trimmed, privacyScreen: null };
+        this.workspaces.push(workspace);
+        this.saveWorkspaces();
+        this.switchWorkspace(workspace.id);
         return true;
     }
 
-    deleteTask(id) {
-        const confirmed = window.confirm('Are you sure you want to delete this task?');
-        if (!confirmed) return false;
+    renameWorkspace(id, name) {
+        const workspace = this.getWorkspace(id);
+        const trimmed = name.trim();
+        if (!workspace || !trimmed || trimmed === workspace.name) return false;
+        if (workspace.privacyScreen && (id !== this.workspaceId || this.workspaceHidden)) {
+            this.showToast(`Open "${this.escapeHtml(workspace.name)}" before renaming it.`, 'warning');
+            return false;
+        }
 
-        const taskIndex = this.tasks.findIndex(t => t.id === parseFloat(id));
-        if (taskIndex === -1) return false;
+        workspace.name = trimmed;
+        this.saveWorkspaces();
+        this.renderWorkspaceControls();
+        return true;
+    }
 
-        this.tasks.splice(taskIndex, 1);
-        this.saveTasks();
-        this.updateStats();
-        this.renderTasks();
-        this.showToast('Task deleted!', 'success');
-        this.closeModal();
+    async deleteWorkspace(id) {
+        const workspace = this.getWorkspace(id);
+        if (!workspace) return false;
+        if (this.workspaces.length === 1) {
+            this.showToast('You need at least one workspace.', 'warning');
+            return false;
+        }
+        if (workspace.privacyScreen && (id !== this.workspaceId || this.workspaceHidden)) {
+            this.showToast(`Open "${this.escapeHtml(workspace.name)}" before deleting it.`, 'warning');
+            return false;
+        }
+        if (!confirm(`Delete "${workspace.name}" and all of its tasks? This cannot be undone.`)) return false;
+
+        if (id === this.workspaceId) {
+            await this.switchWorkspace(this.workspaces.find(other => other.id !== id).id);
+        }
+        this.workspaces = this.workspaces.filter(other => other.id !== id);
+        this.saveWorkspaces();
+        const prefix = this.getWorkspacePrefix(id);
+        this.workspaceKeys.forEach(name => window.localStorage?.removeItem(`${prefix}${name}`));
+        this.createWorkspaceStore(id).destroy().catch(error => console.warn('Could not delete workspace storage', error));
+
+        this.renderWorkspaceControls();
+        this.renderWorkspaceManager();
+        this.showToast(`Deleted workspace "${this.escapeHtml(workspace.name)}"`, 'success');
         return true;
     }
 
-    toggleTaskComplete(id) {
-        const task = this.tasks.find(t => t.id === parseFloat(id));
-        if (!task) return false;
+    async hashPassphrase(passphrase, salt) {
+        const encoder = new TextEncoder();
+        const key = await window.crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        const bits = await window.crypto.subtle.deriveBits({ name: 'PBKDF2', salt: encoder.encode(salt), iterations: 100000, hash: 'SHA-256' }, key, 256);
+        return [...new Uint8Array(bits)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
 
-        task.completed = !task.completed;
-        task.completedAt = task.completed ? Date.now() : null;
+    async setWorkspacePassphrase() {
+        const input = document.getElementById('workspace-passphrase');
+        const confirmInput = document.getElementById('workspace-passphrase-confirm');
+        if (!window.crypto?.subtle) {
+            this.showToast('The privacy screen needs a secure connection (HTTPS or localhost).', 'error');
+            return false;
+        }
+        if (input.value.length < 4) {
+            this.showToast('Use a passphrase of at least 4 characters.', 'warning');
+            input.focus();
+            return false;
+        }
+        if (input.value !== confirmInput.value) {
+            this.showToast('The passphrases do not match.', 'warning');
+            confirmInput.focus();
+            return false;
+        }
 
-        this.saveTasks();
-        this.updateStats();
-        this.renderTasks();
+        const salt = [...window.crypto.getRandomValues(new Uint8Array(16))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+        const workspace = this.getWorkspace();
+        workspace.privacyScreen = { salt, hash: await this.hashPassphrase(input.value, salt) };
+        input.value = '';
+        confirmInput.value = '';
+        this.saveWorkspaces();
+        this.renderWorkspaceControls();
+        this.renderWorkspaceManager();
+        this.showToast(`"${this.escapeHtml(workspace.name)}" now shows a privacy screen until its passphrase is entered.`, 'success');
+        return true;
+    }
 
-        const message = task.completed ? 'Task completed! 🎉' : 'Task marked as pending';
-        this.showToast(message, 'success');
+    removeWorkspacePassphrase() {
+        const workspace = this.getWorkspace();
+        if (!workspace.privacyScreen || this.workspaceHidden) return false;
+        workspace.privacyScreen = null;
+        this.saveWorkspaces();
+        this.renderWorkspaceControls();
+        this.renderWorkspaceManager();
+        this.showToast(`Removed the privacy screen from "${this.escapeHtml(workspace.name)}"`, 'success');
         return true;
     }
 
+    async showPrivacyScreen() {
+        if (!this.getWorkspace().privacyScreen || this.workspaceHidden) return false;
+        await this.pendingWrite;
+        this.store?.close();
+        this.workspaceHidden = true;
+        await this.loadWorkspace();
+        return true;
+    }
 
-    getFilteredTasks() {
-        let filtered = [...this.tasks];
-        const searchTerm = document.querySelector('.search-input').value.toLowerCase();
-        
-     
-        if (this.currentCategory !== 'all') {
-            filtered = filtered.filter(task => task.category === this.currentCategory);
+    async dismissPrivacyScreen() {
+        const input = document.getElementById('privacy-screen-passphrase');
+        const error = document.getElementById('privacy-screen-error');
+        const { privacyScreen } = this.getWorkspace();
+        if (!this.workspaceHidden || !privacyScreen) return false;
+        if (!window.crypto?.subtle) {
+            error.textContent = 'Opening it needs a secure connection (HTTPS or localhost).';
+            return false;
         }
-      
-        if (searchTerm) {
-            filtered = filtered.filter(task =>
-                task.title.toLowerCase().includes(searchTerm) ||
-                task.description.toLowerCase().includes(searchTerm) ||
-                (task.tags && task.tags.some(tag => tag.toLowerCase().includes(searchTerm)))
-            );
+
+        const hash = await this.hashPassphrase(input.value, privacyScreen.salt);
+        input.value = '';
+        if (hash !== privacyScreen.hash) {
+            error.textContent = 'That passphrase is not correct.';
+            input.focus();
+            return false;
         }
-        
-      
-        const sortBy = document.querySelector('.sort-select').value;
-        filtered.sort((a, b) => {
-            if (a.completed && !b.completed) return 1;
-            if (!a.completed && b.completed) return -1;
-            
-            switch (sortBy) {
-                case 'priority':
-                    const priorityOrder = { high: 3, medium: 2, low: 1 };
-                    return priorityOrder[b.priority] - priorityOrder[a.priority];
-                case 'created':
-                    return b.createdAt - a.createdAt;
-                case 'alphabetical':
-                    return a.title.localeCompare(b.title);
-                case 'date':
-                default:
-                    const dateA = a.dueDate ? new Date(a.dueDate) : new Date(8640000000000000);
-                    const dateB = b.dueDate ? new Date(b.dueDate) : new Date(8640000000000000);
-                    return dateA - dateB;
-            }
+        this.workspaceHidden = false;
+        await this.loadWorkspace();
+        return true;
+    }
+
+    openWorkspaceManager() {
+        this.renderWorkspaceManager();
+        document.getElementById('workspace-modal').classList.add('active');
+    }
+
+    closeWorkspaceManager() {
+        document.getElementById('workspace-modal').classList.remove('active');
+    }
+
+    renderWorkspaceManager() {
+        document.getElementById('workspace-manager-list').innerHTML = this.workspaces.map(workspace => `
+            <li class="manager-item" data-workspace="${workspace.id}">
+                <i class="fas ${workspace.privacyScreen ? 'fa-eye-slash' : 'fa-layer-group'}"></i>
+                <input type="text" class="modal-input workspace-name" value="${this.escapeHtml(workspace.name)}" aria-label="Workspace name">
+                ${workspace.id === this.workspaceId ? '<span class="manager-count">Current</span>' : ''}
+                <button class="manager-delete" title="Delete workspace">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </li>
+        `).join('');
+
+        const current = this.getWorkspace();
+        document.getElementById('privacy-screen-heading').textContent = current.privacyScreen ? `Change the privacy screen passphrase for "${current.name}"` : `Hide "${current.name}" behind a privacy screen`;
+        document.getElementById('remove-privacy-screen').hidden = !current.privacyScreen;
+        document.getElementById('privacy-screen-section').hidden = this.workspaceHidden;
+    }
+
+    async transferTasks(ids, targetId, copy = false) {
+        const target = this.getWorkspace(targetId);
+        const tasks = this.tasks.filter(task => ids.includes(task.id));
+        if (!target || targetId === this.workspaceId || tasks.length === 0) return false;
+
+        const now = Date.now();
+        const sent = tasks.map(task => {
+            const clone = JSON.parse(JSON.stringify(task));
+            // Blockers only mean something inside one workspace, and timers stop when a task leaves.
+            clone.blockedBy = copy ? [] : clone.blockedBy.filter(id => ids.includes(id));
+            clone.timeEntries = clone.timeEntries.map(entry => (entry.end ? entry : { ...entry, end: now }));
+            return copy ? { ...clone, id: now + Math.random(), nextOccurrenceId: null, createdAt: now, fieldTimes: {} } : clone;
+        });
+        const store = this.createWorkspaceStore(targetId);
+        try {
+            const { tasks: existing, version } = await store.load();
+            const fresh = version === 0 && existing.length === 0;
+            await store.write({ put: sent, version: fresh ? this.getSchemaVersion() : null, all: [...existing, ...sent] });
+            const attachmentIds = sent.flatMap(task => task.attachments.map(attachment => attachment.id));
+            if (attachmentIds.length > 0) await store.putAttachments(await this.store.getAttachments(attachmentIds));
+        } catch (error) {
+            console.error('Failed to write tasks to workspace', error);
+            this.showToast(`Could not ${copy ? 'copy' : 'move'} tasks to "${this.escapeHtml(target.name)}".`, 'error');
+            return false;
+        } finally {
+            store.close();
+        }
+        this.broadcastChanges({ workspace: targetId, put: sent, remove: [] });
+
+        if (!copy) {
+            // Not undoable: undo here could not take the tasks back out of the other workspace.
+            const moved = new Set(ids);
+            moved.forEach(id => this.removeStoredTask(id));
+            this.removeBlockerReferences(moved);
+            this.forgetHistory(moved);
+            this.saveTasks();
+            this.updateStats();
+            this.renderTasks();
+        }
+        const count = `${sent.length} task${sent.length === 1 ? '' : 's'}`;
+        this.showToast(`${copy ? 'Copied' : 'Moved'} ${count} to "${this.escapeHtml(target.name)}"`, 'success', {
+            label: `Open ${target.name}`,
+            handler: () => this.switchWorkspace(targetId)
         });
+        return true;
+    }
 
-        return filtered;
+    async loadTasks() {
+        try {
+            let { tasks, version } = await this.store.load();
+            const legacy = this.store.db && version === 0 ? window.localStorage?.getItem(this.storageKey('tasks')) : null;
+            if (legacy) {
+                tasks = JSON.parse(legacy);
+            }
+
+            const latest = this.getSchemaVersion();
+            const migrated = version < latest ? tasks.map(task => this.migrateTask(task, version)) : tasks;
+            if (version < latest) {
+                await this.store.write({ clear: true, put: migrated, version: latest, all: migrated });
+                if (legacy) window.localStorage.removeItem(this.storageKey('tasks'));
+            }
+            this.savedSnapshot = new Map(migrated.map(task => [task.id, JSON.stringify(task)]));
+            return migrated;
+        } catch (e) {
+            console.error('Failed to load tasks', e);
+            this.showToast('Your saved tasks could not be loaded. Reload the page to try again.', 'error', null, 0);
+            return [];
+        }
+    }
+
+    // Saved and imported tasks can hold anything, so every field is checked before it reaches markup or an id.
+    normalizeTask(task) {
+        const text = value => (typeof value === 'string' || typeof value === 'number' ? String(value) : '');
+        const number = value => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : null);
+        const dueDate = text(task.dueDate || task.date);
+        const dueTime = text(task.dueTime || task.time);
+        const validDueDate = /^\d{4}-\d{2}-\d{2}$/.test(dueDate) ? dueDate : '';
+        const tags = Array.isArray(task.tags) ? task.tags : text(task.tags).split(',');
+
+        return {
+            id: number(task.id) ?? Date.now() + Math.random(),
+            title: text(task.title || task.text),
+            description: text(task.description),
+            completed: task.completed === true,
+            status: this.normalizeStatus(task.status, task.completed === true),
+            lastOpenStatus: this.boardColumns.some(column => column.id === task.lastOpenStatus) ? task.lastOpenStatus : null,
+            priority: ['high', 'medium', 'low'].includes(task.priority) ? task.priority : 'medium',
+            category: text(task.category) || 'personal',
+            dueDate: validDueDate,
+            dueTime: /^\d{2}:\d{2}$/.test(dueTime) ? dueTime : '',
+            tags: tags.map(text).map(tag => tag.trim()).filter(tag => tag),
+            createdAt: number(task.createdAt) ?? Date.now(),
+            completedAt: number(task.completedAt),
+            recurrence: this.normalizeRecurrence(task.recurrence, validDueDate),
+            nextOccurrenceId: number(task.nextOccurrenceId),
+            subtasks: Array.isArray(task.subtasks) ? task.subtasks.filter(subtask => subtask && typeof subtask === 'object').map(subtask => ({
+                id: number(subtask.id) ?? Date.now() + Math.random(),
+                title: text(subtask.title),
+                completed: subtask.completed === true
+            })) : [],
+            order: Number.isFinite(task.order) ? task.order : (number(task.createdAt) ?? Date.now()),
+            reminders: Array.isArray(task.reminders) ? task.reminders.filter(reminder => reminder && typeof reminder === 'object').map(reminder => ({
+                id: number(reminder.id) ?? Date.now() + Math.random(),
+                ...(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(reminder.at) ? { at: reminder.at } : { minutesBefore: number(reminder.minutesBefore) ?? 0 }),
+                firedAt: number(reminder.firedAt),
+                snoozedUntil: number(reminder.snoozedUntil)
+            })) : [],
+            fieldTimes: task.fieldTimes && typeof task.fieldTimes === 'object'
+                ? Object.fromEntries(Object.entries(task.fieldTimes).filter(([, time]) => Number.isFinite(time)))
+                : {},
+            estimate: number(task.estimate) > 0 ? number(task.estimate) : null,
+            timeEntries: Array.isArray(task.timeEntries) ? task.timeEntries.filter(entry => entry && Number.isFinite(number(entry.start))).map(entry => ({
+                id: number(entry.id) ?? Date.now() + Math.random(),
+                start: number(entry.start),
+                end: number(entry.end)
+            })) : [],
+            timeZone: typeof task.timeZone === 'string' && task.timeZone && LocalDate.isValidTimeZone(task.timeZone) ? task.timeZone : '',
+            blockedBy: Array.isArray(task.blockedBy) ? task.blockedBy.map(number).filter(id => id !== null) : [],
+            attachments: Array.isArray(task.attachments) ? task.attachments.filter(attachment => attachment && number(attachment.id) !== null && text(attachment.name)).map(attachment => ({
+                id: number(attachment.id),
+                name: text(attachment.name),
+                type: typeof attachment.type === 'string' && /^[\w.+-]+\/[\w.+-]+$/.test(attachment.type) ? attachment.type : 'application/octet-stream',
+                size: number(attachment.size) > 0 ? number(attachment.size) : 0
+            })) : [],
+            archivedAt: number(task.archivedAt),
+            deletedAt: number(task.deletedAt)
+        };
+    }
+
+    getMigrations() {
+        return [
+            {
+                version: 1,
+                migrate: ({ text, date, time, ...task }) => ({
+                    ...task,
+                    id: parseFloat(task.id) || Date.now() + Math.random(),
+                    title: task.title || text || '',
+                    description: task.description || '',
+                    completed: task.completed || false,
+                    priority: task.priority || 'medium',
+                    category: task.category || 'personal',
+                    dueDate: task.dueDate || date || '',
+                    dueTime: task.dueTime || time || '',
+                    tags: Array.isArray(task.tags) ? task.tags : (typeof task.tags === 'string' ? task.tags.split(',').map(t => t.trim()).filter(t => t) : []),
+                    createdAt: task.createdAt || Date.now(),
+                    completedAt: task.completedAt || null
+                })
+            },
+            {
+                version: 2,
+                migrate: task => ({
+                    ...task,
+                    recurrence: this.normalizeRecurrence(task.recurrence, task.dueDate),
+                    nextOccurrenceId: task.nextOccurrenceId || null,
+                    subtasks: Array.isArray(task.subtasks) ? task.subtasks : [],
+                    order: Number.isFinite(task.order) ? task.order : task.createdAt,
+                    reminders: Array.isArray(task.reminders) ? task.reminders : []
+                })
+            },
+            {
+                version: 3,
+                migrate: task => ({
+                    ...task,
+                    status: this.normalizeStatus(task.status, task.completed)
+                })
+            },
+            {
+                version: 4,
+                migrate: task => ({
+                    ...task,
+                    fieldTimes: task.fieldTimes || {}
+                })
+            },
+            {
+                version: 5,
+                migrate: task => ({
+                    ...task,
+                    estimate: Number.isFinite(task.estimate) && task.estimate > 0 ? task.estimate : null,
+                    timeEntries: Array.isArray(task.timeEntries) ? task.timeEntries : []
+                })
+            },
+            {
+                version: 6,
+                migrate: task => ({
+                    ...task,
+                    timeZone: task.timeZone && LocalDate.isValidTimeZone(task.timeZone) ? task.timeZone : ''
+                })
+            },
+            {
+                version: 7,
+                migrate: task => ({
+                    ...task,
+                    blockedBy: Array.isArray(task.blockedBy) ? task.blockedBy.map(parseFloat).filter(Number.isFinite) : []
+                })
+            },
+            {
+                version: 8,
+                migrate: task => ({
+                    ...task,
+                    attachments: Array.isArray(task.attachments) ? task.attachments.filter(attachment => attachment && attachment.id && attachment.name) : []
+                })
+            },
+            {
+                version: 9,
+                migrate: task => ({
+                    ...task,
+                    archivedAt: task.archivedAt || null,
+                    deletedAt: task.deletedAt || null
+                })
+            }
+        ];
+    }
+
+    getSchemaVersion() {
+        const migrations = this.getMigrations();
+        return migrations[migrations.length - 1].version;
+    }
+
+    // Migrations bring older shapes up to date; normalizeTask then checks what they produced.
+    migrateTask(task, fromVersion = 0) {
+        return this.normalizeTask(this.getMigrations()
+            .filter(migration => migration.version > fromVersion)
+            .reduce((migrated, migration) => migration.migrate(migrated), { ...task }));
+    }
+
+    saveTasks() {
+        if (this.workspaceHidden) return;
+        const now = Date.now();
+        const stored = this.getStoredTasks();
+        const changed = stored.filter(task => {
+            const previous = this.savedSnapshot.get(task.id);
+            if (previous === JSON.stringify(task)) return false;
+            const fields = this.getChangedFields(previous ? JSON.parse(previous) : {}, task);
+            if (fields.length === 0) return false;
+            task.fieldTimes = { ...task.fieldTimes };
+            fields.forEach(field => {
+                task.fieldTimes[field] = now;
+            });
+            return true;
+        });
+        const snapshot = new Map(stored.map(task => [task.id, JSON.stringify(task)]));
+        const put = this.storageDirty ? stored : changed;
+        const remove = this.storageDirty ? [] : [...this.savedSnapshot.keys()].filter(id => !snapshot.has(id));
+
+        if (put.length > 0 || remove.length > 0 || this.storageDirty) {
+            const message = { workspace: this.workspaceId, put: put.map(task => JSON.parse(snapshot.get(task.id))), remove };
+            this.pendingWrite = this.store.write({ put, remove, clear: this.storageDirty, all: stored })
+                .then(() => this.broadcastChanges(message))
+                .catch(error => this.handleStorageError(error));
+            this.storageDirty = false;
+        }
+        this.savedSnapshot = snapshot;
+
+        if (this.registerTaskCategories()) {
+            this.renderCategoryControls();
+        }
+    }
+
+    // Settings stay in localStorage even when tasks move to IndexedDB, so their writes can fail on their own.
+    saveSetting(key, value, label) {
+        try {
+            window.localStorage?.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn(`Could not save ${label} to localStorage`, error);
+            if (this.settingsErrorToast?.isConnected) return;
+            const message = error?.name === 'QuotaExceededError'
+                ? `Storage is full, so your ${label} could not be saved.`
+                : `Your ${label} could not be saved.`;
+            this.settingsErrorToast = this.showToast(message, 'error');
+        }
+    }
+
+    getChangedFields(before, after) {
+        return Object.keys({ ...before, ...after })
+            .filter(field => field !== 'fieldTimes' && JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+    }
+
+    mergeTask(local, incoming) {
+        const merged = { ...local, fieldTimes: { ...local.fieldTimes } };
+        Object.keys(incoming).forEach(field => {
+            if (field === 'fieldTimes') return;
+            const incomingTime = incoming.fieldTimes?.[field] || 0;
+            if (incomingTime >= (local.fieldTimes?.[field] || 0)) {
+                merged[field] = incoming[field];
+                merged.fieldTimes[field] = incomingTime;
+            }
+        });
+        return merged;
+    }
+
+    setupSync() {
+        this.tabId = `${Date.now()}-${Math.random()}`;
+        if ('BroadcastChannel' in window) {
+            this.syncChannel = new BroadcastChannel('taskflow-sync');
+            this.syncChannel.addEventListener('message', (e) => this.handleSyncMessage(e.data));
+        }
+        window.addEventListener('storage', (e) => this.handleStorageEvent(e));
+    }
+
+    broadcastChanges({ workspace, put, remove }) {
+        const message = { source: this.tabId, workspace, put, remove, version: this.getSchemaVersion() };
+        if (this.syncChannel) {
+            this.syncChannel.postMessage(message);
+            return;
+        }
+        try {
+            window.localStorage?.setItem('enhanced-sync', JSON.stringify({ ...message, sentAt: Date.now() }));
+        } catch (e) {
+            console.warn('Could not broadcast task changes to other tabs');
+        }
+    }
+
+    handleStorageEvent(e) {
+        if (e.key === 'enhanced-sync' && e.newValue && !this.syncChannel) {
+            this.handleSyncMessage(JSON.parse(e.newValue));
+        } else if (e.key === 'enhanced-workspaces') {
+            this.handleWorkspacesChanged();
+        } else if (this.workspaceHidden) {
+            return;
+        } else if (e.key === this.storageKey('saved-filters')) {
+            this.savedFilters = this.loadSavedFilters();
+            this.renderSavedFilters();
+        } else if (e.key === this.storageKey('templates')) {
+            this.templates = this.loadTemplates();
+            this.renderSuggestionChips();
+            if (document.getElementById('templates-modal').classList.contains('active')) this.renderTemplateManager();
+        } else if (e.key === this.storageKey('categories')) {
+            this.categories = this.loadCategories();
+            this.renderCategoryControls();
+            this.renderTasks();
+        } else if (e.key === this.storageKey('board-columns')) {
+            this.boardColumns = this.loadBoardColumns();
+            this.renderTasks();
+        } else if (e.key === this.storageKey('cleanup')) {
+            this.cleanup = this.loadCleanup();
+            if (document.getElementById('archive-modal').classList.contains('active')) this.renderArchive();
+        } else if (e.key === 'enhanced-stats-mode') {
+            this.setStatsMode(e.newValue === 'all' ? 'all' : 'active', false);
+        }
+    }
+
+    handleSyncMessage({ source, workspace = 'default', put = [], remove = [], version = 0 }) {
+        if (source === this.tabId || workspace !== this.workspaceId || this.workspaceHidden) return;
+        // Received tasks are checked like imported ones; tabs still running an older version also need them migrated and stored again.
+        const outdated = version < this.getSchemaVersion();
+        const editingId = this.currentEditingTask?.id;
+        let editedElsewhere = false;
+        let needsWrite = false;
+
+        remove.forEach(id => {
+            this.removeStoredTask(id);
+            this.savedSnapshot.delete(id);
+        });
+
+        put.forEach(received => {
+            const incoming = this.migrateTask(received, version);
+            const local = this.getStoredTasks().find(t => t.id === incoming.id);
+            this.savedSnapshot.set(incoming.id, JSON.stringify(received));
+            if (outdated) needsWrite = true;
+            if (!local) {
+                this.placeTask(incoming);
+                return;
+            }
+
+            const merged = this.placeTask(this.mergeTask(local, incoming));
+            if (this.getChangedFields(merged, incoming).length > 0) needsWrite = true;
+            if (incoming.id === editingId && this.getChangedFields(local, merged).length > 0) {
+                this.currentEditingTask = merged;
+                editedElsewhere = true;
+            }
+        });
+
+        if (needsWrite) {
+            this.saveTasks();
+        } else if (this.registerTaskCategories()) {
+            this.renderCategoryControls();
+        }
+        this.updateStats();
+        this.renderTasks();
+        if (document.getElementById('archive-modal').classList.contains('active')) this.renderArchive();
+
+        if (editingId && (remove.includes(editingId) || !this.tasks.some(t => t.id === editingId))) {
+            this.closeModal();
+            this.showToast('The task you were editing was deleted in another tab.', 'warning');
+        } else if (editedElsewhere) {
+            this.showToast('This task was changed in another tab.', 'warning', {
+                label: 'Load changes',
+                handler: () => this.openEditTask(editingId)
+            }, 0);
+        }
+    }
+
+    handleStorageError(error) {
+        console.error('Failed to save tasks', error);
+        this.storageDirty = true;
+        if (this.storageErrorToast?.isConnected) return;
+
+        const message = error?.name === 'QuotaExceededError'
+            ? 'Storage is full, so your latest changes were not saved. Export a backup, then empty the trash or archive to free up space.'
+            : 'Your latest changes could not be saved.';
+        this.storageErrorToast = this.showToast(message, 'error', [
+            { label: 'Export backup', handler: () => this.exportTasks('json') },
+            { label: 'Retry', handler: () => this.saveTasks() }
+        ], 0);
+    }
+
+    loadCategories() {
+        try {
+            const saved = JSON.parse(window.localStorage?.getItem(this.storageKey('categories')) || 'null');
+            return Array.isArray(saved) && saved.length > 0 ? saved : this.getDefaultCategories();
+        } catch (e) {
+            console.error('Failed to load categories from localStorage', e);
+            return this.getDefaultCategories();
+        }
+    }
+
+    saveCategories() {
+        this.saveSetting(this.storageKey('categories'), this.categories, 'categories');
+    }
+
+    getDefaultCategories() {
+        return [
+            { id: 'personal', name: 'Personal', color: '#667eea', icon: 'fa-user' },
+            { id: 'work', name: 'Work', color: '#ed8936', icon: 'fa-briefcase' },
+            { id: 'health', name: 'Health', color: '#48bb78', icon: 'fa-heartbeat' },
+            { id: 'learning', name: 'Learning', color: '#9f7aea', icon: 'fa-graduation-cap' }
+        ];
+    }
+
+    getCategory(id) {
+        return this.categories.find(category => category.id === id)
+            || { id, name: id, color: '#718096', icon: 'fa-folder' };
+    }
+
+    registerTaskCategories() {
+        const missing = [...new Set(this.getStoredTasks().map(task => task.category))]
+            .filter(id => id && !this.categories.some(category => category.id === id));
+        if (missing.length === 0) return false;
+
+        missing.forEach(id => {
+            this.categories.push({ id, name: id.charAt(0).toUpperCase() + id.slice(1), color: '#718096', icon: 'fa-folder' });
+        });
+        this.saveCategories();
+        return true;
+    }
+
+    loadBoardColumns() {
+        try {
+            const saved = JSON.parse(window.localStorage?.getItem(this.storageKey('board-columns')) || 'null');
+            return Array.isArray(saved) && saved.length > 1 ? saved : this.getDefaultBoardColumns();
+        } catch (e) {
+            console.error('Failed to load board columns from localStorage', e);
+            return this.getDefaultBoardColumns();
+        }
+    }
+
+    saveBoardColumns() {
+        this.saveSetting(this.storageKey('board-columns'), this.boardColumns, 'board columns');
+    }
+
+    getDefaultBoardColumns() {
+        return [
+            { id: 'backlog', name: 'Backlog', wipLimit: 0 },
+            { id: 'in-progress', name: 'In Progress', wipLimit: 0 },
+            { id: 'review', name: 'Review', wipLimit: 0 },
+            { id: 'done', name: 'Done', wipLimit: 0, done: true }
+        ];
+    }
+
+    getDoneStatus() {
+        return (this.boardColumns.find(column => column.done) || this.boardColumns[this.boardColumns.length - 1]).id;
+    }
+
+    getReopenStatus(task) {
+        const previous = this.boardColumns.find(column => column.id === task.lastOpenStatus && column.id !== this.getDoneStatus());
+        return previous ? previous.id : this.getOpenStatus();
+    }
+
+    getOpenStatus() {
+        return this.boardColumns.find(column => column.id !== this.getDoneStatus()).id;
+    }
+
+    normalizeStatus(status, completed) {
+        if (completed) return this.getDoneStatus();
+        const known = this.boardColumns.some(column => column.id === status);
+        return known && status !== this.getDoneStatus() ? status : this.getOpenStatus();
+    }
+
+    setTaskStatus(task, status) {
+        const wasCompleted = task.completed;
+        if (status === this.getDoneStatus() && task.status !== status) task.lastOpenStatus = task.status;
+        task.status = status;
+        task.completed = status === this.getDoneStatus();
+        if (task.completed === wasCompleted) return null;
+        task.completedAt = task.completed ? Date.now() : null;
+        if (task.completed) {
+            const running = (task.timeEntries || []).find(entry => !entry.end);
+            if (running) running.end = task.completedAt;
+        }
+        return task.completed ? this.createNextOccurrence(task) : null;
+    }
+
+    parseDuration(text) {
+        const value = String(text || '').trim().toLowerCase();
+        if (!value) return null;
+        if (/^\d+$/.test(value)) return parseInt(value, 10) || null;
+        const match = value.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:ute)?s?)?)?$/);
+        if (!match || (!match[1] && !match[2])) return null;
+        const minutes = Math.round(parseFloat(match[1] || 0) * 60) + parseInt(match[2] || 0, 10);
+        return minutes > 0 ? minutes : null;
+    }
+
+    formatMinutes(minutes) {
+        const rounded = Math.round(minutes);
+        const hours = Math.floor(rounded / 60);
+        const rest = rounded % 60;
+        if (hours === 0) return `${rest}m`;
+        return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+    }
+
+    formatClock(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const pad = n => String(n).padStart(2, '0');
+        const hours = Math.floor(seconds / 3600);
+        return hours > 0
+            ? `${hours}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`
+            : `${Math.floor(seconds / 60)}:${pad(seconds % 60)}`;
+    }
+
+    toDateTimeInput(timestamp) {
+        const date = new Date(timestamp);
+        return `${LocalDate.toKey(date)}T${LocalDate.toTime(date)}`;
+    }
+
+    getTimeSpent(task, now = Date.now()) {
+        return (task.timeEntries || []).reduce((sum, entry) => sum + Math.max(0, (entry.end || now) - entry.start), 0);
+    }
+
+    getTimeTotals(from = 0, to = Infinity, now = Date.now()) {
+        const totals = { total: 0, byCategory: {}, byDay: {} };
+        this.getStatsTasks('all').forEach(task => (task.timeEntries || []).forEach(entry => {
+            const end = Math.min(entry.end || now, to);
+            let cursor = Math.max(entry.start, from);
+            while (cursor < end) {
+                const day = new Date(cursor);
+                const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+                const slice = Math.min(end, nextDay) - cursor;
+                const key = LocalDate.toKey(day);
+                totals.total += slice;
+                totals.byCategory[task.category] = (totals.byCategory[task.category] || 0) + slice;
+                totals.byDay[key] = (totals.byDay[key] || 0) + slice;
+                cursor = nextDay;
+            }
+        }));
+        return totals;
+    }
+
+    getRunningTimer() {
+        for (const task of this.tasks) {
+            const entry = (task.timeEntries || []).find(e => !e.end);
+            if (entry) return { task, entry };
+        }
+        return null;
+    }
+
+    toggleTimer(id) {
+        const task = this.tasks.find(t => t.id === parseFloat(id));
+        if (!task) return false;
+        const running = this.getRunningTimer();
+        const now = Date.now();
+
+        if (running?.task === task) {
+            this.recordHistory('Stop timer', () => {
+                running.entry.end = now;
+            });
+        } else {
+            this.recordHistory('Start timer', () => {
+                if (running) running.entry.end = now;
+                task.timeEntries.push({ id: now + Math.random(), start: now, end: null });
+            });
+        }
+        this.saveTasks();
+        this.updateStats();
+        this.renderTasks();
+        this.focusTask(task.id);
+
+        let message;
+        if (running?.task === task) {
+            message = `Logged ${this.formatMinutes((now - running.entry.start) / 60000)} on "${this.escapeHtml(task.title)}"`;
+        } else {
+            message = `Timer started for "${this.escapeHtml(task.title)}"`;
+            if (running) message += ` (stopped "${this.escapeHtml(running.task.title)}")`;
+        }
+        this.showToast(message, 'success', this.undoAction());
+        return true;
+    }
+
+    updateTimerTicker() {
+        const running = this.getRunningTimer();
+        if (running && !this.timerTicker) {
+            this.timerTicker = setInterval(() => this.tickTimer(), 1000);
+        } else if (!running && this.timerTicker) {
+            clearInterval(this.timerTicker);
+            this.timerTicker = null;
+        }
+    }
+
+    tickTimer() {
+        const running = this.getRunningTimer();
+        if (!running) {
+            this.updateTimerTicker();
+            return;
+        }
+        const spent = this.getTimeSpent(running.task);
+        document.querySelectorAll(`.task-time.running[data-timer-task="${running.task.id}"]`).forEach(element => {
+            element.querySelector('.timer-spent').textContent = this.formatClock(spent);
+            element.classList.toggle('over-estimate', !!running.task.estimate && spent > running.task.estimate * 60000);
+        });
+        this.updateTimeStats();
+    }
+
+    updateTimeStats() {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const weekStart = new Date(today);
+        weekStart.setDate(weekStart.getDate() - 6);
+        const week = this.getTimeTotals(weekStart.getTime());
+        const todayTotal = week.byDay[LocalDate.toKey(today)] || 0;
+        const categories = Object.entries(this.getTimeTotals(today.getTime()).byCategory)
+            .sort((a, b) => b[1] - a[1])
+            .map(([id, ms]) => `${this.getCategory(id).name} ${this.formatMinutes(ms / 60000)}`);
+
+        document.getElementById('time-today').textContent = this.formatMinutes(todayTotal / 60000);
+        document.getElementById('time-stat').title = [
+            ...categories,
+            `Last 7 days: ${this.formatMinutes(week.total / 60000)}`
+        ].join('\n');
+    }
+
+    renderTimeLog() {
+        const list = document.getElementById('modal-time-log');
+        const entries = this.editingTimeEntries;
+        const total = entries.reduce((sum, entry) => sum + Math.max(0, (entry.end || Date.now()) - entry.start), 0);
+        document.getElementById('modal-time-summary').textContent = entries.length > 0 ? `${this.formatMinutes(total / 60000)} logged` : '';
+
+        list.innerHTML = entries.map((entry, index) => `
+            <li class="time-entry" data-index="${index}">
+                <input type="datetime-local" class="modal-input" data-field="start" value="${this.toDateTimeInput(entry.start)}" aria-label="Started">
+                ${entry.end
+                    ? `<input type="datetime-local" class="modal-input" data-field="end" value="${this.toDateTimeInput(entry.end)}" aria-label="Stopped">`
+                    : '<span class="time-entry-running"><i class="fas fa-circle"></i> Running</span>'}
+                <span class="time-entry-duration">${this.formatMinutes(Math.max(0, (entry.end || Date.now()) - entry.start) / 60000)}</span>
+                <button class="subtask-btn delete" data-action="delete" aria-label="Remove time entry"><i class="fas fa-times"></i></button>
+            </li>
+        `).join('');
+    }
+
+    handleTimeLogAction(e) {
+        const item = e.target.closest('.time-entry');
+        if (!item) return;
+        const entry = this.editingTimeEntries[parseInt(item.dataset.index, 10)];
+
+        if (e.type === 'click' && e.target.closest('[data-action="delete"]')) {
+            this.editingTimeEntries.splice(parseInt(item.dataset.index, 10), 1);
+            this.renderTimeLog();
+        } else if (e.type === 'change' && e.target.dataset.field) {
+            const value = new Date(e.target.value).getTime();
+            const start = e.target.dataset.field === 'start' ? value : entry.start;
+            const end = e.target.dataset.field === 'end' ? value : entry.end;
+            if (!Number.isFinite(value) || (end && end <= start)) {
+                this.showToast('A time entry has to end after it starts.', 'warning');
+            } else {
+                entry[e.target.dataset.field] = value;
+            }
+            this.renderTimeLog();
+        }
+    }
+
+    addTimeEntry() {
+        const dateInput = document.getElementById('modal-log-date');
+        const durationInput = document.getElementById('modal-log-duration');
+        const minutes = this.parseDuration(durationInput.value);
+        if (!minutes) {
+            this.showToast('Enter how long you worked, e.g. 45m or 1h 30m.', 'warning');
+            durationInput.focus();
+            return;
+        }
+
+        const start = LocalDate.parse(dateInput.value || LocalDate.today(), '09:00').getTime();
+        this.editingTimeEntries.push({ id: Date.now() + Math.random(), start, end: start + minutes * 60000 });
+        this.editingTimeEntries.sort((a, b) => a.start - b.start);
+        durationInput.value = '';
+        this.renderTimeLog();
+    }
+
+    loadSavedFilters() {
+        try {
+            return JSON.parse(window.localStorage?.getItem(this.storageKey('saved-filters')) || '[]');
+        } catch (e) {
+            console.error('Failed to load saved filters from localStorage', e);
+            return [];
+        }
+    }
+
+    normalizeSavedFilter(filter) {
+        const id = parseFloat(filter.id);
+        return {
+            id: Number.isFinite(id) ? id : Date.now() + Math.random(),
+            name: typeof filter.name === 'string' && filter.name.trim() ? filter.name.trim() : 'Imported filter',
+            query: typeof filter.query === 'string' ? filter.query : '',
+            status: ['all', 'today', 'upcoming', 'overdue'].includes(filter.status) ? filter.status : 'all',
+            category: typeof filter.category === 'string' ? filter.category : 'all'
+        };
+    }
+
+    saveSavedFilters() {
+        this.saveSetting(this.storageKey('saved-filters'), this.savedFilters, 'saved filters');
+    }
+
+    loadTemplates() {
+        try {
+            return JSON.parse(window.localStorage?.getItem(this.storageKey('templates')) || '[]');
+        } catch (e) {
+            console.error('Failed to load templates from localStorage', e);
+            return [];
+        }
+    }
+
+    saveTemplates() {
+        this.saveSetting(this.storageKey('templates'), this.templates, 'templates');
+    }
+
+  
+    addTask(taskData) {
+        if (this.tasksLoading) {
+            this.showToast('Your tasks are still loading. Try again in a moment.', 'warning');
+            return false;
+        }
+        const task = {
+            id: Date.now() + Math.random(),
+            title: taskData.title.trim(),
+            description: taskData.description?.trim() || '',
+            completed: false,
+            status: this.normalizeStatus(taskData.status, false),
+            priority: taskData.priority || 'medium',
+            category: taskData.category || 'personal',
+            dueDate: taskData.dueDate || '',
+            dueTime: taskData.dueTime || '',
+            tags: taskData.tags || [],
+            createdAt: Date.now(),
+            completedAt: null,
+            recurrence: this.normalizeRecurrence(taskData.recurrence, taskData.dueDate),
+            nextOccurrenceId: null,
+            subtasks: taskData.subtasks || [],
+            order: Date.now(),
+            reminders: taskData.reminders || [],
+            estimate: taskData.estimate || null,
+            timeEntries: [],
+            timeZone: taskData.timeZone || '',
+            blockedBy: taskData.blockedBy || [],
+            attachments: []
+        };
+
+        if (!task.title) {
+            this.showToast('Task title cannot be empty.', 'error');
+            return false;
+        }
+
+        this.recordHistory('Add task', () => this.tasks.push(task));
+        this.saveTasks();
+        this.updateStats();
+        this.renderTasks();
+        this.showToast('Task added successfully! 🎉', 'success', this.undoAction());
+        this.clearInputFields();
+        return true;
+    }
+
+    updateTask(id, updates) {
+        const taskIndex = this.tasks.findIndex(t => t.id === parseFloat(id));
+        if (taskIndex === -1) return false;
+
+        this.recordHistory('Edit task', () => {
+            const { status, ...fields } = updates;
+            this.tasks[taskIndex] = { ...this.tasks[taskIndex], ...fields };
+            if (status) this.setTaskStatus(this.tasks[taskIndex], status);
+        });
+        this.saveTasks();
+        this.updateStats();
+        this.renderTasks();
+        this.showToast('Task updated successfully!', 'success', this.undoAction());
+        this.closeModal();
+        return true;
+    }
+
+    deleteTask(id) {
+        const task = this.tasks.find(t => t.id === parseFloat(id));
+        if (!task) return false;
+        if (!this.confirmBlockerDeletion([task])) return false;
+
+        const blocked = this.getBlockedIds();
+        this.recordHistory('Delete task', () => {
+            this.shelveTask(task, 'deletedAt');
+            this.removeBlockerReferences(new Set([task.id]));
+        });
+        this.saveTasks();
+        this.updateStats();
+        this.renderTasks();
+        this.showToast('Task moved to trash', 'success', [
+            this.undoAction(),
+            { label: 'Open trash', handler: () => this.openArchive('trash') }
+        ]);
+        this.announceUnblocked(blocked);
+        this.closeModal();
+        return true;
+    }
+
+    getStoredTasks() {
+        return [...this.tasks, ...this.archive, ...this.trash];
+    }
+
+    // Archived and trashed tasks live outside this.tasks, so views, filters and dependencies only see active work.
+    placeTask(task, position = null) {
+        const index = this.tasks.findIndex(t => t.id === task.id);
+        this.removeStoredTask(task.id);
+        if (task.deletedAt) {
+            this.trash.push(task);
+        } else if (task.archivedAt) {
+            this.archive.push(task);
+        } else {
+            const at = index !== -1 ? index : (position ?? this.tasks.length);
+            this.tasks.splice(Math.min(at, this.tasks.length), 0, task);
+        }
+        return task;
+    }
+
+    removeStoredTask(id) {
+        [this.tasks, this.archive, this.trash].forEach(list => {
+            const index = list.findIndex(task => task.id === id);
+            if (index !== -1) list.splice(index, 1);
+        });
+    }
+
+    shelveTask(task, field, now = Date.now()) {
+        // A timer left running would keep counting on a task nobody can see.
+        const timeEntries = task.timeEntries.map(entry => (entry.end ? entry : { ...entry, end: now }));
+        return this.placeTask({ ...task, timeEntries, [field]: now });
+    }
+
+    getDefaultCleanup() {
+        return { archiveAfterDays: 0, trashAfterDays: 30 };
+    }
+
+    loadCleanup() {
+        try {
+            const saved = window.localStorage?.getItem(this.storageKey('cleanup'));
+            return { ...this.getDefaultCleanup(), ...(saved ? JSON.parse(saved) : {}) };
+        } catch (e) {
+            console.error('Failed to load cleanup settings', e);
+            return this.getDefaultCleanup();
+        }
+    }
+
+    saveCleanup() {
+        this.saveSetting(this.storageKey('cleanup'), this.cleanup, 'cleanup settings');
+    }
+
+    setCleanupRule(rule, days) {
+        this.cleanup = { ...this.cleanup, [rule]: Math.max(0, parseInt(days, 10) || 0) };
+        this.saveCleanup();
+        this.announceCleanup(this.applyCleanupRules());
+        this.updateStats();
+        this.renderTasks();
+        this.renderArchive();
+    }
+
+    // Runs outside undo history: these are the user's standing rules, not one-off edits.
+    applyCleanupRules(now = Date.now()) {
+        const day = 86400000;
+        const { archiveAfterDays, trashAfterDays } = this.cleanup;
+        const expired = trashAfterDays > 0 ? this.trash.filter(task => now - task.deletedAt >= trashAfterDays * day) : [];
+        const stale = archiveAfterDays > 0
+            ? this.tasks.filter(task => task.completed && task.completedAt && now - task.completedAt >= archiveAfterDays * day)
+            : [];
+        if (expired.length === 0 && stale.length === 0) return null;
+
+        expired.forEach(task => this.removeStoredTask(task.id));
+        this.forgetHistory(new Set(expired.map(task => task.id)));
+        stale.forEach(task => this.shelveTask(task, 'archivedAt', now));
+        this.saveTasks();
+        return { archived: stale.length, purged: expired.length };
+    }
+
+    announceCleanup(cleaned) {
+        if (!cleaned) return;
+        const parts = [];
+        if (cleaned.archived > 0) parts.push(`archived ${cleaned.archived} completed task${cleaned.archived === 1 ? '' : 's'}`);
+        if (cleaned.purged > 0) parts.push(`emptied ${cleaned.purged} old task${cleaned.purged === 1 ? '' : 's'} from the trash`);
+        const message = parts.join(' and ');
+        this.showToast(`Cleanup ${message}.`, 'success', cleaned.archived > 0
+            ? { label: 'Open archive', handler: () => this.openArchive('archive') }
+            : null);
+    }
+
+    archiveTasks(ids) {
+        const tasks = this.tasks.filter(task => ids.has(task.id) && task.completed);
+        if (tasks.length === 0) {
+            this.showToast('Only completed tasks can be archived.', 'warning');
+            return 0;
+        }
+
+        const now = Date.now();
+        this.recordHistory(tasks.length === 1 ? 'Archive task' : 'Archive tasks', () => {
+            tasks.forEach(task => this.shelveTask(task, 'archivedAt', now));
+        });
+        this.saveTasks();
+        this.updateStats();
+        this.renderTasks();
+        this.showToast(`Archived ${tasks.length} completed task${tasks.length === 1 ? '' : 's'}`, 'success', [
+            this.undoAction(),
+            { label: 'Open archive', handler: () => this.openArchive('archive') }
+        ]);
+        return tasks.length;
+    }
+
+    archiveCompleted() {
+        if (!this.tasks.some(task => task.completed)) {
+            this.showToast('There are no completed tasks to archive.', 'warning');
+            return 0;
+        }
+        return this.archiveTasks(new Set(this.tasks.filter(task => task.completed).map(task => task.id)));
+    }
+
+    restoreTask(id) {
+        const task = [...this.archive, ...this.trash].find(t => t.id === parseFloat(id));
+        if (!task) return false;
+
+        // Restoring from the trash puts an archived task back in the archive, not on the active list.
+        const restored = task.deletedAt ? { ...task, deletedAt: null } : { ...task, archivedAt: null };
+        this.recordHistory('Restore task', () => this.placeTask(restored));
+        this.saveTasks();
+        this.updateStats();
+        this.renderTasks();
+        this.renderArchive();
+        const destination = restored.archivedAt ? 'the archive' : 'your tasks';
+        this.showToast(`Restored "${this.escapeHtml(task.title)}" to ${destination}`, 'success', this.undoAction());
+        return true;
+    }
+
+    trashArchivedTask(id) {
+        const task = this.archive.find(t => t.id === parseFloat(id));
+        if (!task) return false;
+        this.recordHistory('Delete task', () => this.shelveTask(task, 'deletedAt'));
+        this.saveTasks();
+        this.updateStats();
+        this.renderArchive();
+        this.showToast(`Moved "${this.escapeHtml(task.title)}" to the trash`, 'success', this.undoAction());
+        return true;
+    }
+
+    purgeTasks(ids) {
+        const tasks = this.trash.filter(task => ids.has(task.id));
+        if (tasks.length === 0) return false;
+        const subject = tasks.length === 1 ? `"${tasks[0].title}"` : `${tasks.length} tasks`;
+        if (!confirm(`Permanently delete ${subject}? This can't be undone.`)) return false;
+
+        tasks.forEach(task => this.removeStoredTask(task.id));
+        this.forgetHistory(ids);
+        this.saveTasks();
+        this.pruneAttachments();
+        this.renderArchive();
+        this.showToast(`Permanently deleted ${tasks.length} task${tasks.length === 1 ? '' : 's'}`, 'success');
+        return true;
+    }
+
+    emptyTrash() {
+        if (this.trash.length === 0) return false;
+        return this.purgeTasks(new Set(this.trash.map(task => task.id)));
+    }
+
+    isBlocked(task) {
+        return !task.completed && task.blockedBy.some(id => this.tasks.some(other => other.id === id && !other.completed));
+    }
+
+    getBlockers(task) {
+        return task.blockedBy.map(id => this.tasks.find(other => other.id === id)).filter(Boolean);
+    }
+
+    getDependents(task) {
+        return this.tasks.filter(other => other.blockedBy.includes(task.id));
+    }
+
+    createsCycle(taskId, blockerId) {
+        const seen = new Set();
+        const stack = [blockerId];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === taskId) return true;
+            if (seen.has(id)) continue;
+            seen.add(id);
+            const task = this.tasks.find(t => t.id === id);
+            if (task) stack.push(...task.blockedBy);
+        }
+        return false;
+    }
+
+    getBlockedIds() {
+        return new Set(this.tasks.filter(task => this.isBlocked(task)).map(task => task.id));
+    }
+
+    announceUnblocked(previouslyBlocked) {
+        const unblocked = this.tasks.filter(task => previouslyBlocked.has(task.id) && !this.isBlocked(task));
+        if (unblocked.length === 0) return;
+        const names = unblocked.slice(0, 3).map(task => `"${this.escapeHtml(task.title)}"`).join(', ');
+        const more = unblocked.length > 3 ? ` and ${unblocked.length - 3} more` : '';
+        this.showToast(`Unblocked ${names}${more}. Ready to start!`, 'success');
+    }
+
+    confirmBlockerDeletion(tasks) {
+        const ids = new Set(tasks.map(task => task.id));
+        const dependents = this.tasks.filter(task => !ids.has(task.id) && !task.completed && task.blockedBy.some(id => ids.has(id)));
+        if (dependents.length === 0) return true;
+        const names = dependents.slice(0, 5).map(task => `• ${task.title}`).join('\n');
+        const more = dependents.length > 5 ? `\n…and ${dependents.length - 5} more` : '';
+        const subject = tasks.length === 1 ? `"${tasks[0].title}" is` : 'These tasks are';
+        return confirm(`${subject} blocking ${dependents.length} other task${dependents.length === 1 ? '' : 's'}:\n${names}${more}\n\nDelete anyway? They will no longer wait for it.`);
+    }
+
+    removeBlockerReferences(ids) {
+        this.tasks.forEach(task => {
+            if (task.blockedBy.some(id => ids.has(id))) {
+                task.blockedBy = task.blockedBy.filter(id => !ids.has(id));
+            }
+        });
+    }
+
+    renderBlockerEditor() {
+        const chips = document.getElementById('modal-blockers');
+        chips.innerHTML = this.editingBlockedBy.map(id => {
+            const blocker = this.tasks.find(task => task.id === id);
+            if (!blocker) return '';
+            return `
+                <span class="blocker-chip ${blocker.completed ? 'done' : ''}">
+                    <i class="fas ${blocker.completed ? 'fa-check' : 'fa-link'}" aria-hidden="true"></i>
+                    ${this.escapeHtml(blocker.title)}
+                    <button class="reminder-remove" data-remove-blocker="${blocker.id}" aria-label="Remove blocker ${this.escapeHtml(blocker.title)}">&times;</button>
+                </span>
+            `;
+        }).join('');
+    }
+
+    renderBlockerResults() {
+        const input = document.getElementById('modal-blocker-search');
+        const results = document.getElementById('modal-blocker-results');
+        const query = input.value.trim();
+        const editingId = this.currentEditingTask?.id;
+        this.blockerResults = query
+            ? this.tasks
+                .filter(task => task.id !== editingId && !task.completed && !this.editingBlockedBy.includes(task.id))
+                .map(task => ({ task, score: this.fuzzyScore(query, task.title) }))
+                .filter(result => result.score >= 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 8)
+                .map(result => result.task)
+            : [];
+        this.blockerIndex = 0;
+
+        results.hidden = !query;
+        input.setAttribute('aria-expanded', String(!!query));
+        if (this.blockerResults.length === 0) {
+            results.innerHTML = '<li class="blocker-empty">No open tasks match</li>';
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        results.innerHTML = this.blockerResults.map((task, index) => `
+            <li class="blocker-option ${index === 0 ? 'active' : ''}" id="blocker-option-${index}" role="option" aria-selected="${index === 0}" data-index="${index}">
+                <span>${this.escapeHtml(task.title)}</span>
+                ${task.dueDate ? `<span class="palette-hint">${this.formatDate(this.getLocalDue(task).date)}</span>` : ''}
+            </li>
+        `).join('');
+        input.setAttribute('aria-activedescendant', 'blocker-option-0');
+    }
+
+    handleBlockerKeydown(e) {
+        const results = document.getElementById('modal-blocker-results');
+        if (results.hidden) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.blockerResults.length === 0) return;
+            this.blockerIndex = (this.blockerIndex + (e.key === 'ArrowDown' ? 1 : -1) + this.blockerResults.length) % this.blockerResults.length;
+            results.querySelectorAll('.blocker-option').forEach((option, index) => {
+                option.classList.toggle('active', index === this.blockerIndex);
+                option.setAttribute('aria-selected', index === this.blockerIndex);
+            });
+            e.target.setAttribute('aria-activedescendant', `blocker-option-${this.blockerIndex}`);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const task = this.blockerResults[this.blockerIndex];
+            if (task) this.addBlocker(task.id);
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            e.target.value = '';
+            this.renderBlockerResults();
+        }
+    }
+
+    addBlocker(id) {
+        const blocker = this.tasks.find(task => task.id === parseFloat(id));
+        if (!blocker || !this.currentEditingTask) return false;
+        if (this.createsCycle(this.currentEditingTask.id, blocker.id)) {
+            this.showToast(`"${this.escapeHtml(blocker.title)}" already waits on this task, so it can't block it.`, 'error');
+            return false;
+        }
+        if (!this.editingBlockedBy.includes(blocker.id)) this.editingBlockedBy.push(blocker.id);
+        const input = document.getElementById('modal-blocker-search');
+        input.value = '';
+        this.renderBlockerEditor();
+        this.renderBlockerResults();
+        input.focus();
+        return true;
+    }
+
+    renderMarkdown(text, taskId = null) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        let paragraph = [];
+        let list = null;
+        let checkboxIndex = 0;
+        const flushParagraph = () => {
+            if (paragraph.length > 0) html.push(`<p>${paragraph.map(line => this.renderInlineMarkdown(line)).join('<br>')}</p>`);
+            paragraph = [];
+        };
+        const closeList = () => {
+            if (list) html.push(`</${list}>`);
+            list = null;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (/^\s*```/.test(line)) {
+                flushParagraph();
+                closeList();
+                const code = [];
+                while (++i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i]);
+                html.push(`<pre><code>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+            const heading = line.match(/^(#{1,3})\s+(.+)$/);
+            const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+            const quote = line.match(/^>\s?(.*)$/);
+
+            if (!line.trim()) {
+                flushParagraph();
+                closeList();
+            } else if (heading) {
+                flushParagraph();
+                closeList();
+                const level = heading[1].length + 3;
+                html.push(`<h${level}>${this.renderInlineMarkdown(heading[2])}</h${level}>`);
+            } else if (item) {
+                flushParagraph();
+                const tag = item[1] ? 'ul' : 'ol';
+                if (list !== tag) {
+                    closeList();
+                    html.push(`<${tag}>`);
+                    list = tag;
+                }
+                const check = item[2].match(/^\[([ xX])\]\s+(.*)$/);
+                if (check) {
+                    const index = checkboxIndex++;
+                    const handler = taskId !== null ? `onchange="taskManager.toggleNoteCheckbox('${taskId}', ${index})"` : 'disabled';
+                    html.push(`
+                        <li class="note-task">
+                            <label onclick="event.stopPropagation()">
+                                <input type="checkbox" ${check[1] === ' ' ? '' : 'checked'} ${handler}>
+                                <span>${this.renderInlineMarkdown(check[2])}</span>
+                            </label>
+                        </li>
+                    `);
+                } else {
+                    html.push(`<li>${this.renderInlineMarkdown(item[2])}</li>`);
+                }
+            } else if (quote) {
+                flushParagraph();
+                closeList();
+                html.push(`<blockquote>${this.renderInlineMarkdown(quote[1])}</blockquote>`);
+            } else {
+                closeList();
+                paragraph.push(line.trim());
+            }
+        }
+        flushParagraph();
+        closeList();
+        return html.join('');
+    }
+
+    renderInlineMarkdown(text) {
+        // Everything is escaped before it reaches the page; only http(s) and mailto links are kept.
+        const pattern = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\b(https?:\/\/[^\s<]*[^\s<.,:;"')\]!?])|\b(www\.[^\s<]*[^\s<.,:;"')\]!?])/g;
+        const link = (href, label) => `<a href="${this.escapeHtml(href)}" target="_blank" rel="noopener noreferrer" onclick="event.stopPropagation()">${label}</a>`;
+        let html = '';
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            html += this.renderEmphasis(text.slice(last, match.index));
+            if (match[1] !== undefined) {
+                html += `<code>${this.escapeHtml(match[1])}</code>`;
+            } else if (match[2] !== undefined) {
+                html += /^(https?:|mailto:)/i.test(match[3]) ? link(match[3], this.renderEmphasis(match[2])) : this.escapeHtml(match[0]);
+            } else {
+                html += link(match[4] || `https://${match[5]}`, this.escapeHtml(match[4] || match[5]));
+            }
+            last = pattern.lastIndex;
+        }
+        return html + this.renderEmphasis(text.slice(last));
+    }
+
+    renderEmphasis(text) {
+        return this.escapeHtml(text)
+            .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*\w])([*_])(?=\S)([^*_]+?)\2(?!\w)/g, '$1<em>$3</em>')
+            .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
+    }
+
+    toggleNoteCheckbox(id, index) {
+        const task = this.tasks.find(t => t.id === parseFloat(id));
+        if (!task) return false;
+        let fenced = false;
+        let count = 0;
+        const lines = task.description.split('\n').map(line => {
+            if (/^\s*```/.test(line)) fenced = !fenced;
+            const match = !fenced && line.match(/^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\]\s)/);
+            if (!match || count++ !== index) return line;
+            return `${match[1]}${match[2] === ' ' ? 'x' : ' '}${match[3]}${line.slice(match[0].length)}`;
+        });
+
+        this.recordHistory('Edit notes', () => {
+            task.description = lines.join('\n');
+        });
+        this.saveTasks();
+        this.renderTasks();
+        return true;
+    }
+
+    setNotesPreview(show) {
+        const textarea = document.getElementById('modal-description');
+        const preview = document.getElementById('modal-notes-preview');
+        const button = document.getElementById('modal-notes-toggle');
+        preview.innerHTML = show
+            ? (textarea.value.trim() ? this.renderMarkdown(textarea.value) : '<p class="notes-empty">Nothing to preview yet</p>')
+            : '';
+        preview.hidden = !show;
+        textarea.hidden = show;
+        button.setAttribute('aria-pressed', String(show));
+        button.innerHTML = show ? '<i class="fas fa-pen"></i> Edit' : '<i class="fas fa-eye"></i> Preview';
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        const units = ['KB', 'MB', 'GB'];
+        let value = bytes / 1024;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value < 10 ? parseFloat(value.toFixed(1)) : Math.round(value)} ${units[unit]}`;
+    }
+
+    isPreviewableImage(type) {
+        return /^image\/(png|jpeg|gif|webp|bmp)$/.test(type);
+    }
+
+    getAttachmentIcon(type) {
+        if (type.startsWith('image/')) return 'fa-file-image';
+        if (type === 'application/pdf') return 'fa-file-pdf';
+        if (type.startsWith('text/')) return 'fa-file-lines';
+        if (/zip|compressed|tar/.test(type)) return 'fa-file-zipper';
+        return 'fa-file';
+    }
+
+    getAttachmentUsage() {
+        const sizes = new Map();
+        [...this.tasks.flatMap(task => task.attachments), ...this.editingAttachments].forEach(attachment => {
+            sizes.set(attachment.id, attachment.size || 0);
+        });
+        return [...sizes.values()].reduce((sum, size) => sum + size, 0);
+    }
+
+    pruneAttachments() {
+        const keep = new Set(this.getStoredTasks().flatMap(task => task.attachments.map(attachment => attachment.id)));
+        [...this.history.undo, ...this.history.redo].forEach(entry => entry.changes.forEach(change => {
+            [change.before, change.after].forEach(state => state?.attachments?.forEach(attachment => keep.add(attachment.id)));
+        }));
+        // Recent files may still belong to an unsaved task modal in another tab.
+        return this.store.pruneAttachments(keep, Date.now() - 86400000)
+            .catch(error => console.warn('Could not clean up unused attachments', error));
+    }
+
+    revokeAttachmentUrls() {
+        this.attachmentUrls.forEach(url => URL.revokeObjectURL(url));
+        this.attachmentUrls = [];
+    }
+
+    renderAttachmentEditor() {
+        const { file, total } = this.attachmentLimits;
+        const used = this.getAttachmentUsage();
+        document.getElementById('modal-attachment-summary').textContent = this.editingAttachments.length > 0 ? this.editingAttachments.length : '';
+        const usage = document.getElementById('modal-attachment-usage');
+        usage.classList.toggle('nearly-full', used >= total * 0.9);
+        usage.innerHTML = `
+            <span class="attachment-meter" aria-hidden="true"><span style="width: ${Math.min(100, (used / total) * 100).toFixed(1)}%"></span></span>
+            ${this.formatBytes(used)} of ${this.formatBytes(total)} used in this workspace &middot; up to ${this.formatBytes(file)} per file
+        `;
+
+        this.revokeAttachmentUrls();
+        document.getElementById('modal-attachments').innerHTML = this.editingAttachments.map((attachment, index) => `
+            <li class="attachment-item" data-index="${index}" data-attachment-id="${attachment.id}">
+                <span class="attachment-thumb"><i class="fas ${this.getAttachmentIcon(attachment.type)}" aria-hidden="true"></i></span>
+                <button class="attachment-name" data-action="open" title="Download ${this.escapeHtml(attachment.name)}">${this.escapeHtml(attachment.name)}</button>
+                <span class="attachment-size">${this.formatBytes(attachment.size)}</span>
+                <button class="subtask-btn delete" data-action="delete" aria-label="Remove ${this.escapeHtml(attachment.name)}"><i class="fas fa-times"></i></button>
+            </li>
+        `).join('');
+        this.loadAttachmentThumbnails();
+    }
+
+    async loadAttachmentThumbnails() {
+        const ids = this.editingAttachments.map(attachment => attachment.id);
+        let records;
+        try {
+            records = await this.store.getAttachments(ids);
+        } catch (error) {
+            console.warn('Could not load attachments', error);
+            return;
+        }
+        const found = new Set(records.map(record => record.id));
+        ids.filter(id => !found.has(id)).forEach(id => {
+            const item = document.querySelector(`#modal-attachments [data-attachment-id="${id}"]`);
+            item?.classList.add('missing');
+            item?.setAttribute('title', 'This file is not stored in this browser');
+        });
+        records.forEach(record => {
+            const thumb = document.querySelector(`#modal-attachments [data-attachment-id="${record.id}"] .attachment-thumb`);
+            if (!thumb || !record.thumbnail) return;
+            const url = URL.createObjectURL(record.thumbnail);
+            this.attachmentUrls.push(url);
+            thumb.innerHTML = `<img src="${url}" alt="">`;
+        });
+    }
+
+    async createThumbnail(file) {
+        if (!this.isPreviewableImage(file.type) || !window.createImageBitmap) return null;
+        try {
+            const image = await createImageBitmap(file);
+            const scale = Math.min(1, 160 / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            image.close?.();
+            return await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        } catch (e) {
+            console.warn('Could not create a thumbnail for', file.name, e);
+            return null;
+        }
+    }
+
+    async addAttachments(files) {
+        const { file: fileLimit, total } = this.attachmentLimits;
+        let used = this.getAttachmentUsage();
+        const accepted = [];
+        const skipped = [];
+        files.forEach(file => {
+            if (file.size > fileLimit) {
+                skipped.push(`"${this.escapeHtml(file.name)}" is larger than ${this.formatBytes(fileLimit)}`);
+            } else if (used + file.size > total) {
+                skipped.push(`"${this.escapeHtml(file.name)}" would go over the ${this.formatBytes(total)} workspace limit`);
+            } else {
+                accepted.push(file);
+                used += file.size;
+            }
+        });
+        if (skipped.length > 0) this.showToast(`Skipped ${skipped.join('; ')}.`, 'warning');
+        if (accepted.length === 0 || !this.currentEditingTask) return false;
+
+        const now = Date.now();
+        const records = await Promise.all(accepted.map(async file => ({
+            id: now + Math.random(),
+            name: file.name,
+            type: file.type || 'application/octet-stream',
+            size: file.size,
+            blob: file,
+            thumbnail: await this.createThumbnail(file),
+            createdAt: now
+        })));
+        try {
+            await this.store.putAttachments(records);
+        } catch (error) {
+            console.error('Failed to store attachments', error);
+            this.showToast(this.store.db
+                ? 'Could not save the attachment. The browser may be out of storage space.'
+                : 'Attachments need IndexedDB, which is not available in this browser.', 'error');
+            return false;
+        }
+        if (!this.currentEditingTask) return false;
+        records.forEach(({ id, name, type, size }) => this.editingAttachments.push({ id, name, type, size }));
+        this.renderAttachmentEditor();
+        return true;
+    }
+
+    handleAttachmentAction(e) {
+        const button = e.target.closest('[data-action]');
+        const item = e.target.closest('.attachment-item');
+        if (!button || !item) return;
+        const index = parseInt(item.dataset.index, 10);
+        if (button.dataset.action === 'open') {
+            this.openAttachment(this.editingAttachments[index].id);
+        } else if (button.dataset.action === 'delete') {
+            this.editingAttachments.splice(index, 1);
+            this.renderAttachmentEditor();
+            document.getElementById('modal-attachment-input').focus();
+        }
+    }
+
+    async openAttachment(id) {
+        const [record] = await this.store.getAttachments([parseFloat(id)]).catch(() => []);
+        if (!record) {
+            this.showToast('This file is not stored in this browser. Exports only include attachment names.', 'warning');
+            return false;
+        }
+        this.downloadFile(record.name, record.blob, record.type);
+        return true;
+    }
+
+    toggleTaskComplete(id) {
+        const task = this.tasks.find(t => t.id === parseFloat(id));
+        if (!task) return false;
+
+        let nextOccurrence = null;
+        const blocked = this.getBlockedIds();
+        this.recordHistory(task.completed ? 'Reopen task' : 'Complete task', () => {
+            nextOccurrence = this.setTaskStatus(task, task.completed ? this.getReopenStatus(task) : this.getDoneStatus());
+        });
+
+        this.saveTasks();
+        this.updateStats();
+        this.renderTasks();
+
+        let message = task.completed ? 'Task completed! 🎉' : 'Task marked as pending';
+        if (nextOccurrence) {
+            message += ` Next one is due ${this.formatDate(nextOccurrence.dueDate)}.`;
+        }
+        this.showToast(message, 'success', this.undoAction());
+        this.announceUnblocked(blocked);
+        return true;
+    }
+
+    loadHistory() {
+        try {
+            const saved = JSON.parse(window.localStorage?.getItem(this.storageKey('history')) || '{}');
+            return { undo: saved.undo || [], redo: saved.redo || [] };
+        } catch (e) {
+            console.error('Failed to load undo history from localStorage', e);
+            return { undo: [], redo: [] };
+        }
+    }
+
+    saveHistory() {
+        const limit = 50;
+        this.history.undo = this.history.undo.slice(-limit);
+        this.history.redo = this.history.redo.slice(-limit);
+        this.saveSetting(this.storageKey('history'), this.history, 'undo history');
+    }
+
+    recordHistory(label, mutate) {
+        const snapshot = () => new Map(this.getStoredTasks().map(task => [task.id, { json: JSON.stringify(task), index: this.tasks.indexOf(task) }]));
+        const settingKeys = ['boardColumns', 'categories', 'templates'];
+        const settingsBefore = settingKeys.map(key => JSON.stringify(this[key]));
+        const before = snapshot();
+        mutate();
+        const after = snapshot();
+
+        const settings = {};
+        settingKeys.forEach((key, index) => {
+            const next = JSON.stringify(this[key]);
+            if (next !== settingsBefore[index]) settings[key] = { before: JSON.parse(settingsBefore[index]), after: JSON.parse(next) };
+        });
+
+        const changes = [];
+        new Set([...before.keys(), ...after.keys()]).forEach(id => {
+            const previous = before.get(id);
+            const next = after.get(id);
+            if (previous?.json === next?.json) return;
+            changes.push({
+                id,
+                before: previous ? JSON.parse(previous.json) : null,
+                after: next ? JSON.parse(next.json) : null,
+                beforeIndex: previous ? previous.index : -1,
+                afterIndex: next ? next.index : -1
+            });
+        });
+
+        if (changes.length > 0 || Object.keys(settings).length > 0) {
+            const entry = { id: Date.now() + Math.random(), label, changes, version: this.getSchemaVersion(), timestamp: Date.now() };
+            if (Object.keys(settings).length > 0) entry.settings = settings;
+            this.history.undo.push(entry);
+            this.history.redo = [];
+            this.saveHistory();
+        }
+        return changes;
+    }
+
+    applyHistoryChanges({ changes, settings = {}, version = 0 }, direction) {
+        Object.entries(settings).forEach(([key, states]) => {
+            this[key] = JSON.parse(JSON.stringify(direction === 'undo' ? states.before : states.after));
+        });
+        if (settings.boardColumns) this.saveBoardColumns();
+        if (settings.categories) {
+            this.saveCategories();
+            this.renderCategoryControls();
+            if (document.getElementById('organize-modal').classList.contains('active')) this.renderCategoryManager();
+        }
+        if (settings.templates) {
+            this.saveTemplates();
+            this.renderSuggestionChips();
+        }
+
+        const ordered = direction === 'undo' ? [...changes].reverse() : changes;
+        ordered.forEach(change => {
+            const state = direction === 'undo' ? change.before : change.after;
+            const position = direction === 'undo' ? change.beforeIndex : change.afterIndex;
+            if (!state) {
+                this.removeStoredTask(change.id);
+            } else {
+                // Entries saved by older versions of the app predate later task fields.
+                this.placeTask(this.migrateTask(JSON.parse(JSON.stringify(state)), version), position === -1 ? null : position);
+            }
+        });
+
+        if (this.currentEditingTask && changes.some(change => change.id === this.currentEditingTask.id)) {
+            this.closeModal();
+        }
+        this.saveTasks();
+        this.updateStats();
+        this.renderTasks();
+        if (document.getElementById('archive-modal').classList.contains('active')) this.renderArchive();
+    }
+
+    undo(expectedId = null) {
+        if (expectedId && this.history.undo[this.history.undo.length - 1]?.id !== expectedId) {
+            this.showToast('That change was already undone or has newer changes on top of it.', 'warning');
+            return false;
+        }
+        const entry = this.history.undo.pop();
+        if (!entry) {
+            this.showToast('Nothing to undo', 'warning');
+            return false;
+        }
+        this.applyHistoryChanges(entry, 'undo');
+        this.history.redo.push(entry);
+        this.saveHistory();
+        this.showToast(`Undid: ${entry.label}`, 'success', { label: 'Redo', handler: () => this.redo(entry.id) });
+        return true;
+    }
+
+    redo(expectedId = null) {
+        if (expectedId && this.history.redo[this.history.redo.length - 1]?.id !== expectedId) {
+            this.showToast('That change can no longer be redone.', 'warning');
+            return false;
+        }
+        const entry = this.history.redo.pop();
+        if (!entry) {
+            this.showToast('Nothing to redo', 'warning');
+            return false;
+        }
+        this.applyHistoryChanges(entry, 'redo');
+        this.history.undo.push(entry);
+        this.saveHistory();
+        this.showToast(`Redid: ${entry.label}`, 'success', this.undoAction());
+        return true;
+    }
+
+    // Tasks that are gone for good must not come back through undo or redo.
+    forgetHistory(ids) {
+        if (ids.size === 0) return;
+        ['undo', 'redo'].forEach(stack => {
+            this.history[stack] = this.history[stack]
+                .map(entry => ({ ...entry, changes: entry.changes.filter(change => !ids.has(change.id)) }))
+                .filter(entry => entry.changes.length > 0 || entry.settings);
+        });
+        this.saveHistory();
+    }
+
+    undoAction() {
+        // Tie the button to the change it was shown for, not whatever is newest when it is clicked.
+        const entry = this.history.undo[this.history.undo.length - 1];
+        return { label: 'Undo', handler: () => this.undo(entry?.id) };
+    }
+
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    isEditableTarget(target) {
+        return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    getKeyboardTaskElements() {
+        const container = this.getViewContainer();
+        return container ? [...container.querySelectorAll('.task-card, .day-task[data-task-id], .timeline-task[data-task-id]')] : [];
+    }
+
+    handleShortcut(e) {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k' && !this.workspaceHidden) {
+            e.preventDefault();
+            if (document.getElementById('command-palette').classList.contains('active')) {
+                this.closeCommandPalette();
+            } else {
+                this.openCommandPalette();
+            }
+            return;
+        }
+        if (e.ctrlKey || e.metaKey || e.altKey || this.isEditableTarget(e.target)) return;
+        if (document.querySelector('.modal-overlay.active') || this.workspaceHidden) return;
+
+        const focused = document.activeElement?.closest?.('[data-task-id]');
+        const taskId = focused && this.getViewContainer()?.contains(focused) ? focused.dataset.taskId : null;
+        const priorities = { 1: 'high', 2: 'medium', 3: 'low' };
+
+        if (e.key === '?') {
+            this.openShortcutHelp();
+        } else if (e.key === 'n') {
+            this.switchInputMode('quick');
+            document.getElementById('task-input').focus();
+        } else if (e.key === '/') {
+            document.querySelector('.search-input').focus();
+        } else if (e.key === 'j' || e.key === 'k') {
+            const elements = this.getKeyboardTaskElements();
+            if (elements.length === 0) return;
+            const index = elements.indexOf(focused);
+            const next = index === -1
+                ? (e.key === 'j' ? 0 : elements.length - 1)
+                : Math.min(Math.max(index + (e.key === 'j' ? 1 : -1), 0), elements.length - 1);
+            elements[next].focus();
+            elements[next].scrollIntoView?.({ block: 'nearest' });
+        } else if (taskId && e.key === 'x') {
+            this.toggleTaskComplete(taskId);
+            this.focusTask(taskId);
+        } else if (taskId && e.key === 'e') {
+            this.openEditTask(taskId);
+        } else if (taskId && e.key === 'Delete') {
+            const elements = this.getKeyboardTaskElements();
+            const index = elements.indexOf(focused);
+            const neighbour = elements[index + 1] || elements[index - 1];
+            this.deleteTask(taskId);
+            if (neighbour) this.focusTask(neighbour.dataset.taskId);
+        } else if (taskId && priorities[e.key]) {
+            this.setTaskPriority(taskId, priorities[e.key]);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    setTaskPriority(id, priority) {
+        const task = this.tasks.find(t => t.id === parseFloat(id));
+        if (!task || task.priority === priority) return false;
+
+        this.recordHistory('Change priority', () => {
+            task.priority = priority;
+        });
+        this.saveTasks();
+        this.renderTasks();
+        this.showToast(`Priority set to ${priority}`, 'success', this.undoAction());
+        this.focusTask(task.id);
+        return true;
+    }
+
+    handleModalKeydown(e) {
+        const overlays = document.querySelectorAll('.modal-overlay.active');
+        const overlay = overlays[overlays.length - 1];
+        if (!overlay) return;
+
+        if (e.key === 'Escape') {
+            const closers = {
+                'task-modal': () => this.closeModal(),
+                'import-modal': () => this.closeImportPreview(),
+                'organize-modal': () => this.closeCategoryManager(),
+                'analytics-modal': () => this.closeAnalytics(),
+                'workspace-modal': () => this.closeWorkspaceManager(),
+                'templates-modal': () => this.closeTemplateManager(),
+                'archive-modal': () => this.closeArchive(),
+                'command-palette': () => this.closeCommandPalette(),
+                'shortcuts-modal': () => this.closeShortcutHelp()
+            };
+            e.preventDefault();
+            closers[overlay.id]?.();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = [...overlay.querySelectorAll('a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])')]
+            .filter(element => !element.closest('[hidden]') && getComputedStyle(element).display !== 'none');
+        if (focusable.length === 0) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (!overlay.contains(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    rememberFocus() {
+        if (!document.querySelector('.modal-overlay.active')) {
+            this.returnFocus = document.activeElement;
+        }
+    }
+
+    restoreFocus() {
+        const element = this.returnFocus;
+        this.returnFocus = null;
+        if (!element || document.querySelector('.modal-overlay.active')) return;
+        if (element.isConnected) {
+            element.focus();
+        } else if (element.dataset?.taskId) {
+            this.focusTask(element.dataset.taskId);
+        }
+    }
+
+    openShortcutHelp() {
+        this.rememberFocus();
+        document.getElementById('shortcuts-modal').classList.add('active');
+        document.getElementById('close-shortcuts').focus();
+    }
+
+    closeShortcutHelp() {
+        document.getElementById('shortcuts-modal').classList.remove('active');
+        this.restoreFocus();
+    }
+
+    openCommandPalette() {
+        this.rememberFocus();
+        const input = document.getElementById('palette-input');
+        input.value = '';
+        document.getElementById('command-palette').classList.add('active');
+        this.renderCommandPalette();
+        input.focus();
+    }
+
+    closeCommandPalette() {
+        document.getElementById('command-palette').classList.remove('active');
+        this.restoreFocus();
+    }
+
+    fuzzyScore(query, text) {
+        const haystack = text.toLowerCase();
+        let score = 0;
+        let position = 0;
+        let previous = -2;
+        for (const char of query.toLowerCase().replace(/\s+/g, '')) {
+            const index = haystack.indexOf(char, position);
+            if (index === -1) return -1;
+            score += index === previous + 1 ? 3 : 1;
+            if (index === 0 || /[\s:/-]/.test(haystack[index - 1])) score += 3;
+            previous = index;
+            position = index + 1;
+        }
+        return score - haystack.length * 0.01;
+    }
+
+    getPaletteCommands() {
+        const views = [['list', 'fa-list'], ['grid', 'fa-th'], ['board', 'fa-columns'], ['day', 'fa-calendar-day'], ['week', 'fa-calendar-week'], ['calendar', 'fa-calendar']];
+        const filters = [['all', 'all tasks'], ['today', 'today'], ['upcoming', 'upcoming'], ['overdue', 'overdue']];
+        const focusQuickAdd = () => {
+            this.switchInputMode('quick');
+            document.getElementById('task-input').focus();
+        };
+        return [
+            { label: 'New task', icon: 'fa-plus', hint: 'N', run: focusQuickAdd },
+            { label: 'Search tasks', icon: 'fa-search', hint: '/', run: () => document.querySelector('.search-input').focus() },
+            ...views.map(([view, icon]) => ({ label: `Switch to ${view} view`, icon, run: () => this.switchView(view) })),
+            ...filters.map(([filter, name]) => ({ label: `Filter ${name}`, icon: 'fa-filter', run: () => this.setFilter('status', filter) })),
+            ...this.categories.map(category => ({ label: `Filter ${category.name}`, icon: category.icon, hint: 'Category', run: () => this.setFilter('category', category.id) })),
+            { label: 'Show all categories', icon: 'fa-layer-group', run: () => this.setFilter('category', 'all') },
+            { label: 'Undo', icon: 'fa-undo', hint: 'Ctrl+Z', run: () => this.undo() },
+            { label: 'Redo', icon: 'fa-redo', hint: 'Ctrl+Y', run: () => this.redo() },
+            { label: 'Select multiple tasks', icon: 'fa-check-square', run: () => this.setSelectionMode(true) },
+            { label: 'Open analytics', icon: 'fa-chart-bar', run: () => this.openAnalytics() },
+            { label: 'Manage categories and tags', icon: 'fa-tags', run: () => this.openCategoryManager() },
+            { label: 'Manage templates', icon: 'fa-clone', run: () => this.openTemplateManager() },
+            { label: 'Open archive', icon: 'fa-archive', run: () => this.openArchive('archive') },
+            { label: 'Open trash', icon: 'fa-trash', run: () => this.openArchive('trash') },
+            { label: 'Archive all completed tasks', icon: 'fa-archive', run: () => this.archiveCompleted() },
+            { label: `Show ${this.statsMode === 'all' ? 'active' : 'all-time'} stats`, icon: 'fa-chart-pie', run: () => this.setStatsMode(this.statsMode === 'all' ? 'active' : 'all') },
+            ...this.templates.map(template => ({
+                label: `Use template ${template.name}`, icon: 'fa-clone', hint: `/${template.trigger}`, run: () => this.prefillTemplate(template.id)
+            })),
+            { label: 'Keyboard shortcuts', icon: 'fa-keyboard', hint: '?', run: () => this.openShortcutHelp() },
+            ...this.workspaces.filter(workspace => workspace.id !== this.workspaceId).map(workspace => ({
+                label: `Switch to ${workspace.name}`, icon: workspace.privacyScreen ? 'fa-eye-slash' : 'fa-layer-group', hint: 'Workspace', run: () => this.switchWorkspace(workspace.id)
+            })),
+            { label: 'Manage workspaces', icon: 'fa-layer-group', run: () => this.openWorkspaceManager() },
+            ...(this.getWorkspace().privacyScreen ? [{ label: 'Show privacy screen', icon: 'fa-eye-slash', run: () => this.showPrivacyScreen() }] : [])
+        ];
+    }
+
+    getPaletteItems(query) {
+        const trimmed = query.trim();
+        const items = [];
+        const create = trimmed.match(/^(?:new task|new|add)\s+(.+)$/i);
+        if (create) {
+            const parsed = this.parseQuickTask(create[1]);
+            items.push({
+                label: parsed.title ? `Create "${parsed.title}"` : 'Create a new task',
+                icon: 'fa-plus-circle',
+                hint: parsed.dueDate ? `${this.formatDate(parsed.dueDate)}${parsed.dueTime ? ` at ${parsed.dueTime}` : ''}` : 'No date',
+                run: () => {
+                    if (parsed.title) {
+                        this.addTask(parsed);
+                    } else {
+                        this.prefillNewTask(parsed.dueDate || LocalDate.today(), parsed.dueTime);
+                    }
+                }
+            });
+        }
+
+        const rank = (list, text) => list
+            .map(item => ({ item, score: trimmed ? this.fuzzyScore(trimmed, text(item)) : 0 }))
+            .filter(result => result.score >= 0)
+            .sort((a, b) => b.score - a.score)
+            .map(result => result.item);
+
+        const commands = rank(this.getPaletteCommands(), command => command.label).slice(0, trimmed ? 6 : 10);
+        const tasks = trimmed
+            ? rank(this.tasks, task => `${task.title} ${task.tags.join(' ')}`).slice(0, 8).map(task => ({
+                label: task.title,
+                icon: task.completed ? 'fa-check-circle' : 'fa-circle',
+                hint: task.dueDate ? this.formatDate(task.dueDate) : 'Task',
+                task: true,
+                run: () => this.openEditTask(task.id)
+            }))
+            : [];
+        return [...items, ...commands, ...tasks];
+    }
+
+    renderCommandPalette() {
+        const input = document.getElementById('palette-input');
+        const results = document.getElementById('palette-results');
+        this.paletteItems = this.getPaletteItems(input.value);
+        this.paletteIndex = 0;
+        if (this.paletteItems.length === 0) {
+            results.innerHTML = '<li class="palette-empty">No matching tasks or commands</li>';
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        results.innerHTML = this.paletteItems.map((item, index) => `
+            <li class="palette-item ${index === 0 ? 'active' : ''} ${item.task ? 'palette-task' : ''}" id="palette-item-${index}" role="option" aria-selected="${index === 0}" data-index="${index}">
+                <i class="fas ${this.escapeHtml(item.icon)}"></i>
+                <span class="palette-label">${this.escapeHtml(item.label)}</span>
+                ${item.hint ? `<span class="palette-hint">${this.escapeHtml(item.hint)}</span>` : ''}
+            </li>
+        `).join('');
+        input.setAttribute('aria-activedescendant', 'palette-item-0');
+    }
+
+    handlePaletteKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.paletteItems.length === 0) return;
+            this.paletteIndex = (this.paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + this.paletteItems.length) % this.paletteItems.length;
+            document.querySelectorAll('.palette-item').forEach((item, index) => {
+                item.classList.toggle('active', index === this.paletteIndex);
+                item.setAttribute('aria-selected', index === this.paletteIndex);
+                if (index === this.paletteIndex) item.scrollIntoView?.({ block: 'nearest' });
+            });
+            e.target.setAttribute('aria-activedescendant', `palette-item-${this.paletteIndex}`);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.runPaletteItem(this.paletteIndex);
+        }
+    }
+
+    runPaletteItem(index) {
+        const item = this.paletteItems[index];
+        if (!item) return;
+        this.closeCommandPalette();
+        item.run();
+    }
+
+    createReminder({ minutesBefore = null, at = null } = {}) {
+        return at
+            ? { id: Date.now() + Math.random(), at, firedAt: null, snoozedUntil: null }
+            : { id: Date.now() + Math.random(), minutesBefore, firedAt: null, snoozedUntil: null };
+    }
+
+    describeReminder(reminder) {
+        if (reminder.at) {
+            const [date, time] = reminder.at.split('T');
+            return `${this.formatDate(date)} at ${time}`;
+        }
+        const minutes = reminder.minutesBefore;
+        if (minutes === 0) return 'At due time';
+        if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'} before`;
+        if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'} before`;
+        return `${minutes} min before`;
+    }
+
+    getTaskDueMoment(task) {
+        if (!task.dueDate) return null;
+        return LocalDate.toInstant(task.dueDate, task.dueTime || '09:00', task.dueTime ? task.timeZone : '');
+    }
+
+    describeTimeZone(timeZone) {
+        return timeZone.split('/').pop().replace(/_/g, ' ');
+    }
+
+    getLocalDue(task) {
+        if (!task.dueDate || !task.dueTime || !task.timeZone) return { date: task.dueDate, time: task.dueTime };
+        return LocalDate.inZone(LocalDate.toInstant(task.dueDate, task.dueTime, task.timeZone));
+    }
+
+    getReminderTime(task, reminder) {
+        if (reminder.snoozedUntil) return new Date(reminder.snoozedUntil);
+        if (reminder.at) return new Date(reminder.at);
+        const due = this.getTaskDueMoment(task);
+        return due ? new Date(due.getTime() - reminder.minutesBefore * 60 * 1000) : null;
+    }
+
+    resetUpcomingReminders(task, reminders) {
+        const now = Date.now();
+        return reminders.map(reminder => {
+            const time = this.getReminderTime(task, { ...reminder, snoozedUntil: null });
+            return time && time.getTime() > now ? { ...reminder, firedAt: null, snoozedUntil: null } : reminder;
+        });
+    }
+
+    renderReminderEditor(key) {
+        const editor = document.querySelector(`[data-reminder-editor="${key}"]`);
+        if (!editor) return;
+        editor.querySelector('.reminder-chips').innerHTML = this.draftReminders[key].map((reminder, index) => `
+            <span class="reminder-chip">
+                <i class="fas fa-bell"></i>
+                ${this.escapeHtml(this.describeReminder(reminder))}
+                <button class="reminder-remove" data-index="${index}" title="Remove reminder">&times;</button>
+            </span>
+        `).join('');
+        editor.querySelector('.reminder-custom-row').style.display = 'none';
+    }
+
+    handleReminderPreset(key, select) {
+        const editor = select.closest('[data-reminder-editor]');
+        if (select.value === 'custom') {
+            editor.querySelector('.reminder-custom-row').style.display = 'flex';
+            select.value = '';
+            return;
+        }
+        if (select.value === '') return;
+        const minutesBefore = parseInt(select.value, 10);
+        select.value = '';
+        if (this.draftReminders[key].some(r => r.minutesBefore === minutesBefore)) return;
+        this.draftReminders[key].push(this.createReminder({ minutesBefore }));
+        this.renderReminderEditor(key);
+        this.requestNotificationPermission();
+    }
+
+    addCustomReminder(key) {
+        const input = document.querySelector(`[data-reminder-editor="${key}"] .reminder-custom`);
+        if (!input.value) {
+            this.showToast('Pick a date and time for the reminder.', 'warning');
+            return;
+        }
+        this.draftReminders[key].push(this.createReminder({ at: input.value }));
+        input.value = '';
+        this.renderReminderEditor(key);
+        this.requestNotificationPermission();
+    }
+
+    // "1 hour before" has nothing to count back from without a due date, so it would never fire.
+    hasOrphanedReminders(key, dueDate) {
+        if (dueDate || !this.draftReminders[key].some(reminder => !reminder.at)) return false;
+        this.showToast('Reminders like "1 hour before" need a due date. Add one, or pick a specific date and time instead.', 'warning');
+        return true;
+    }
+
+    removeDraftReminder(key, index) {
+        this.draftReminders[key].splice(index, 1);
+        this.renderReminderEditor(key);
+    }
+
+    requestNotificationPermission() {
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission().catch(() => {});
+        }
+    }
+
+    startReminderChecks() {
+        this.checkReminders(true);
+        this.reminderTimer = setInterval(() => this.checkReminders(), 30 * 1000);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.checkReminders();
+        });
+    }
+
+    checkReminders(atStartup = false) {
+        const now = Date.now();
+        const due = [];
+        this.tasks.forEach(task => {
+            if (task.completed) return;
+            task.reminders.forEach(reminder => {
+                const time = this.getReminderTime(task, reminder);
+                if (!reminder.firedAt && time && time.getTime() <= now) {
+                    due.push({ task, reminder });
+                }
+            });
+        });
+        if (due.length === 0) return;
+
+        due.forEach(({ reminder }) => {
+            reminder.firedAt = now;
+            reminder.snoozedUntil = null;
+        });
+        this.saveTasks();
+
+        if (atStartup && due.length > 3) {
+            this.showToast(`You missed ${due.length} reminders while TaskFlow was closed.`, 'warning', {
+                label: 'Show overdue',
+                handler: () => this.setFilter('status', 'overdue')
+            }, 0);
+            return;
+        }
+        due.forEach(({ task, reminder }) => this.deliverReminder(task, reminder, atStartup));
+    }
+
+    deliverReminder(task, reminder, missed = false) {
+        const due = this.getTaskDueMoment(task);
+        const body = `${missed ? 'Missed reminder. ' : ''}${due ? `Due ${this.formatDate(task.dueDate)}${task.dueTime ? ` at ${task.dueTime}` : ''}` : 'Reminder'}`;
+        let notified = false;
+
+        if ('Notification' in window && Notification.permission === 'granted') {
+            try {
+                const notification = new Notification(task.title, { body, tag: `task-${task.id}-${reminder.id}` });
+                notification.onclick = () => {
+                    window.focus();
+                    this.openEditTask(task.id);
+                    notification.close();
+                };
+                notified = true;
+            } catch (e) {
+                console.warn('Notification failed, falling back to toast', e);
+            }
+        }
+
+        if (!notified || document.visibilityState === 'visible') {
+            this.showToast(`<strong>🔔 ${this.escapeHtml(task.title)}</strong><br>${body}`, 'warning', [
+                { label: '10 min', handler: () => this.snoozeReminder(task.id, reminder.id, 10) },
+                { label: '1 hour', handler: () => this.snoozeReminder(task.id, reminder.id, 60) },
+                { label: 'Tomorrow', handler: () => this.snoozeReminder(task.id, reminder.id, 'tomorrow') }
+            ], 0);
+        }
+    }
+
+    snoozeReminder(taskId, reminderId, minutes) {
+        const task = this.tasks.find(t => t.id === parseFloat(taskId));
+        const reminder = task?.reminders.find(r => r.id === parseFloat(reminderId));
+        if (!reminder) return false;
+
+        let until;
+        if (minutes === 'tomorrow') {
+            const tomorrow = new Date();
+            until = new Date(tomorrow.getFullYear(), tomorrow.getMonth(), tomorrow.getDate() + 1, 9, 0);
+        } else {
+            until = new Date(Date.now() + minutes * 60 * 1000);
+        }
+        reminder.snoozedUntil = until.getTime();
+        reminder.firedAt = null;
+        this.saveTasks();
+        this.showToast(`Snoozed until ${this.formatDate(LocalDate.toKey(until))} ${LocalDate.toTime(until)}`, 'success');
+        return true;
+    }
+
+    createSubtask(title) {
+        return { id: Date.now() + Math.random(), title: title.trim(), completed: false };
+    }
+
+    getSubtaskProgress(task) {
+        const total = task.subtasks?.length || 0;
+        const done = total > 0 ? task.subtasks.filter(s => s.completed).length : 0;
+        return { done, total };
+    }
+
+    toggleSubtask(taskId, subtaskId) {
+        const task = this.tasks.find(t => t.id === parseFloat(taskId));
+        const subtask = task?.subtasks.find(s => s.id === parseFloat(subtaskId));
+        if (!subtask) return false;
+
+        this.recordHistory(subtask.completed ? 'Uncheck step' : 'Check off step', () => {
+            subtask.completed = !subtask.completed;
+        });
+        this.saveTasks();
+        this.updateStats();
+        this.renderTasks();
+        if (subtask.completed) {
+            this.offerParentCompletion(task);
+        }
+        return true;
+    }
+
+    toggleSubtaskList(taskId) {
+        const id = parseFloat(taskId);
+        if (this.expandedSubtasks.has(id)) {
+            this.expandedSubtasks.delete(id);
+        } else {
+            this.expandedSubtasks.add(id);
+        }
+        document.querySelectorAll(`.task-card[data-task-id="${taskId}"]`).forEach(card => {
+            card.classList.toggle('subtasks-open', this.expandedSubtasks.has(id));
+            card.querySelector('.subtask-progress')?.setAttribute('aria-expanded', this.expandedSubtasks.has(id));
+        });
+    }
+
+    offerParentCompletion(task) {
+        const { done, total } = this.getSubtaskProgress(task);
+        if (task.completed || total === 0 || done < total) return;
+        this.showToast('All steps are done. Complete the task too?', 'success', {
+            label: 'Complete task',
+            handler: () => {
+                if (!task.completed) this.toggleTaskComplete(task.id);
+            }
+        });
+    }
+
+    normalizeRecurrence(rule, dueDate) {
+        if (!rule || !['daily', 'weekly', 'monthly'].includes(rule.frequency)) return null;
+        const base = dueDate ? LocalDate.parse(dueDate) : new Date();
+        const normalized = {
+            frequency: rule.frequency,
+            interval: Math.max(1, parseInt(rule.interval, 10) || 1),
+            endDate: /^\d{4}-\d{2}-\d{2}$/.test(rule.endDate) ? rule.endDate : '',
+            count: parseInt(rule.count, 10) || null,
+            occurrence: parseInt(rule.occurrence, 10) || 1
+        };
+
+        if (rule.frequency === 'weekly') {
+            const weekdays = Array.isArray(rule.weekdays) ? rule.weekdays.map(Number).filter(d => d >= 0 && d <= 6) : [];
+            normalized.weekdays = weekdays.length > 0 ? [...new Set(weekdays)].sort() : [base.getDay()];
+        } else if (rule.frequency === 'monthly') {
+            const nth = Math.ceil(base.getDate() / 7);
+            normalized.monthlyMode = rule.monthlyMode === 'weekday' ? 'weekday' : 'date';
+            normalized.monthDay = parseInt(rule.monthDay, 10) || base.getDate();
+            normalized.nth = parseInt(rule.nth, 10) || (nth === 5 ? -1 : nth);
+            normalized.weekday = Number.isInteger(rule.weekday) ? rule.weekday : base.getDay();
+        }
+        return normalized;
+    }
+
+    getNthWeekdayOfMonth(year, month, nth, weekday) {
+        if (nth === -1) {
+            const last = new Date(year, month + 1, 0);
+            last.setDate(last.getDate() - ((last.getDay() - weekday + 7) % 7));
+            return last;
+        }
+        const first = new Date(year, month, 1);
+        return new Date(year, month, 1 + ((weekday - first.getDay() + 7) % 7) + (nth - 1) * 7);
+    }
+
+    getNextOccurrenceDate(rule, fromDate, occurrence = 1) {
+        if (!rule || (rule.count && occurrence >= rule.count)) return null;
+        const base = LocalDate.parse(fromDate);
+        let next = new Date(base);
+
+        switch (rule.frequency) {
+            case 'daily':
+                next.setDate(base.getDate() + rule.interval);
+                break;
+            case 'weekly': {
+                const weekStart = date => new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+                const baseWeek = weekStart(base);
+                for (let i = 0; i < 7 * (rule.interval + 1); i++) {
+                    next.setDate(next.getDate() + 1);
+                    const weeksApart = Math.round((weekStart(next) - baseWeek) / (7 * 24 * 60 * 60 * 1000));
+                    if (weeksApart % rule.interval === 0 && rule.weekdays.includes(next.getDay())) break;
+                }
+                break;
+            }
+            case 'monthly': {
+                const year = base.getFullYear();
+                const month = base.getMonth() + rule.interval;
+                if (rule.monthlyMode === 'weekday') {
+                    next = this.getNthWeekdayOfMonth(year, month, rule.nth, rule.weekday);
+                } else {
+                    const lastDay = new Date(year, month + 1, 0).getDate();
+                    next = new Date(year, month, Math.min(rule.monthDay, lastDay));
+                }
+                break;
+            }
+            default:
+                return null;
+        }
+
+        const nextDate = LocalDate.toKey(next);
+        if (rule.endDate && nextDate > rule.endDate) return null;
+        return nextDate;
+    }
+
+    getFirstOccurrenceDate(rule, fromDate) {
+        const date = LocalDate.parse(fromDate);
+        if (rule.frequency === 'weekly') {
+            while (!rule.weekdays.includes(date.getDay())) {
+                date.setDate(date.getDate() + 1);
+            }
+        }
+        return LocalDate.toKey(date);
+    }
+
+    createNextOccurrence(task) {
+        if (!task.recurrence || task.nextOccurrenceId) return null;
+        const fromDate = task.dueDate || LocalDate.today();
+        const nextDate = this.getNextOccurrenceDate(task.recurrence, fromDate, task.recurrence.occurrence);
+        if (!nextDate) return null;
+
+        const next = {
+            ...task,
+            id: Date.now() + Math.random(),
+            tags: [...task.tags],
+            subtasks: task.subtasks.map(subtask => this.createSubtask(subtask.title)),
+            reminders: task.reminders.filter(reminder => !reminder.at).map(reminder => this.createReminder(reminder)),
+            completed: false,
+            completedAt: null,
+            status: this.getOpenStatus(),
+            createdAt: Date.now(),
+            order: Date.now(),
+            dueDate: nextDate,
+            recurrence: { ...task.recurrence, occurrence: task.recurrence.occurrence + 1 },
+            nextOccurrenceId: null,
+            timeEntries: [],
+            blockedBy: []
+        };
+        task.nextOccurrenceId = next.id;
+        this.tasks.push(next);
+        return next;
+    }
+
+    getProjectedOccurrences(task, untilDate) {
+        const dates = [];
+        if (!task.recurrence || task.completed || !task.dueDate) return dates;
+        let occurrence = task.recurrence.occurrence;
+        let date = this.getNextOccurrenceDate(task.recurrence, task.dueDate, occurrence);
+        while (date && date <= untilDate && dates.length < 400) {
+            dates.push(date);
+            occurrence++;
+            date = this.getNextOccurrenceDate(task.recurrence, date, occurrence);
+        }
+        return dates;
+    }
+
+    describeRecurrence(rule) {
+        if (!rule) return '';
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+        const unit = units[rule.frequency];
+        let text = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+
+        if (rule.frequency === 'weekly') {
+            text += ` on ${rule.weekdays.map(d => dayNames[d]).join(', ')}`;
+        } else if (rule.frequency === 'monthly') {
+            if (rule.monthlyMode === 'weekday') {
+                const ordinals = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'last' };
+                text += ` on the ${ordinals[rule.nth]} ${dayNames[rule.weekday]}`;
+            } else {
+                text += ` on day ${rule.monthDay}`;
+            }
+        }
+
+        if (rule.endDate) {
+            text += `, until ${this.formatDate(rule.endDate)}`;
+        } else if (rule.count) {
+            text += `, ${rule.count} times`;
+        }
+        return text;
+    }
+
+
+    exportTasks(format) {
+        const stamp = LocalDate.today();
+        if (format === 'json') {
+            const data = { app: 'TaskFlow', version: 1, exportedAt: new Date().toISOString(), tasks: this.tasks, archive: this.archive, savedFilters: this.savedFilters, categories: this.categories, templates: this.templates };
+            this.downloadFile(`taskflow-${stamp}.json`, JSON.stringify(data, null, 2), 'application/json');
+        } else if (format === 'csv') {
+            this.downloadFile(`taskflow-${stamp}.csv`, this.tasksToCsv(this.tasks), 'text/csv');
+        } else if (format === 'ics') {
+            this.downloadFile(`taskflow-${stamp}.ics`, this.tasksToIcs(this.tasks), 'text/calendar');
+        } else if (format === 'timelog') {
+            this.downloadFile(`taskflow-time-${stamp}.csv`, this.timeLogToCsv(this.tasks), 'text/csv');
+            this.showToast('Exported the time log as CSV', 'success');
+            return;
+        }
+        this.showToast(`Exported ${this.tasks.length} tasks as ${format.toUpperCase()}`, 'success');
+    }
+
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    escapeCsvCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Spreadsheets run cells starting with these as formulas; the quote makes them plain text.
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    tasksToCsv(tasks) {
+        const columns = ['id', 'title', 'description', 'completed', 'status', 'priority', 'category', 'dueDate', 'dueTime', 'tags', 'subtasks', 'repeat', 'createdAt', 'completedAt', 'estimate', 'timeSpent', 'timeZone', 'blockedBy'];
+        const rows = tasks.map(task => [
+            task.id,
+            task.title,
+            task.description,
+            task.completed,
+            task.status,
+            task.priority,
+            task.category,
+            task.dueDate,
+            task.dueTime,
+            task.tags.join(', '),
+            task.subtasks.map(subtask => `[${subtask.completed ? 'x' : ' '}] ${subtask.title}`).join('; '),
+            task.recurrence ? this.recurrenceToRRule(task.recurrence) : '',
+            new Date(task.createdAt).toISOString(),
+            task.completedAt ? new Date(task.completedAt).toISOString() : '',
+            task.estimate || '',
+            task.timeEntries.length > 0 ? Math.round(this.getTimeSpent(task) / 60000) : '',
+            task.timeZone,
+            task.blockedBy.join('; ')
+        ].map(value => this.escapeCsvCell(value)).join(','));
+        return [columns.join(','), ...rows].join('\r\n');
+    }
+
+    timeLogToCsv(tasks) {
+        const rows = tasks.flatMap(task => (task.timeEntries || []).filter(entry => entry.end).map(entry => [
+            task.id,
+            task.title,
+            this.getCategory(task.category).name,
+            new Date(entry.start).toISOString(),
+            new Date(entry.end).toISOString(),
+            Math.round((entry.end - entry.start) / 60000)
+        ].map(value => this.escapeCsvCell(value)).join(',')));
+        return [['taskId', 'title', 'category', 'start', 'end', 'minutes'].join(','), ...rows].join('\r\n');
+    }
+
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(value => value.trim()));
+    }
+
+    csvToTasks(text) {
+        const [header, ...rows] = this.parseCsv(text.replace(/^\uFEFF/, ''));
+        if (!header) return [];
+        const keys = header.map(h => h.trim());
+        const toTimestamp = value => (value ? (Number(value) || Date.parse(value) || null) : null);
+
+        return rows.map(values => {
+            const raw = {};
+            keys.forEach((key, index) => {
+                raw[key] = (values[index] || '').trim().replace(/^'(?=[=+\-@])/, '');
+            });
+            const dueDate = raw.dueDate || raw.date || '';
+            // Only known columns are read; anything else in the sheet is ignored.
+            return {
+                id: raw.id,
+                title: raw.title || raw.text,
+                description: raw.description,
+                completed: /^(true|yes|1|x)$/i.test(raw.completed || ''),
+                status: raw.status,
+                priority: (raw.priority || '').toLowerCase(),
+                category: raw.category,
+                dueDate,
+                dueTime: raw.dueTime || raw.time,
+                tags: raw.tags,
+                subtasks: (raw.subtasks || '').split(';').map(item => item.trim()).filter(item => item).map(item => {
+                    const match = item.match(/^\[([ xX]?)\]\s*(.*)$/);
+                    const subtask = this.createSubtask(match ? match[2] : item);
+                    subtask.completed = !!match && match[1].toLowerCase() === 'x';
+                    return subtask;
+                }),
+                recurrence: raw.repeat ? this.parseRRule(raw.repeat, dueDate) : null,
+                createdAt: toTimestamp(raw.createdAt),
+                completedAt: toTimestamp(raw.completedAt),
+                estimate: this.parseDuration(raw.estimate),
+                timeZone: raw.timeZone,
+                blockedBy: (raw.blockedBy || '').split(';').map(parseFloat).filter(Number.isFinite)
+            };
+        });
+    }
+
+    recurrenceToRRule(rule) {
+        const days = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+        const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+        if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+        if (rule.frequency === 'weekly') {
+            parts.push(`BYDAY=${rule.weekdays.map(d => days[d]).join(',')}`);
+        } else if (rule.frequency === 'monthly') {
+            parts.push(rule.monthlyMode === 'weekday' ? `BYDAY=${rule.nth}${days[rule.weekday]}` : `BYMONTHDAY=${rule.monthDay}`);
+        }
+        if (rule.endDate) {
+            parts.push(`UNTIL=${rule.endDate.replace(/-/g, '')}`);
+        } else if (rule.count) {
+            parts.push(`COUNT=${rule.count - rule.occurrence + 1}`);
+        }
+        return parts.join(';');
+    }
+
+    parseRRule(value, dueDate) {
+        const days = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+        const parts = Object.fromEntries(value.replace(/^RRULE:/i, '').split(';').map(part => part.split('=')));
+        const rule = { frequency: (parts.FREQ || '').toLowerCase(), interval: parts.INTERVAL, count: parts.COUNT };
+        if (parts.UNTIL) {
+            rule.endDate = `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`;
+        }
+        if (parts.BYDAY) {
+            const byDay = parts.BYDAY.split(',');
+            const nthMatch = byDay[0].match(/^([+-]?\d)([A-Z]{2})$/);
+            if (rule.frequency === 'monthly' && nthMatch) {
+                rule.monthlyMode = 'weekday';
+                rule.nth = parseInt(nthMatch[1], 10);
+                rule.weekday = days.indexOf(nthMatch[2]);
+            } else {
+                rule.weekdays = byDay.map(day => days.indexOf(day.slice(-2)));
+            }
+        }
+        if (parts.BYMONTHDAY) rule.monthDay = parts.BYMONTHDAY;
+        return this.normalizeRecurrence(rule, dueDate);
+    }
+
+    tasksToIcs(tasks) {
+        const stamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const escapeText = text => text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+        const fold = line => {
+            const chunks = [];
+            for (let i = 0; i < line.length; i += 73) chunks.push(line.slice(i, i + 73));
+            return chunks.join('\r\n ');
+        };
+        const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//TaskFlow//Tasks//EN', 'CALSCALE:GREGORIAN'];
+
+        tasks.forEach(task => {
+            const isEvent = task.dueDate && !task.completed;
+            const date = task.dueDate.replace(/-/g, '');
+            const time = task.dueTime.replace(':', '');
+            lines.push(isEvent ? 'BEGIN:VEVENT' : 'BEGIN:VTODO');
+            lines.push(`UID:taskflow-${task.id}@taskflow`);
+            lines.push(`DTSTAMP:${stamp(new Date())}`);
+            lines.push(`CREATED:${stamp(new Date(task.createdAt))}`);
+            lines.push(`SUMMARY:${escapeText(task.title)}`);
+            if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+            lines.push(`PRIORITY:${{ high: 1, medium: 5, low: 9 }[task.priority] || 5}`);
+            lines.push(`CATEGORIES:${[task.category, ...task.tags].map(escapeText).join(',')}`);
+
+            const zone = task.timeZone ? `;TZID=${task.timeZone}` : '';
+            if (isEvent && task.dueTime) {
+                lines.push(`DTSTART${zone}:${date}T${time}00`, 'DURATION:PT1H');
+            } else if (isEvent) {
+                const nextDay = LocalDate.parse(task.dueDate);
+                nextDay.setDate(nextDay.getDate() + 1);
+                lines.push(`DTSTART;VALUE=DATE:${date}`, `DTEND;VALUE=DATE:${LocalDate.toKey(nextDay).replace(/-/g, '')}`);
+            } else if (task.dueDate) {
+                lines.push(task.dueTime ? `DUE${zone}:${date}T${time}00` : `DUE;VALUE=DATE:${date}`);
+            }
+            if (task.recurrence) lines.push(`RRULE:${this.recurrenceToRRule(task.recurrence)}`);
+            if (!isEvent) {
+                lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+                if (task.completedAt) lines.push(`COMPLETED:${stamp(new Date(task.completedAt))}`);
+            }
+            lines.push(isEvent ? 'END:VEVENT' : 'END:VTODO');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(fold).join('\r\n') + '\r\n';
+    }
+
+    icsToTasks(text) {
+        const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const unescapeText = value => value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+        const splitList = value => value.split(/(?<!\\),/).map(unescapeText).map(v => v.trim()).filter(v => v);
+        const parseDateTime = value => {
+            const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+            if (!match) return { date: '', time: '' };
+            if (!match[4]) return { date: `${match[1]}-${match[2]}-${match[3]}`, time: '' };
+            const date = match[7]
+                ? new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]))
+                : new Date(match[1], match[2] - 1, match[3], match[4], match[5], match[6]);
+            return { date: LocalDate.toKey(date), time: `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}` };
+        };
+        const toTimestamp = value => {
+            const { date, time } = parseDateTime(value || '');
+            return date ? LocalDate.parse(date, time).getTime() : null;
+        };
+        const tasks = [];
+        let current = null;
+
+        lines.forEach(line => {
+            if (/^BEGIN:(VTODO|VEVENT)$/i.test(line)) {
+                current = { props: {}, zones: {} };
+                return;
+            }
+            if (/^END:(VTODO|VEVENT)$/i.test(line) && current) {
+                const { props } = current;
+                const due = parseDateTime(props.DUE || props.DTSTART || '');
+                const timeZone = current.zones[props.DUE ? 'DUE' : 'DTSTART'];
+                const categories = splitList(props.CATEGORIES || '');
+                const priority = parseInt(props.PRIORITY, 10);
+                const uidMatch = (props.UID || '').match(/^taskflow-([\d.]+)@/);
+                tasks.push({
+                    id: uidMatch ? uidMatch[1] : null,
+                    title: unescapeText(props.SUMMARY || ''),
+                    description: unescapeText(props.DESCRIPTION || ''),
+                    completed: (props.STATUS || '').toUpperCase() === 'COMPLETED',
+                    priority: !priority ? 'medium' : (priority <= 4 ? 'high' : (priority === 5 ? 'medium' : 'low')),
+                    category: categories[0] ? categories[0].toLowerCase() : undefined,
+                    tags: categories.slice(1),
+                    dueDate: due.date,
+                    dueTime: due.time,
+                    timeZone: due.time && timeZone && LocalDate.isValidTimeZone(timeZone) ? timeZone : '',
+                    recurrence: props.RRULE ? this.parseRRule(props.RRULE, due.date) : null,
+                    createdAt: toTimestamp(props.CREATED),
+                    completedAt: toTimestamp(props.COMPLETED)
+                });
+                current = null;
+                return;
+            }
+            if (!current) return;
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+            const [name, ...params] = line.slice(0, separator).split(';');
+            current.props[name.toUpperCase()] = line.slice(separator + 1);
+            const zone = params.find(param => /^TZID=/i.test(param));
+            if (zone) current.zones[name.toUpperCase()] = zone.slice(5).replace(/^"|"$/g, '');
+        });
+        return tasks;
+    }
+
+    async handleImportFile(file) {
+        if (!file) return;
+        try {
+            const text = await file.text();
+            const name = file.name.toLowerCase();
+            let rawTasks;
+            let savedFilters = [];
+            let categories = [];
+            let templates = [];
+
+            if (name.endsWith('.ics') || text.trimStart().startsWith('BEGIN:VCALENDAR')) {
+                rawTasks = this.icsToTasks(text);
+            } else if (name.endsWith('.json') || /^\s*[[{]/.test(text)) {
+                const data = JSON.parse(text);
+                rawTasks = Array.isArray(data) ? data : [...(Array.isArray(data.tasks) ? data.tasks : []), ...(Array.isArray(data.archive) ? data.archive : [])];
+                savedFilters = Array.isArray(data.savedFilters)
+                    ? data.savedFilters.filter(filter => filter && typeof filter === 'object').map(filter => this.normalizeSavedFilter(filter))
+                    : [];
+                categories = Array.isArray(data.categories) ? data.categories.filter(category => category && typeof category === 'object') : [];
+                templates = Array.isArray(data.templates) ? data.templates.filter(template => template && typeof template === 'object') : [];
+            } else {
+                rawTasks = this.csvToTasks(text);
+            }
+
+            const tasks = rawTasks
+                .filter(task => task && typeof task === 'object')
+                .map(task => ({ ...this.migrateTask(task), deletedAt: null }))
+                .filter(task => task.title.trim());
+            // Steps from a file get fresh ids so they can never collide with, or stand in for, existing ones.
+            tasks.forEach(task => {
+                task.subtasks = task.subtasks.map(subtask => ({ ...this.createSubtask(subtask.title), completed: subtask.completed }));
+            });
+            if (tasks.length === 0) {
+                this.showToast('No tasks found in that file.', 'warning');
+                return;
+            }
+            this.openImportPreview(tasks, savedFilters, categories, templates);
+        } catch (e) {
+            console.error('Import failed', e);
+            this.showToast('Could not read that file. Use a JSON, CSV or .ics export.', 'error');
+        }
+    }
+
+    findDuplicateTask(task) {
+        const title = task.title.trim().toLowerCase();
+        const existingTasks = [...this.tasks, ...this.archive];
+        return existingTasks.find(existing => existing.id === task.id) ||
+            existingTasks.find(existing => existing.title.trim().toLowerCase() === title && existing.dueDate === task.dueDate);
+    }
+
+    openImportPreview(tasks, savedFilters = [], categories = [], templates = []) {
+        this.pendingImport = {
+            savedFilters,
+            categories,
+            templates,
+            items: tasks.map(task => {
+                const duplicate = this.findDuplicateTask(task);
+                return { task, duplicate, action: duplicate ? 'skip' : 'add' };
+            })
+        };
+        this.renderImportPreview();
+        document.getElementById('import-modal').classList.add('active');
+    }
+
+    renderImportPreview() {
+        const { items } = this.pendingImport;
+        const duplicates = items.filter(item => item.duplicate).length;
+        document.getElementById('import-summary').textContent =
+            `${items.length} tasks found: ${items.length - duplicates} new, ${duplicates} possible duplicates.`;
+
+        document.getElementById('import-list').innerHTML = items.map((item, index) => `
+            <li class="import-item ${item.duplicate ? 'duplicate' : ''}">
+                <div class="import-item-info">
+                    <span class="import-item-title">${this.escapeHtml(item.task.title)}</span>
+                    <span class="import-item-meta">
+                        ${item.task.dueDate ? this.formatDate(item.task.dueDate) : 'No date'}
+                        ${item.duplicate ? ` &middot; matches "${this.escapeHtml(item.duplicate.title)}"` : ''}
+                    </span>
+                </div>
+                <select class="modal-select import-action" data-index="${index}">
+                    ${item.duplicate ? `
+                        <option value="skip" ${item.action === 'skip' ? 'selected' : ''}>Skip</option>
+                        <option value="replace" ${item.action === 'replace' ? 'selected' : ''}>Replace existing</option>
+                        <option value="copy" ${item.action === 'copy' ? 'selected' : ''}>Keep both</option>
+                    ` : `
+                        <option value="add" ${item.action === 'add' ? 'selected' : ''}>Add</option>
+                        <option value="skip" ${item.action === 'skip' ? 'selected' : ''}>Skip</option>
+                    `}
+                </select>
+            </li>
+        `).join('');
+        this.updateImportConfirm();
+    }
+
+    updateImportConfirm() {
+        const count = this.pendingImport.items.filter(item => item.action !== 'skip').length;
+        const button = document.getElementById('confirm-import');
+        button.textContent = `Import ${count} task${count === 1 ? '' : 's'}`;
+        button.disabled = count === 0;
+    }
+
+    setImportAction(index, action) {
+        if (!this.pendingImport) return;
+        this.pendingImport.items[index].action = action;
+        this.updateImportConfirm();
+    }
+
+    setAllDuplicateActions(action) {
+        if (!this.pendingImport || !action) return;
+        this.pendingImport.items.forEach(item => {
+            if (item.duplicate) item.action = action;
+        });
+        this.renderImportPreview();
+    }
+
+    confirmImport() {
+        if (!this.pendingImport) return;
+        let added = 0;
+        let replaced = 0;
+
+        this.recordHistory('Import tasks', () => {
+            this.pendingImport.items.forEach(({ task, duplicate, action }) => {
+                if (action === 'replace') {
+                    this.placeTask({ ...task, id: duplicate.id });
+                    replaced++;
+                } else if (action === 'add' || action === 'copy') {
+                    const idTaken = this.getStoredTasks().some(existing => existing.id === task.id);
+                    this.placeTask(idTaken ? { ...task, id: Date.now() + Math.random() } : task);
+                    added++;
+                }
+            });
+        });
+
+        this.pendingImport.savedFilters.forEach(filter => {
+            if (!this.savedFilters.some(existing => existing.id === filter.id)) {
+                this.savedFilters.push(filter);
+            }
+        });
+        this.pendingImport.categories.forEach(category => {
+            if (!/^\w+$/.test(category.id) || this.categories.some(existing => existing.id === category.id)) return;
+            this.categories.push({
+                id: category.id,
+                name: String(category.name || category.id),
+                color: /^#[0-9a-f]{6}$/i.test(category.color) ? category.color : '#718096',
+                icon: /^fa-[a-z-]+$/.test(category.icon) ? category.icon : 'fa-folder'
+            });
+        });
+        this.saveCategories();
+        this.renderCategoryControls();
+        this.pendingImport.templates.forEach(template => {
+            if (typeof template.title !== 'string' || this.templates.some(existing => existing.id === parseFloat(template.id))) return;
+            this.templates.push(this.normalizeTemplate(template));
+        });
+        this.saveTemplates();
+        this.renderSuggestionChips();
+
+        this.saveTasks();
+        this.saveSavedFilters();
+        this.renderSavedFilters();
+        this.updateStats();
+        this.renderTasks();
+        this.closeImportPreview();
+        this.showToast(`Imported ${added} new and replaced ${replaced} tasks`, 'success', this.undoAction());
+    }
+
+    closeImportPreview() {
+        document.getElementById('import-modal').classList.remove('active');
+        document.getElementById('import-file').value = '';
+        this.pendingImport = null;
+    }
+
+    getFilteredTasks() {
+        let filtered = [...this.tasks];
+        const query = this.parseSearchQuery(document.querySelector('.search-input').value);
+        const searchTerm = query.text.toLowerCase();
+
+        if (this.currentFilter === 'today') {
+            filtered = filtered.filter(task => this.isToday(task) && !this.isBlocked(task));
+        } else if (this.currentFilter === 'upcoming') {
+            filtered = filtered.filter(task => this.isUpcoming(task));
+        } else if (this.currentFilter === 'overdue') {
+            filtered = filtered.filter(task => this.isOverdue(task));
+        }
+     
+        if (this.currentCategory !== 'all') {
+            filtered = filtered.filter(task => task.category === this.currentCategory);
+        }
+
+        query.filters.forEach(filter => {
+            filtered = filtered.filter(task => this.matchesQueryFilter(task, filter) !== filter.negate);
+        });
+      
+        if (searchTerm) {
+            filtered = filtered.filter(task => this.matchesSearchText(task, searchTerm));
+        }
+        
+      
+        const sortBy = document.querySelector('.sort-select').value;
+        filtered.sort((a, b) => {
+            if (a.completed && !b.completed) return 1;
+            if (!a.completed && b.completed) return -1;
+            
+            switch (sortBy) {
+                case 'priority':
+                    const priorityOrder = { high: 3, medium: 2, low: 1 };
+                    return priorityOrder[b.priority] - priorityOrder[a.priority];
+                case 'created':
+                    return b.createdAt - a.createdAt;
+                case 'alphabetical':
+                    return a.title.localeCompare(b.title);
+                case 'manual':
+                    return a.order - b.order;
+                case 'date':
+                default:
+                    const dateA = a.dueDate ? new Date(a.dueDate) : new Date(8640000000000000);
+                    const dateB = b.dueDate ? new Date(b.dueDate) : new Date(8640000000000000);
+                    return dateA - dateB;
+            }
+        });
+
+        return filtered;
+    }
+
+    matchesSearchText(task, searchTerm) {
+        return task.title.toLowerCase().includes(searchTerm) ||
+            task.description.toLowerCase().includes(searchTerm) ||
+            task.attachments.some(attachment => attachment.name.toLowerCase().includes(searchTerm)) ||
+            (task.tags && task.tags.some(tag => tag.toLowerCase().includes(searchTerm)));
+    }
+
+    parseSearchQuery(query) {
+        const keys = { priority: 'priority', p: 'priority', tag: 'tag', category: 'category', cat: 'category', due: 'due', is: 'is', status: 'status' };
+        const filters = [];
+        const terms = [];
+        const tokenPattern = /(-?)(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+        let match;
+
+        while ((match = tokenPattern.exec(query)) !== null) {
+            const key = match[2] && keys[match[2].toLowerCase()];
+            if (key) {
+                filters.push({ key, value: (match[3] ?? match[4]).toLowerCase(), negate: match[1] === '-' });
+            } else {
+                terms.push(match[5] ?? match[6] ?? match[0]);
+            }
+        }
+        return { filters, text: terms.join(' ') };
+    }
+
+    matchesQueryFilter(task, { key, value }) {
+        const values = value.split(',');
+        switch (key) {
+            case 'priority':
+                return values.includes(task.priority);
+            case 'tag':
+                return task.tags.some(tag => values.includes(tag.toLowerCase()));
+            case 'category':
+                return values.includes(task.category.toLowerCase()) || values.includes(this.getCategory(task.category).name.toLowerCase());
+            case 'is':
+                return values.some(state => {
+                    switch (state) {
+                        case 'open':
+                        case 'pending':
+                            return !task.completed;
+                        case 'done':
+                        case 'completed':
+                            return task.completed;
+                        case 'overdue':
+                            return !!this.isOverdue(task);
+                        case 'today':
+                            return this.isToday(task);
+                        case 'recurring':
+                            return !!task.recurrence;
+                        case 'blocked':
+                            return this.isBlocked(task);
+                        default:
+                            return false;
+                    }
+                });
+            case 'status': {
+                const column = this.getTaskColumn(task);
+                return values.some(status => status === column.id || status === column.name.toLowerCase());
+            }
+            case 'due':
+                return values.some(condition => this.matchesDueCondition(task, condition));
+            default:
+                return true;
+        }
+    }
+
+    matchesDueCondition(task, condition) {
+        const today = new Date();
+        if (condition === 'none') return !task.dueDate;
+        if (condition === 'any') return !!task.dueDate;
+        if (condition === 'overdue') return !!this.isOverdue(task);
+        if (!task.dueDate) return false;
+        const dueDate = this.getLocalDue(task).date;
+
+        const match = condition.match(/^(<=|>=|<|>|=)?(.+)$/);
+        const operator = match[1] || '=';
+        let target = match[2];
+        const relative = target.match(/^([+-]?\d+)([dwm])$/);
+        if (target === 'today') {
+            target = LocalDate.toKey(today);
+        } else if (target === 'tomorrow') {
+            target = LocalDate.toKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1));
+        } else if (relative) {
+            const amount = parseInt(relative[1], 10);
+            const date = relative[2] === 'm'
+                ? new Date(today.getFullYear(), today.getMonth() + amount, today.getDate())
+                : new Date(today.getFullYear(), today.getMonth(), today.getDate() + amount * (relative[2] === 'w' ? 7 : 1));
+            target = LocalDate.toKey(date);
+        } else if (!/^\d{4}-\d{2}-\d{2}$/.test(target)) {
+            return false;
+        }
+
+        switch (operator) {
+            case '<': return dueDate < target;
+            case '<=': return dueDate <= target;
+            case '>': return dueDate > target;
+            case '>=': return dueDate >= target;
+            default: return dueDate === target;
+        }
+    }
+
+    formatDate(dateStr) {
+        if (!dateStr) return '';
+        const today = LocalDate.today();
+        if (dateStr === today) {
+            return 'Today';
+        }
+        if (dateStr === LocalDate.addDays(today, 1)) {
+            return 'Tomorrow';
+        }
+
+        const options = { month: 'short', day: 'numeric', year: 'numeric' };
+        return LocalDate.format(LocalDate.parse(dateStr), options);
+    }
+
+    escapeHtml(unsafe) {
+        if (typeof unsafe !== 'string') return unsafe;
+        return unsafe.replace(/&/g, "&amp;")
+                     .replace(/</g, "&lt;")
+                     .replace(/>/g, "&gt;")
+                     .replace(/"/g, "&quot;")
+                     .replace(/'/g, "&#039;");
+    }
+
+    
+    renderTasks() {
+        const filteredTasks = this.getFilteredTasks();
+        const tasksListView = document.getElementById('tasks-list');
+        const tasksGridView = document.getElementById('tasks-grid');
+        const tasksCalendarView = document.getElementById('tasks-calendar');
+        const tasksTimelineView = document.getElementById('tasks-timeline');
+        const tasksBoardView = document.getElementById('tasks-board');
+
+        tasksListView.style.display = 'none';
+        tasksGridView.style.display = 'none';
+        tasksCalendarView.style.display = 'none';
+        tasksTimelineView.style.display = 'none';
+        tasksBoardView.style.display = 'none';
+
+        if (this.currentView === 'list') {
+            tasksListView.style.display = 'block';
+            this.renderListView(filteredTasks);
+        } else if (this.currentView === 'grid') {
+            tasksGridView.style.display = 'block';
+            this.renderGridView(filteredTasks);
+        } else if (this.currentView === 'calendar') {
+            tasksCalendarView.style.display = 'block';
+            this.renderCalendarView();
+        } else if (this.currentView === 'week' || this.currentView === 'day') {
+            tasksTimelineView.style.display = 'block';
+            this.renderTimelineView();
+        } else if (this.currentView === 'board') {
+            tasksBoardView.style.display = 'block';
+            this.renderBoardView(filteredTasks);
+        }
+
+        const emptyState = document.getElementById('empty-state');
+        if (emptyState) {
+            emptyState.style.display = this.tasks.length === 0 ? 'flex' : 'none';
+        }
+        this.updateSelectionUI();
+        this.updateTimerTicker();
+    }
+
+    renderListView(tasks) {
+        const overdue = tasks.filter(t => this.isOverdue(t));
+        const blocked = tasks.filter(t => !this.isOverdue(t) && this.isBlocked(t));
+        const open = tasks.filter(t => !t.completed && !this.isBlocked(t));
+        const todayTasks = open.filter(t => this.isToday(t));
+        const upcoming = open.filter(t => this.isUpcoming(t));
+        const noDate = open.filter(t => !t.dueDate);
+        const completed = tasks.filter(t => t.completed);
+
+        this.renderTaskSection('overdue-tasks', overdue);
+        this.renderTaskSection('today-tasks', todayTasks);
+        this.renderTaskSection('upcoming-tasks', upcoming);
+        this.renderTaskSection('no-date-tasks', noDate);
+        this.renderTaskSection('blocked-tasks', blocked);
+        this.renderTaskSection('completed-list', completed);
+        
+        this.updateSectionCount('overdue-tasks', overdue.length);
+        this.updateSectionCount('today-tasks', todayTasks.length);
+        this.updateSectionCount('upcoming-tasks', upcoming.length);
+        this.updateSectionCount('no-date-tasks', noDate.length);
+        this.updateSectionCount('blocked-tasks', blocked.length);
+        this.updateSectionCount('completed-list', completed.length);
+        document.getElementById('archive-completed-section').hidden = !this.tasks.some(t => t.completed);
+
+        document.getElementById('tasks-list').style.display = (overdue.length + todayTasks.length + upcoming.length + noDate.length + blocked.length + completed.length) > 0 ? 'block' : 'none';
+    }
+
+    renderTaskSection(sectionId, tasks) {
+        const section = document.querySelector(`#${sectionId}`);
+        if (!section) return;
+        section.innerHTML = tasks.map(task => this.createTaskCard(task)).join('');
+    }
+
+    renderGridView(tasks) {
+        const container = document.getElementById('grid-container');
+        if (!container) return;
+        container.innerHTML = tasks.map(task => this.createTaskCard(task, 'grid')).join('');
+    }
+
+    renderCalendarView() {
+        const container = document.getElementById('calendar-container');
+        const monthYearTitle = document.getElementById('calendar-month-year');
+        if (!container || !monthYearTitle) return;
+
+        container.innerHTML = '';
+        const year = this.calendarDate.getFullYear();
+        const month = this.calendarDate.getMonth();
+        const firstDay = new Date(year, month, 1);
+        const lastDay = new Date(year, month + 1, 0);
+        const startDayOfWeek = (firstDay.getDay() - LocalDate.getWeekStart() + 7) % 7;
+
+        monthYearTitle.textContent = LocalDate.format(this.calendarDate, { month: 'long', year: 'numeric' });
+
+        const createRow = () => {
+            const row = document.createElement('div');
+            row.className = 'calendar-row';
+            row.setAttribute('role', 'row');
+            container.appendChild(row);
+            return row;
+        };
+
+        const headerRow = createRow();
+        const longNames = LocalDate.getWeekdays('long');
+        LocalDate.getWeekdays('short').forEach((weekday, index) => {
+            const dayNameEl = document.createElement('div');
+            dayNameEl.className = 'calendar-day-name';
+            dayNameEl.setAttribute('role', 'columnheader');
+            dayNameEl.setAttribute('aria-label', longNames[index].name);
+            dayNameEl.textContent = weekday.name;
+            headerRow.appendChild(dayNameEl);
+        });
+
+        const cells = [];
+        for (let i = 0; i < startDayOfWeek; i++) {
+            const emptyDay = document.createElement('div');
+            emptyDay.className = 'calendar-day other-month';
+            emptyDay.setAttribute('role', 'gridcell');
+            cells.push(emptyDay);
+        }
+
+        const monthStart = LocalDate.toKey(firstDay);
+        const monthEnd = LocalDate.toKey(lastDay);
+        const tasksForMonth = this.tasks
+            .map(task => ({ task, date: this.getLocalDue(task).date }))
+            .filter(({ date }) => date && date >= monthStart && date <= monthEnd);
+        const projectedOccurrences = [];
+        this.tasks.forEach(task => {
+            this.getProjectedOccurrences(task, monthEnd)
+                .filter(date => date >= monthStart)
+                .forEach(date => projectedOccurrences.push({ task, date }));
+        });
+
+        const todayKey = LocalDate.today();
+        let focusKey = this.calendarFocusDate;
+        if (!focusKey || focusKey < monthStart || focusKey > monthEnd) {
+            focusKey = todayKey >= monthStart && todayKey <= monthEnd ? todayKey : monthStart;
+        }
+
+        for (let day = 1; day <= lastDay.getDate(); day++) {
+            const date = new Date(year, month, day);
+            const dateStr = LocalDate.toKey(date);
+            const dayEl = document.createElement('div');
+            dayEl.className = 'calendar-day';
+            dayEl.dataset.date = dateStr;
+            dayEl.setAttribute('role', 'gridcell');
+            dayEl.tabIndex = dateStr === focusKey ? 0 : -1;
+            dayEl.innerHTML = `<span class="day-number" aria-hidden="true">${day}</span><div class="day-tasks"></div>`;
+
+            if (dateStr === todayKey) {
+                dayEl.classList.add('today');
+                dayEl.setAttribute('aria-current', 'date');
+            }
+
+            const dayTasksContainer = dayEl.querySelector('.day-tasks');
+            const tasksForDay = tasksForMonth.filter(entry => entry.date === dateStr).map(entry => entry.task);
+            const taskCount = tasksForDay.length + projectedOccurrences.filter(o => o.date === dateStr).length;
+            dayEl.setAttribute('aria-label', `${LocalDate.format(date, { weekday: 'long', month: 'long', day: 'numeric' })}, ${taskCount === 0 ? 'no tasks' : `${taskCount} task${taskCount === 1 ? '' : 's'}`}`);
+
+            tasksForDay.forEach(task => {
+                const taskEl = document.createElement('div');
+                taskEl.className = `day-task ${task.priority}`;
+                taskEl.textContent = task.title;
+                taskEl.draggable = true;
+                taskEl.tabIndex = 0;
+                taskEl.dataset.taskId = task.id;
+                taskEl.onclick = (e) => {
+                    e.stopPropagation();
+                    this.openEditTask(task.id);
+                };
+                dayTasksContainer.appendChild(taskEl);
+            });
+
+            projectedOccurrences.filter(o => o.date === dateStr).forEach(({ task }) => {
+                const taskEl = document.createElement('div');
+                taskEl.className = `day-task projected ${task.priority}`;
+                taskEl.title = this.describeRecurrence(task.recurrence);
+                taskEl.textContent = task.title;
+                taskEl.onclick = (e) => {
+                    e.stopPropagation();
+                    this.openEditTask(task.id);
+                };
+                dayTasksContainer.appendChild(taskEl);
+            });
+
+            cells.push(dayEl);
+        }
+
+        while (cells.length % 7 !== 0) {
+            const emptyDay = document.createElement('div');
+            emptyDay.className = 'calendar-day other-month';
+            emptyDay.setAttribute('role', 'gridcell');
+            cells.push(emptyDay);
+        }
+        for (let i = 0; i < cells.length; i += 7) {
+            createRow().append(...cells.slice(i, i + 7));
+        }
+    }
+
+    handleCalendarKeydown(e) {
+        const cell = e.target.closest?.('.calendar-day[data-date]');
+        if (!cell || e.target !== cell || e.altKey || e.ctrlKey || e.metaKey) return;
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.prefillNewTask(cell.dataset.date);
+            return;
+        }
+
+        const date = LocalDate.parse(cell.dataset.date);
+        const offsets = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+        if (offsets[e.key]) {
+            date.setDate(date.getDate() + offsets[e.key]);
+        } else if (e.key === 'Home') {
+            date.setTime(LocalDate.startOfWeek(date).getTime());
+        } else if (e.key === 'End') {
+            date.setTime(LocalDate.startOfWeek(date).getTime());
+            date.setDate(date.getDate() + 6);
+        } else if (e.key === 'PageUp' || e.key === 'PageDown') {
+            date.setMonth(date.getMonth() + (e.key === 'PageUp' ? -1 : 1));
+        } else {
+            return;
+        }
+        e.preventDefault();
+        this.focusCalendarDate(date);
+    }
+
+    focusCalendarDate(date) {
+        const key = LocalDate.toKey(date);
+        const container = document.getElementById('calendar-container');
+        this.calendarFocusDate = key;
+        let cell = container.querySelector(`.calendar-day[data-date="${key}"]`);
+        if (cell) {
+            container.querySelectorAll('.calendar-day[data-date]').forEach(day => {
+                day.tabIndex = day === cell ? 0 : -1;
+            });
+        } else {
+            this.calendarDate = new Date(date.getFullYear(), date.getMonth(), 1);
+            this.renderCalendarView();
+            cell = container.querySelector(`.calendar-day[data-date="${key}"]`);
+        }
+        cell?.focus();
+    }
+
+    getViewContainer() {
+        const containers = { list: 'tasks-list', grid: 'grid-container', calendar: 'calendar-container', week: 'timeline-container', day: 'timeline-container', board: 'board-container' };
+        return document.getElementById(containers[this.currentView]);
+    }
+
+    getTaskOrderContainer(taskId) {
+        const card = this.getViewContainer()?.querySelector(`.task-card[data-task-id="${taskId}"]`);
+        return card ? card.parentElement : null;
+    }
+
+    getContainerTaskIds(container) {
+        return [...container.querySelectorAll(':scope > .task-card')].map(card => parseFloat(card.dataset.taskId));
+    }
+
+    reorderTask(taskId, targetId, placeAfter) {
+        const id = parseFloat(taskId);
+        const target = parseFloat(targetId);
+        const container = this.getTaskOrderContainer(taskId);
+        if (!container || id === target) return false;
+
+        const ids = this.getContainerTaskIds(container);
+        if (!ids.includes(target)) return false;
+        ids.splice(ids.indexOf(id), 1);
+        ids.splice(ids.indexOf(target) + (placeAfter ? 1 : 0), 0, id);
+        return this.applyManualOrder(ids, id);
+    }
+
+    moveTaskInOrder(taskId, direction) {
+        const id = parseFloat(taskId);
+        const container = this.getTaskOrderContainer(taskId);
+        if (!container) return false;
+
+        const ids = this.getContainerTaskIds(container);
+        const from = ids.indexOf(id);
+        const to = from + direction;
+        if (to < 0 || to >= ids.length) return false;
+        [ids[from], ids[to]] = [ids[to], ids[from]];
+        return this.applyManualOrder(ids, id);
+    }
+
+    applyManualOrder(ids, focusId) {
+        const tasks = ids.map(id => this.tasks.find(t => t.id === id)).filter(Boolean);
+        const slots = tasks.map(task => task.order).sort((a, b) => a - b);
+        for (let i = 1; i < slots.length; i++) {
+            if (slots[i] <= slots[i - 1]) slots[i] = slots[i - 1] + 1;
+        }
+
+        this.recordHistory('Reorder tasks', () => {
+            tasks.forEach((task, index) => {
+                task.order = slots[index];
+            });
+        });
+        document.querySelector('.sort-select').value = 'manual';
+        this.saveTasks();
+        this.renderTasks();
+        this.focusTask(focusId);
+        return true;
+    }
+
+    rescheduleTask(taskId, dueDate, dueTime = undefined) {
+        const task = this.tasks.find(t => t.id === parseFloat(taskId));
+        if (!task || !dueDate) return false;
+        const local = this.getLocalDue(task);
+        if (local.date === dueDate && (dueTime === undefined || local.time === dueTime)) return false;
+
+        const time = dueTime === undefined ? task.dueTime : dueTime;
+        const target = task.timeZone && time
+            ? LocalDate.inZone(LocalDate.parse(dueDate, dueTime === undefined ? local.time : dueTime), task.timeZone)
+            : { date: dueDate, time };
+        this.recordHistory('Reschedule task', () => {
+            task.dueDate = target.date;
+            task.dueTime = target.time;
+        });
+        this.saveTasks();
+        this.updateStats();
+        this.renderTasks();
+        this.focusTask(task.id);
+        const timeLabel = dueTime ? ` at ${dueTime}` : '';
+        this.showToast(`Moved "${this.escapeHtml(task.title)}" to ${this.formatDate(dueDate)}${timeLabel}`, 'success', this.undoAction());
+        return true;
+    }
+
+    focusTask(taskId) {
+        const element = this.getViewContainer()?.querySelector(`.task-card[data-task-id="${taskId}"], .day-task[data-task-id="${taskId}"], .timeline-task[data-task-id="${taskId}"]`);
+        if (element) {
+            element.focus();
+        }
+    }
+
+    handleTaskDragStart(e) {
+        const source = e.target.closest?.('.task-card, .day-task[data-task-id], .timeline-task[data-task-id]');
+        if (!source) return;
+        this.draggedTaskId = source.dataset.taskId;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', source.dataset.taskId);
+        source.classList.add('dragging');
+    }
+
+    handleTaskDragEnd() {
+        this.draggedTaskId = null;
+        clearTimeout(this.viewSwitchTimer);
+        document.querySelectorAll('.dragging, .drop-before, .drop-after, .drag-over').forEach(el => {
+            el.classList.remove('dragging', 'drop-before', 'drop-after', 'drag-over');
+        });
+    }
+
+    getDropPosition(e, card) {
+        const rect = card.getBoundingClientRect();
+        return card.closest('#grid-container')
+            ? e.clientX > rect.left + rect.width / 2
+            : e.clientY > rect.top + rect.height / 2;
+    }
+
+    handleCardDragOver(e) {
+        const card = e.target.closest('.task-card');
+        const source = document.querySelector('.task-card.dragging');
+        if (!card || !source || card === source || card.parentElement !== source.parentElement) return;
+        e.preventDefault();
+        const placeAfter = this.getDropPosition(e, card);
+        document.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+        card.classList.add(placeAfter ? 'drop-after' : 'drop-before');
+    }
+
+    handleCardDrop(e) {
+        const card = e.target.closest('.task-card');
+        if (!card || !this.draggedTaskId) return;
+        e.preventDefault();
+        const taskId = this.draggedTaskId;
+        const placeAfter = this.getDropPosition(e, card);
+        this.handleTaskDragEnd();
+        this.reorderTask(taskId, card.dataset.taskId, placeAfter);
+    }
+
+    handleCalendarDragOver(e) {
+        const day = e.target.closest('.calendar-day[data-date]');
+        if (!day || !this.draggedTaskId) return;
+        e.preventDefault();
+        document.querySelectorAll('.calendar-day.drag-over').forEach(el => el !== day && el.classList.remove('drag-over'));
+        day.classList.add('drag-over');
+    }
+
+    handleCalendarDrop(e) {
+        const day = e.target.closest('.calendar-day[data-date]');
+        const taskId = this.draggedTaskId || e.dataTransfer.getData('text/plain');
+        if (!day || !taskId) return;
+        e.preventDefault();
+        this.handleTaskDragEnd();
+        this.rescheduleTask(taskId, day.dataset.date);
+    }
+
+    handleTaskKeydown(e) {
+        const element = e.target.closest?.('.task-card, .day-task[data-task-id], .timeline-task[data-task-id]');
+        if (!element || e.target !== element) return;
+        const taskId = element.dataset.taskId;
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.openEditTask(taskId);
+            return;
+        }
+        if (e.key === ' ' && this.selectionMode && element.classList.contains('task-card')) {
+            e.preventDefault();
+            this.toggleTaskSelection(taskId, e.shiftKey);
+            return;
+        }
+        if (!e.altKey || !e.key.startsWith('Arrow')) return;
+        e.preventDefault();
+
+        if (element.closest('.board-column') && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            this.shiftTaskColumn(taskId, e.key === 'ArrowLeft' ? -1 : 1);
+        } else if (element.classList.contains('timeline-task')) {
+            const task = this.tasks.find(t => t.id === parseFloat(taskId));
+            const due = this.getLocalDue(task);
+            const date = LocalDate.parse(due.date, due.time);
+            if (task.dueTime && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                date.setMinutes(date.getMinutes() + (e.key === 'ArrowUp' ? -30 : 30));
+            } else {
+                date.setDate(date.getDate() + ({ ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 })[e.key]);
+            }
+            this.timelineDate = new Date(date);
+            this.rescheduleTask(taskId, LocalDate.toKey(date), task.dueTime ? LocalDate.toTime(date) : undefined);
+        } else if (element.classList.contains('day-task')) {
+            const task = this.tasks.find(t => t.id === parseFloat(taskId));
+            const offsets = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+            const date = LocalDate.parse(this.getLocalDue(task).date);
+            date.setDate(date.getDate() + offsets[e.key]);
+            this.calendarDate = new Date(date.getFullYear(), date.getMonth(), 1);
+            this.rescheduleTask(taskId, LocalDate.toKey(date));
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+            this.moveTaskInOrder(taskId, -1);
+        } else {
+            this.moveTaskInOrder(taskId, 1);
+        }
+    }
+
+    getTaskColumn(task) {
+        return this.boardColumns.find(column => column.id === task.status)
+            || this.boardColumns.find(column => column.id === (task.completed ? this.getDoneStatus() : this.getOpenStatus()));
+    }
+
+    getColumnTaskCount(columnId) {
+        return this.tasks.filter(task => this.getTaskColumn(task).id === columnId).length;
+    }
+
+    renderBoardView(tasks) {
+        const container = document.getElementById('board-container');
+        if (!container) return;
+        const lastIndex = this.boardColumns.length - 1;
+
+        container.innerHTML = this.boardColumns.map((column, index) => {
+            const columnTasks = tasks.filter(task => this.getTaskColumn(task).id === column.id);
+            const count = this.getColumnTaskCount(column.id);
+            const overLimit = column.wipLimit > 0 && count > column.wipLimit;
+            return `
+                <section class="board-column ${column.done ? 'done-column' : ''} ${overLimit ? 'over-limit' : ''}" data-status="${column.id}">
+                    <header class="board-column-header">
+                        <h4 class="board-column-title">${this.escapeHtml(column.name)}</h4>
+                        <span class="board-column-count" title="${column.wipLimit > 0 ? 'Tasks / WIP limit' : 'Tasks'}">${count}${column.wipLimit > 0 ? `/${column.wipLimit}` : ''}</span>
+                        <div class="board-column-actions">
+                            <button data-column-action="left" title="Move column left" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-left"></i></button>
+                            <button data-column-action="right" title="Move column right" ${index === lastIndex ? 'disabled' : ''}><i class="fas fa-arrow-right"></i></button>
+                            <button data-column-action="rename" title="Rename column"><i class="fas fa-pen"></i></button>
+                            <button data-column-action="limit" title="Set WIP limit"><i class="fas fa-tachometer-alt"></i></button>
+                            ${column.done ? '' : '<button data-column-action="delete" title="Delete column"><i class="fas fa-trash"></i></button>'}
+                        </div>
+                    </header>
+                    ${overLimit ? `<div class="board-column-warning"><i class="fas fa-exclamation-triangle"></i> Over WIP limit</div>` : ''}
+                    <ul class="board-cards" aria-label="${this.escapeHtml(column.name)}">${columnTasks.map(task => this.createTaskCard(task, 'board')).join('')}</ul>
+                </section>
+            `;
+        }).join('');
+    }
+
+    moveTaskToStatus(taskId, status) {
+        const task = this.tasks.find(t => t.id === parseFloat(taskId));
+        const column = this.boardColumns.find(c => c.id === status);
+        if (!task || !column || this.getTaskColumn(task).id === status) return false;
+
+        let nextOccurrence = null;
+        this.recordHistory('Move task', () => {
+            nextOccurrence = this.setTaskStatus(task, status);
+            task.order = Date.now();
+        });
+        this.saveTasks();
+        this.updateStats();
+        this.renderTasks();
+        this.focusTask(task.id);
+
+        let message = `Moved "${this.escapeHtml(task.title)}" to ${this.escapeHtml(column.name)}`;
+        if (nextOccurrence) {
+            message += `. Next one is due ${this.formatDate(nextOccurrence.dueDate)}.`;
+        }
+        this.showToast(message, 'success', this.undoAction());
+
+        const count = this.getColumnTaskCount(status);
+        if (column.wipLimit > 0 && count > column.wipLimit) {
+            this.showToast(`${this.escapeHtml(column.name)} is over its WIP limit (${count}/${column.wipLimit}).`, 'error');
+        }
+        return true;
+    }
+
+    shiftTaskColumn(taskId, direction) {
+        const task = this.tasks.find(t => t.id === parseFloat(taskId));
+        if (!task) return false;
+        const index = this.boardColumns.indexOf(this.getTaskColumn(task)) + direction;
+        if (index < 0 || index >= this.boardColumns.length) return false;
+        return this.moveTaskToStatus(taskId, this.boardColumns[index].id);
+    }
+
+    handleBoardDragOver(e) {
+        const column = e.target.closest('.board-column');
+        const source = document.querySelector('.task-card.dragging');
+        if (!column || !this.draggedTaskId) return;
+        if (source && source.closest('.board-column') === column) {
+            this.handleCardDragOver(e);
+            return;
+        }
+        e.preventDefault();
+        document.querySelectorAll('.board-column.drag-over').forEach(el => el !== column && el.classList.remove('drag-over'));
+        column.classList.add('drag-over');
+    }
+
+    handleBoardDrop(e) {
+        const column = e.target.closest('.board-column');
+        const source = document.querySelector('.task-card.dragging');
+        if (!column || !this.draggedTaskId) return;
+        if (source && source.closest('.board-column') === column) {
+            this.handleCardDrop(e);
+            return;
+        }
+        e.preventDefault();
+        const taskId = this.draggedTaskId;
+        this.handleTaskDragEnd();
+        this.moveTaskToStatus(taskId, column.dataset.status);
+    }
+
+    handleBoardColumnAction(e) {
+        const button = e.target.closest('[data-column-action]');
+        if (!button) return;
+        const id = button.closest('.board-column').dataset.status;
+        const index = this.boardColumns.findIndex(column => column.id === id);
+        const column = this.boardColumns[index];
+        let label;
+        let update;
+
+        switch (button.dataset.columnAction) {
+            case 'left':
+            case 'right': {
+                const target = index + (button.dataset.columnAction === 'left' ? -1 : 1);
+                if (target < 0 || target >= this.boardColumns.length) return;
+                label = 'Move column';
+                update = () => {
+                    [this.boardColumns[index], this.boardColumns[target]] = [this.boardColumns[target], this.boardColumns[index]];
+                };
+                break;
+            }
+            case 'rename': {
+                const name = window.prompt('Column name:', column.name);
+                if (!name || !name.trim()) return;
+                label = 'Rename column';
+                update = () => {
+                    column.name = name.trim();
+                };
+                break;
+            }
+            case 'limit': {
+                const value = window.prompt(`WIP limit for "${column.name}" (0 for no limit):`, column.wipLimit || 0);
+                if (value === null) return;
+                const limit = parseInt(value, 10);
+                if (!Number.isFinite(limit) || limit < 0) {
+                    this.showToast('WIP limit must be a whole number.', 'error');
+                    return;
+                }
+                label = 'Set WIP limit';
+                update = () => {
+                    column.wipLimit = limit;
+                };
+                break;
+            }
+            case 'delete':
+                this.deleteBoardColumn(id);
+                return;
+        }
+        this.recordHistory(label, update);
+        this.saveBoardColumns();
+        this.renderTasks();
+    }
+
+    addBoardColumn() {
+        const name = window.prompt('Name for the new column:');
+        if (!name || !name.trim()) return false;
+
+        const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'column';
+        let id = base;
+        for (let n = 2; this.boardColumns.some(column => column.id === id); n++) {
+            id = `${base}-${n}`;
+        }
+        const doneIndex = this.boardColumns.findIndex(column => column.id === this.getDoneStatus());
+        this.recordHistory('Add column', () => {
+            this.boardColumns.splice(doneIndex, 0, { id, name: name.trim(), wipLimit: 0 });
+        });
+        this.saveBoardColumns();
+        this.renderTasks();
+        this.showToast(`Column "${this.escapeHtml(name.trim())}" added`, 'success', this.undoAction());
+        return true;
+    }
+
+    deleteBoardColumn(id) {
+        const column = this.boardColumns.find(c => c.id === id);
+        const openColumns = this.boardColumns.filter(c => c.id !== this.getDoneStatus());
+        if (!column || column.id === this.getDoneStatus()) return false;
+        if (openColumns.length === 1) {
+            this.showToast('The board needs at least one open column.', 'error');
+            return false;
+        }
+
+        const fallback = openColumns.find(c => c.id !== id);
+        const affected = this.tasks.filter(task => this.getTaskColumn(task).id === id);
+        this.recordHistory('Delete column', () => {
+            this.boardColumns = this.boardColumns.filter(c => c.id !== id);
+            affected.forEach(task => {
+                task.status = fallback.id;
+            });
+        });
+        this.saveBoardColumns();
+        this.saveTasks();
+        this.renderTasks();
+        const moved = affected.length > 0 ? ` and moved ${affected.length} task${affected.length === 1 ? '' : 's'} to "${this.escapeHtml(fallback.name)}"` : '';
+        this.showToast(`Deleted column "${this.escapeHtml(column.name)}"${moved}`, 'success', this.undoAction());
+        return true;
+    }
+
+    setSelectionMode(enabled) {
+        this.selectionMode = enabled;
+        if (!enabled) {
+            this.selectedTasks.clear();
+            this.lastSelectedId = null;
+        }
+        this.renderTasks();
+    }
+
+    getSelectedTasks() {
+        return this.tasks.filter(task => this.selectedTasks.has(task.id));
+    }
+
+    toggleTaskSelection(taskId, range = false) {
+        const id = parseFloat(taskId);
+        const container = this.getViewContainer();
+        const ids = container ? [...container.querySelectorAll('.task-card')].map(card => parseFloat(card.dataset.taskId)) : [];
+
+        if (range && this.lastSelectedId !== null && ids.includes(this.lastSelectedId) && ids.includes(id)) {
+            const [from, to] = [ids.indexOf(this.lastSelectedId), ids.indexOf(id)].sort((a, b) => a - b);
+            ids.slice(from, to + 1).forEach(rangeId => this.selectedTasks.add(rangeId));
+        } else if (this.selectedTasks.has(id)) {
+            this.selectedTasks.delete(id);
+        } else {
+            this.selectedTasks.add(id);
+        }
+        this.lastSelectedId = id;
+        this.selectionMode = true;
+        this.renderTasks();
+        this.focusTask(id);
     }
 
-   
-    formatDate(dateStr) {
-        if (!dateStr) return '';
-        const date = new Date(dateStr + 'T00:00:00');
-        const today = new Date();
-        const tomorrow = new Date();
-        tomorrow.setDate(today.getDate() + 1);
+    selectTasks(ids) {
+        const allSelected = ids.every(id => this.selectedTasks.has(id));
+        ids.forEach(id => (allSelected ? this.selectedTasks.delete(id) : this.selectedTasks.add(id)));
+        this.selectionMode = true;
+        this.renderTasks();
+    }
 
-        if (date.toDateString() === today.toDateString()) {
-            return 'Today';
-        }
-        if (date.toDateString() === tomorrow.toDateString()) {
-            return 'Tomorrow';
+    handleSelectionClick(e) {
+        const sectionButton = e.target.closest('.section-select');
+        if (sectionButton) {
+            const group = document.getElementById(sectionButton.dataset.section);
+            this.selectTasks(this.getContainerTaskIds(group));
+            return;
         }
 
-        const options = { month: 'short', day: 'numeric', year: 'numeric' };
-        return date.toLocaleDateString('en-US', options);
+        const card = e.target.closest('.task-card');
+        if (!card || (!this.selectionMode && !e.shiftKey)) return;
+        if (e.target.closest('.task-action-btn, .task-checkbox, .subtask-progress, .subtask-list, .task-description a, .note-task')) return;
+        e.preventDefault();
+        this.toggleTaskSelection(card.dataset.taskId, e.shiftKey);
     }
 
-    escapeHtml(unsafe) {
-        if (typeof unsafe !== 'string') return unsafe;
-        return unsafe.replace(/&/g, "&amp;")
-                     .replace(/</g, "&lt;")
-                     .replace(/>/g, "&gt;")
-                     .replace(/"/g, "&quot;")
-                     .replace(/'/g, "&#039;");
+    updateSelectionUI() {
+        this.selectedTasks.forEach(id => {
+            if (!this.tasks.some(task => task.id === id)) this.selectedTasks.delete(id);
+        });
+        document.querySelector('.tasks-container').classList.toggle('selection-mode', this.selectionMode);
+        document.getElementById('select-mode-btn').classList.toggle('active', this.selectionMode);
+        document.getElementById('select-mode-btn').setAttribute('aria-pressed', this.selectionMode);
+        document.getElementById('batch-toolbar').classList.toggle('active', this.selectionMode);
+        document.getElementById('batch-count').textContent = `${this.selectedTasks.size} selected`;
+        document.querySelectorAll('.section-select').forEach(button => {
+            const ids = this.getContainerTaskIds(document.getElementById(button.dataset.section));
+            button.textContent = ids.length > 0 && ids.every(id => this.selectedTasks.has(id)) ? 'Select none' : 'Select all';
+            button.hidden = ids.length === 0;
+        });
     }
 
-    
-    renderTasks() {
-        const filteredTasks = this.getFilteredTasks();
-        const tasksListView = document.getElementById('tasks-list');
-        const tasksGridView = document.getElementById('tasks-grid');
-        const tasksCalendarView = document.getElementById('tasks-calendar');
-
-        tasksListView.style.display = 'none';
-        tasksGridView.style.display = 'none';
-        tasksCalendarView.style.display = 'none';
-
-        if (this.currentView === 'list') {
-            tasksListView.style.display = 'block';
-            this.renderListView(filteredTasks);
-        } else if (this.currentView === 'grid') {
-            tasksGridView.style.display = 'block';
-            this.renderGridView(filteredTasks);
-        } else if (this.currentView === 'calendar') {
-            tasksCalendarView.style.display = 'block';
-            this.renderCalendarView();
-        }
+    handleBatchAction(e) {
+        const control = e.target.closest('[data-batch]');
+        if (!control) return;
+        const action = control.dataset.batch;
+        const isSelect = control.tagName === 'SELECT';
+        if (isSelect !== (e.type === 'change')) return;
+        const value = isSelect ? control.value : '';
+        if (isSelect) control.selectedIndex = 0;
 
-        const emptyState = document.getElementById('empty-state');
-        if (emptyState) {
-            emptyState.style.display = this.tasks.length === 0 ? 'flex' : 'none';
+        switch (action) {
+            case 'select-visible': {
+                const container = this.getViewContainer();
+                this.selectTasks(container ? [...container.querySelectorAll('.task-card')].map(card => parseFloat(card.dataset.taskId)) : []);
+                break;
+            }
+            case 'exit':
+                this.setSelectionMode(false);
+                break;
+            case 'complete': {
+                const blocked = this.getBlockedIds();
+                this.applyBatch('Complete tasks', 'Completed', task => {
+                    if (!task.completed) this.setTaskStatus(task, this.getDoneStatus());
+                });
+                this.announceUnblocked(blocked);
+                break;
+            }
+            case 'archive':
+                if (this.archiveTasks(new Set(this.selectedTasks)) > 0) {
+                    this.selectedTasks.clear();
+                    this.updateSelectionUI();
+                }
+                break;
+            case 'delete': {
+                const ids = new Set(this.selectedTasks);
+                if (!this.confirmBlockerDeletion(this.getSelectedTasks())) break;
+                const blocked = this.getBlockedIds();
+                const now = Date.now();
+                this.applyBatch('Delete tasks', 'Moved to trash:', () => {
+                    this.getSelectedTasks().forEach(task => this.shelveTask(task, 'deletedAt', now));
+                    this.removeBlockerReferences(ids);
+                }, true);
+                this.announceUnblocked(blocked);
+                this.selectedTasks.clear();
+                this.updateSelectionUI();
+                break;
+            }
+            case 'priority':
+                if (value) this.applyBatch('Change priority', `Set ${value} priority on`, task => {
+                    task.priority = value;
+                });
+                break;
+            case 'category':
+                if (value) this.applyBatch('Change category', `Moved to ${this.escapeHtml(this.getCategory(value).name)}:`, task => {
+                    task.category = value;
+                });
+                break;
+            case 'transfer': {
+                const [mode, targetId] = value.split(':');
+                if (!targetId) break;
+                if (this.selectedTasks.size === 0) {
+                    this.showToast('Select some tasks first.', 'warning');
+                } else {
+                    this.transferTasks([...this.selectedTasks], targetId, mode === 'copy');
+                }
+                break;
+            }
+            case 'reschedule':
+                if (value === 'pick') {
+                    const dateInput = document.getElementById('batch-date');
+                    dateInput.classList.add('active');
+                    dateInput.focus();
+                    dateInput.showPicker?.();
+                } else if (value) {
+                    this.rescheduleSelected(value);
+                }
+                break;
+            case 'add-tag':
+            case 'remove-tag': {
+                const input = document.getElementById('batch-tag');
+                const tag = input.value.replace(/,/g, ' ').trim();
+                if (!tag) {
+                    input.focus();
+                    return;
+                }
+                const adding = action === 'add-tag';
+                this.applyBatch(adding ? 'Add tag' : 'Remove tag', adding ? `Tagged "${this.escapeHtml(tag)}" on` : `Removed "${this.escapeHtml(tag)}" from`, task => {
+                    task.tags = adding ? [...new Set([...task.tags, tag])] : task.tags.filter(t => t !== tag);
+                });
+                input.value = '';
+                break;
+            }
         }
     }
 
-    renderListView(tasks) {
-        const overdue = tasks.filter(t => this.isOverdue(t));
-        const todayTasks = tasks.filter(t => this.isToday(t) && !t.completed);
-        const upcoming = tasks.filter(t => this.isUpcoming(t) && !t.completed);
-        const noDate = tasks.filter(t => !t.dueDate && !t.completed);
-        const completed = tasks.filter(t => t.completed);
+    rescheduleSelected(preset) {
+        const today = new Date();
+        const shift = (base, days) => {
+            const date = base ? LocalDate.parse(base) : new Date(today);
+            date.setDate(date.getDate() + days);
+            return LocalDate.toKey(date);
+        };
+        const targets = {
+            today: () => LocalDate.toKey(today),
+            tomorrow: () => shift('', 1),
+            week: task => shift(task.dueDate, 7)
+        };
+        const label = { today: 'to today', tomorrow: 'to tomorrow', week: 'by a week' }[preset] || `to ${this.formatDate(preset)}`;
+        const target = targets[preset] || (() => preset);
+        this.applyBatch('Reschedule tasks', `Moved ${label}:`, task => {
+            task.dueDate = target(task);
+        });
+    }
 
-        this.renderTaskSection('overdue-tasks', overdue);
-        this.renderTaskSection('today-tasks', todayTasks);
-        this.renderTaskSection('upcoming-tasks', upcoming);
-        this.renderTaskSection('no-date-tasks', noDate);
-        this.renderTaskSection('completed-tasks', completed);
-        
-        this.updateSectionCount('overdue-tasks', overdue.length);
-        this.updateSectionCount('today-tasks', todayTasks.length);
-        this.updateSectionCount('upcoming-tasks', upcoming.length);
-        this.updateSectionCount('no-date-tasks', noDate.length);
-        this.updateSectionCount('completed-tasks', completed.length);
+    applyBatch(label, summary, mutateTask, wholeList = false) {
+        const tasks = this.getSelectedTasks();
+        if (tasks.length === 0) {
+            this.showToast('Select some tasks first.', 'warning');
+            return false;
+        }
 
-        document.getElementById('tasks-list').style.display = (overdue.length + todayTasks.length + upcoming.length + noDate.length + completed.length) > 0 ? 'block' : 'none';
+        this.recordHistory(label, () => {
+            if (wholeList) {
+                mutateTask();
+            } else {
+                tasks.forEach(task => mutateTask(task));
+            }
+        });
+        this.saveTasks();
+        this.updateStats();
+        this.renderTasks();
+        this.showToast(`${summary} ${tasks.length} task${tasks.length === 1 ? '' : 's'}`, 'success', this.undoAction());
+        return true;
     }
 
-    renderTaskSection(sectionId, tasks) {
-        const section = document.querySelector(`#${sectionId}`);
-        if (!section) return;
-        section.innerHTML = tasks.map(task => this.createTaskCard(task)).join('');
+    getTimelineDays() {
+        const anchor = new Date(this.timelineDate.getFullYear(), this.timelineDate.getMonth(), this.timelineDate.getDate());
+        if (this.currentView === 'day') return [anchor];
+        const start = LocalDate.startOfWeek(anchor);
+        return Array.from({ length: 7 }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
     }
 
-    renderGridView(tasks) {
-        const container = document.getElementById('grid-container');
-        if (!container) return;
-        container.innerHTML = tasks.map(task => this.createTaskCard(task, 'grid')).join('');
+    layoutTimelineTasks(entries) {
+        const duration = 60;
+        const sorted = entries
+            .map(entry => {
+                const [hours, minutes] = entry.time.split(':').map(Number);
+                const start = hours * 60 + minutes;
+                return { ...entry, start, end: Math.min(start + duration, 24 * 60) };
+            })
+            .sort((a, b) => a.start - b.start);
+
+        let cluster = [];
+        let clusterEnd = -1;
+        const finishCluster = () => {
+            const lanes = Math.max(...cluster.map(item => item.lane)) + 1;
+            cluster.forEach(item => {
+                item.lanes = lanes;
+            });
+            cluster = [];
+        };
+
+        sorted.forEach(item => {
+            if (cluster.length > 0 && item.start >= clusterEnd) finishCluster();
+            const laneEnds = [];
+            cluster.forEach(other => {
+                laneEnds[other.lane] = Math.max(laneEnds[other.lane] || 0, other.end);
+            });
+            let lane = laneEnds.findIndex(end => end <= item.start);
+            if (lane === -1) lane = laneEnds.length;
+            item.lane = lane;
+            cluster.push(item);
+            clusterEnd = Math.max(clusterEnd, item.end);
+        });
+        if (cluster.length > 0) finishCluster();
+        return sorted;
     }
 
-    renderCalendarView() {
-        const container = document.getElementById('calendar-container');
-        const monthYearTitle = document.getElementById('calendar-month-year');
-        if (!container || !monthYearTitle) return;
+    renderTimelineView() {
+        const container = document.getElementById('timeline-container');
+        const title = document.getElementById('timeline-title');
+        if (!container || !title) return;
 
-        container.innerHTML = '';
-        const year = this.calendarDate.getFullYear();
-        const month = this.calendarDate.getMonth();
-        const firstDay = new Date(year, month, 1);
-        const lastDay = new Date(year, month + 1, 0);
-        const startDayOfWeek = firstDay.getDay();
+        const days = this.getTimelineDays();
+        const dayKeys = days.map(day => LocalDate.toKey(day));
+        const todayKey = LocalDate.today();
+        const first = days[0];
+        const last = days[days.length - 1];
+        const hourHeight = 48;
 
-        monthYearTitle.textContent = this.calendarDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        title.textContent = this.currentView === 'day'
+            ? LocalDate.format(first, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+            : `${LocalDate.format(first, { month: 'short', day: 'numeric' })} – ${LocalDate.format(last, { month: 'short', day: 'numeric', year: 'numeric' })}`;
 
-        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-        dayNames.forEach(day => {
-            const dayNameEl = document.createElement('div');
-            dayNameEl.className = 'calendar-day-name';
-            dayNameEl.textContent = day;
-            container.appendChild(dayNameEl);
+        const entries = this.tasks
+            .map(task => ({ task, ...this.getLocalDue(task), projected: false }))
+            .filter(entry => entry.date && dayKeys.includes(entry.date));
+        this.tasks.forEach(task => {
+            this.getProjectedOccurrences(task, dayKeys[dayKeys.length - 1])
+                .filter(date => dayKeys.includes(date))
+                .forEach(date => entries.push({ task, date, time: task.dueTime, projected: true }));
         });
 
-        for (let i = 0; i < startDayOfWeek; i++) {
-            const emptyDay = document.createElement('div');
-            emptyDay.className = 'calendar-day other-month';
-            container.appendChild(emptyDay);
-        }
+        const taskAttributes = ({ task, projected }) => projected
+            ? `class="timeline-task projected ${this.escapeHtml(task.priority)}" data-open-task="${task.id}" title="${this.escapeHtml(this.describeRecurrence(task.recurrence))}"`
+            : `class="timeline-task ${this.escapeHtml(task.priority)} ${task.completed ? 'completed' : ''}" data-task-id="${task.id}" draggable="true" tabindex="0"`;
 
-        const tasksForMonth = this.tasks.filter(t => {
-            if (!t.dueDate) return false;
-            const taskDate = new Date(t.dueDate);
-            return taskDate.getFullYear() === year && taskDate.getMonth() === month;
-        });
+        const headerHtml = days.map((day, index) => `
+            <div class="timeline-day-header ${dayKeys[index] === todayKey ? 'today' : ''}">
+                <span class="timeline-weekday">${LocalDate.format(day, { weekday: 'short' })}</span>
+                <span class="timeline-date">${day.getDate()}</span>
+            </div>
+        `).join('');
 
-        for (let day = 1; day <= lastDay.getDate(); day++) {
-            const date = new Date(year, month, day);
-            const dateStr = date.toISOString().split('T')[0];
-            const dayEl = document.createElement('div');
-            dayEl.className = 'calendar-day';
-            dayEl.dataset.date = dateStr;
-            dayEl.innerHTML = `<span class="day-number">${day}</span><div class="day-tasks"></div>`;
+        const allDayHtml = dayKeys.map(key => `
+            <div class="timeline-allday" data-date="${key}">
+                ${entries.filter(entry => entry.date === key && !entry.time).map(entry => `
+                    <div ${taskAttributes(entry)}>${this.escapeHtml(entry.task.title)}</div>
+                `).join('')}
+            </div>
+        `).join('');
 
-            if (date.toDateString() === new Date().toDateString()) {
-                dayEl.classList.add('today');
-            }
+        const hoursHtml = Array.from({ length: 24 }, (_, hour) => `
+            <div class="timeline-hour-label" style="height: ${hourHeight}px">${hour === 0 ? '' : `${String(hour).padStart(2, '0')}:00`}</div>
+        `).join('');
 
-            const dayTasksContainer = dayEl.querySelector('.day-tasks');
-            const tasksForDay = tasksForMonth.filter(t => t.dueDate === dateStr);
+        const columnsHtml = dayKeys.map(key => {
+            const slots = Array.from({ length: 48 }, (_, i) => {
+                const time = `${String(Math.floor(i / 2)).padStart(2, '0')}:${i % 2 ? '30' : '00'}`;
+                return `<div class="timeline-slot" data-date="${key}" data-time="${time}" style="height: ${hourHeight / 2}px"></div>`;
+            }).join('');
+            const timed = this.layoutTimelineTasks(entries.filter(entry => entry.date === key && entry.time));
+            const tasksHtml = timed.map(item => `
+                <div ${taskAttributes(item)} style="top: ${(item.start / 60) * hourHeight}px; height: ${((item.end - item.start) / 60) * hourHeight - 2}px; left: ${(item.lane / item.lanes) * 100}%; width: calc(${100 / item.lanes}% - 4px)">
+                    <span class="timeline-task-time">${this.escapeHtml(item.time)}</span>
+                    <span class="timeline-task-title">${this.escapeHtml(item.task.title)}</span>
+                </div>
+            `).join('');
+            return `<div class="timeline-column ${key === todayKey ? 'today' : ''}" data-date="${key}">${slots}${tasksHtml}</div>`;
+        }).join('');
 
-            tasksForDay.forEach(task => {
-                const taskEl = document.createElement('div');
-                taskEl.className = `day-task ${task.priority}`;
-                taskEl.textContent = this.escapeHtml(task.title);
-                taskEl.onclick = (e) => {
-                    e.stopPropagation();
-                    this.openEditTask(task.id);
-                };
-                dayTasksContainer.appendChild(taskEl);
-            });
+        const previousScroll = container.querySelector('.timeline-body')?.scrollTop;
+        container.style.setProperty('--timeline-days', days.length);
+        container.innerHTML = `
+            <div class="timeline-head">
+                <div class="timeline-corner"></div>
+                ${headerHtml}
+                <div class="timeline-allday-label">All day</div>
+                ${allDayHtml}
+            </div>
+            <div class="timeline-body">
+                <div class="timeline-hours">${hoursHtml}</div>
+                ${columnsHtml}
+            </div>
+        `;
+
+        const body = container.querySelector('.timeline-body');
+        body.scrollTop = previousScroll ?? hourHeight * 7;
+        if (dayKeys.includes(todayKey)) {
+            const now = new Date();
+            const marker = document.createElement('div');
+            marker.className = 'timeline-now';
+            marker.style.top = `${((now.getHours() * 60 + now.getMinutes()) / 60) * hourHeight}px`;
+            body.querySelector(`.timeline-column[data-date="${todayKey}"]`).appendChild(marker);
+        }
+    }
 
-            container.appendChild(dayEl);
+    changeTimelineRange(direction) {
+        const step = this.currentView === 'day' ? 1 : 7;
+        this.timelineDate.setDate(this.timelineDate.getDate() + direction * step);
+        this.renderTimelineView();
+    }
+
+    goToToday() {
+        this.timelineDate = new Date();
+        this.renderTimelineView();
+    }
+
+    handleTimelineClick(e) {
+        const task = e.target.closest('[data-task-id], [data-open-task]');
+        if (task) {
+            this.openEditTask(task.dataset.taskId || task.dataset.openTask);
+            return;
         }
+        const slot = e.target.closest('.timeline-slot, .timeline-allday');
+        if (slot) {
+            this.prefillNewTask(slot.dataset.date, slot.dataset.time || '');
+        }
+    }
+
+    handleTimelineDragOver(e) {
+        const slot = e.target.closest('.timeline-slot, .timeline-allday');
+        if (!slot || !this.draggedTaskId) return;
+        e.preventDefault();
+        document.querySelectorAll('.drag-over').forEach(el => el !== slot && el.classList.remove('drag-over'));
+        slot.classList.add('drag-over');
+    }
+
+    handleTimelineDrop(e) {
+        const slot = e.target.closest('.timeline-slot, .timeline-allday');
+        const taskId = this.draggedTaskId || e.dataTransfer.getData('text/plain');
+        if (!slot || !taskId) return;
+        e.preventDefault();
+        this.handleTaskDragEnd();
+        this.rescheduleTask(taskId, slot.dataset.date, slot.dataset.time || '');
+    }
+
+    prefillNewTask(date, time = '') {
+        this.switchInputMode('detailed');
+        document.querySelector('.detailed-mode input[type="date"]').value = date;
+        document.querySelector('.detailed-mode input[type="time"]').value = time;
+        const titleInput = document.querySelector('.detailed-mode input[type="text"]');
+        const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+        titleInput.scrollIntoView?.({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'center' });
+        titleInput.focus();
+        this.showToast(`New task for ${this.formatDate(date)}${time ? ` at ${time}` : ''}. Enter a title to add it.`, 'success');
     }
 
     createTaskCard(task, view = 'list') {
-        const priorityClass = task.priority;
+        const priorityClass = this.escapeHtml(task.priority);
         const isOverdue = this.isOverdue(task);
         const overdueClass = isOverdue ? 'overdue' : '';
         const completedClass = task.completed ? 'completed' : '';
-        const formattedDate = this.formatDate(task.dueDate);
-        const timeDisplay = task.dueTime ? ` at ${task.dueTime}` : '';
+        const localDue = this.getLocalDue(task);
+        const formattedDate = this.formatDate(localDue.date);
+        const timeDisplay = localDue.time ? ` at ${this.escapeHtml(localDue.time)}` : '';
+        const zoneHtml = task.timeZone && task.dueTime && task.timeZone !== LocalDate.getLocalTimeZone() ? `
+                            <div class="task-timezone" title="${this.escapeHtml(`Due ${this.formatDate(task.dueDate)} at ${task.dueTime} (${task.timeZone})`)}">
+                                <i class="fas fa-globe"></i>
+                                ${this.escapeHtml(task.dueTime)} ${this.escapeHtml(this.describeTimeZone(task.timeZone))}
+                            </div>` : '';
+        const category = this.getCategory(task.category);
 
         const tagsHtml = task.tags?.length > 0 ? `
             <div class="task-tags">
@@ -336,50 +4698,503 @@ class TaskManager {
             </div>
         ` : '';
 
+        const { done, total } = this.getSubtaskProgress(task);
+        const subtasksHtml = total > 0 ? `
+            <div class="task-subtasks">
+                <button class="subtask-progress" onclick="event.stopPropagation(); taskManager.toggleSubtaskList('${task.id}')" aria-expanded="${this.expandedSubtasks.has(task.id)}" aria-label="${done} of ${total} steps done">
+                    <span class="subtask-progress-bar">
+                        <span class="subtask-progress-fill" style="width: ${Math.round((done / total) * 100)}%"></span>
+                    </span>
+                    <span class="subtask-progress-label">${done}/${total}</span>
+                    <i class="fas fa-chevron-down"></i>
+                </button>
+                <ul class="subtask-list">
+                    ${task.subtasks.map(subtask => `
+                        <li class="subtask-item ${subtask.completed ? 'completed' : ''}">
+                            <label onclick="event.stopPropagation()">
+                                <input type="checkbox" class="subtask-toggle" data-subtask-id="${subtask.id}" ${subtask.completed ? 'checked' : ''}>
+                                <span>${this.escapeHtml(subtask.title)}</span>
+                            </label>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        ` : '';
+
+        const spent = this.getTimeSpent(task);
+        const timing = task.timeEntries.some(entry => !entry.end);
+        const timeHtml = spent > 0 || task.estimate ? `
+                            <div class="task-time ${timing ? 'running' : ''} ${task.estimate && spent > task.estimate * 60000 ? 'over-estimate' : ''}" data-timer-task="${task.id}" title="Time spent${task.estimate ? ' / estimate' : ''}">
+                                <i class="fas fa-stopwatch"></i>
+                                <span class="timer-spent">${timing ? this.formatClock(spent) : this.formatMinutes(spent / 60000)}</span>${task.estimate ? ` / ${this.formatMinutes(task.estimate)}` : ''}
+                            </div>` : '';
+
+        const blockers = this.isBlocked(task) ? this.getBlockers(task).filter(blocker => !blocker.completed) : [];
+        const blockedHtml = blockers.length > 0 ? `
+                            <div class="task-blocked" title="${this.escapeHtml(`Waiting on: ${blockers.map(blocker => blocker.title).join(', ')}`)}">
+                                <i class="fas fa-link"></i>
+                                Blocked by ${blockers.length === 1 ? this.escapeHtml(blockers[0].title) : `${blockers.length} tasks`}
+                            </div>` : '';
+
+        const attachmentsHtml = task.attachments.length > 0 ? `
+                            <div class="task-attachments" title="${this.escapeHtml(task.attachments.map(attachment => attachment.name).join(', '))}">
+                                <i class="fas fa-paperclip"></i>
+                                ${task.attachments.length}
+                            </div>` : '';
+
+        const selected = this.selectedTasks.has(task.id);
+        const title = this.escapeHtml(task.title);
+
         return `
-            <div class="task-card ${priorityClass}-priority ${overdueClass} ${completedClass} ${view === 'grid' ? 'grid-task-card' : ''}" data-task-id="${task.id}">
+            <li class="task-card ${priorityClass}-priority ${overdueClass} ${completedClass} ${view === 'grid' ? 'grid-task-card' : ''} ${view === 'board' ? 'board-task-card' : ''} ${this.expandedSubtasks.has(task.id) ? 'subtasks-open' : ''} ${selected ? 'selected' : ''} ${blockers.length > 0 ? 'blocked' : ''}" data-task-id="${task.id}" draggable="true" tabindex="0" aria-labelledby="task-title-${task.id}">
                 <div class="task-header">
-                    <div class="task-checkbox ${task.completed ? 'checked' : ''}" data-id="${task.id}" onclick="taskManager.toggleTaskComplete('${task.id}')">
-                        ${task.completed ? '<i class="fas fa-check"></i>' : ''}
-                    </div>
+                    ${this.selectionMode ? `<input type="checkbox" class="task-select" ${selected ? 'checked' : ''} aria-label="Select ${title}">` : ''}
+                    <label class="task-checkbox ${task.completed ? 'checked' : ''}" data-id="${task.id}">
+                        <input type="checkbox" ${task.completed ? 'checked' : ''} onchange="taskManager.toggleTaskComplete('${task.id}')" aria-label="Mark ${title} as ${task.completed ? 'not done' : 'done'}">
+                        ${task.completed ? '<i class="fas fa-check" aria-hidden="true"></i>' : ''}
+                    </label>
                     <div class="task-content">
-                        <div class="task-title">${this.escapeHtml(task.title)}</div>
-                        ${task.description ? `<div class="task-description">${this.escapeHtml(task.description)}</div>` : ''}
+                        <div class="task-title" id="task-title-${task.id}">${title}</div>
+                        ${task.description ? `<div class="task-description markdown-body">${this.renderMarkdown(task.description, task.id)}</div>` : ''}
                         <div class="task-meta">
                             <div class="task-date">
                                 <i class="fas fa-calendar"></i>
                                 ${formattedDate}${timeDisplay}
                             </div>
-                            <div class="task-category">
-                                <i class="fas fa-folder"></i>
-                                ${this.escapeHtml(task.category)}
+                            ${zoneHtml}
+                            <div class="task-category" style="color: ${category.color}">
+                                <i class="fas ${category.icon}"></i>
+                                ${this.escapeHtml(category.name)}
                             </div>
-                            <div class="task-priority ${task.priority}">
+                            <div class="task-priority ${priorityClass}">
                                 <i class="fas fa-flag"></i>
                                 ${this.escapeHtml(task.priority)}
                             </div>
+                            ${task.reminders.length > 0 && !task.completed ? `
+                            <div class="task-reminder" title="${this.escapeHtml(task.reminders.map(r => this.describeReminder(r)).join(', '))}">
+                                <i class="fas fa-bell"></i>
+                                ${task.reminders.length === 1 ? this.escapeHtml(this.describeReminder(task.reminders[0])) : `${task.reminders.length} reminders`}
+                            </div>` : ''}
+                            ${task.recurrence ? `
+                            <div class="task-recurrence">
+                                <i class="fas fa-redo"></i>
+                                ${this.escapeHtml(this.describeRecurrence(task.recurrence))}
+                            </div>` : ''}
+                            ${timeHtml}
+                            ${blockedHtml}
+                            ${attachmentsHtml}
                         </div>
                         ${tagsHtml}
+                        ${subtasksHtml}
                     </div>
                     <div class="task-actions">
-                        <button class="task-action-btn edit-btn" onclick="event.stopPropagation(); taskManager.openEditTask('${task.id}')">
-                            <i class="fas fa-edit"></i>
+                        ${task.completed ? '' : `
+                        <button class="task-action-btn timer-btn ${timing ? 'running' : ''}" onclick="event.stopPropagation(); taskManager.toggleTimer('${task.id}')" aria-label="${timing ? 'Stop' : 'Start'} timer for ${title}" aria-pressed="${timing}" title="${timing ? 'Stop timer' : 'Start timer'}">
+                            <i class="fas ${timing ? 'fa-stop' : 'fa-play'}" aria-hidden="true"></i>
+                        </button>`}
+                        <button class="task-action-btn edit-btn" onclick="event.stopPropagation(); taskManager.openEditTask('${task.id}')" aria-label="Edit ${title}" title="Edit">
+                            <i class="fas fa-edit" aria-hidden="true"></i>
                         </button>
-                        <button class="task-action-btn delete-btn" onclick="event.stopPropagation(); taskManager.deleteTask('${task.id}')">
-                            <i class="fas fa-trash"></i>
+                        <button class="task-action-btn delete-btn" onclick="event.stopPropagation(); taskManager.deleteTask('${task.id}')" aria-label="Delete ${title}" title="Delete">
+                            <i class="fas fa-trash" aria-hidden="true"></i>
                         </button>
                     </div>
                 </div>
-            </div>
+            </li>
         `;
     }
 
     
+    renderCategoryControls() {
+        const filters = document.querySelector('.category-filters');
+        if (filters) {
+            filters.innerHTML = `
+                <button class="category-btn" data-category="all">All</button>
+                ${this.categories.map(category => `
+                    <button class="category-btn" data-category="${this.escapeHtml(category.id)}" style="--category-color: ${category.color}">
+                        <i class="fas ${category.icon}"></i>
+                        ${this.escapeHtml(category.name)}
+                    </button>
+                `).join('')}
+                <button class="category-manage-btn" title="Manage categories and tags">
+                    <i class="fas fa-cog"></i>
+                </button>
+            `;
+        }
+
+        ['detail-category', 'modal-category', 'batch-category', 'template-category'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const value = select.value;
+            const placeholder = select.dataset.placeholder ? `<option value="">${select.dataset.placeholder}</option>` : '';
+            select.innerHTML = placeholder + this.categories.map(category => `
+                <option value="${this.escapeHtml(category.id)}">${this.escapeHtml(category.name)}</option>
+            `).join('');
+            if (this.categories.some(category => category.id === value)) select.value = value;
+        });
+        this.updateUI();
+    }
+
+    openCategoryManager() {
+        this.renderCategoryManager();
+        document.getElementById('organize-modal').classList.add('active');
+    }
+
+    closeCategoryManager() {
+        document.getElementById('organize-modal').classList.remove('active');
+    }
+
+    renderCategoryManager() {
+        const icons = ['fa-folder', 'fa-user', 'fa-briefcase', 'fa-heartbeat', 'fa-graduation-cap', 'fa-home', 'fa-shopping-cart', 'fa-dollar-sign', 'fa-plane', 'fa-code', 'fa-music', 'fa-star'];
+        const counts = this.tasks.reduce((map, task) => map.set(task.category, (map.get(task.category) || 0) + 1), new Map());
+
+        document.getElementById('category-manager-list').innerHTML = this.categories.map(category => `
+            <li class="manager-item" data-category="${this.escapeHtml(category.id)}">
+                <input type="color" class="category-color" value="${category.color}" title="Colour">
+                <select class="modal-select category-icon" title="Icon">
+                    ${icons.map(icon => `<option value="${icon}" ${icon === category.icon ? 'selected' : ''}>${icon.replace('fa-', '').replace(/-/g, ' ')}</option>`).join('')}
+                </select>
+                <input type="text" class="modal-input category-name" value="${this.escapeHtml(category.name)}">
+                <span class="manager-count">${counts.get(category.id) || 0}</span>
+                <select class="modal-select category-merge" title="Merge into another category">
+                    <option value="">Merge into…</option>
+                    ${this.categories.filter(other => other.id !== category.id).map(other => `
+                        <option value="${this.escapeHtml(other.id)}">${this.escapeHtml(other.name)}</option>
+                    `).join('')}
+                </select>
+                <button class="manager-delete" title="Delete category"><i class="fas fa-trash"></i></button>
+            </li>
+        `).join('');
+
+        const tags = this.getTagCounts();
+        document.getElementById('tag-manager-list').innerHTML = tags.length > 0 ? tags.map(({ name, count }) => `
+            <li class="manager-item" data-tag="${this.escapeHtml(name)}">
+                <i class="fas fa-tag"></i>
+                <input type="text" class="modal-input tag-name" value="${this.escapeHtml(name)}">
+                <span class="manager-count">${count}</span>
+                <select class="modal-select tag-merge" title="Merge into another tag">
+                    <option value="">Merge into…</option>
+                    ${tags.filter(other => other.name !== name).map(other => `
+                        <option value="${this.escapeHtml(other.name)}">${this.escapeHtml(other.name)}</option>
+                    `).join('')}
+                </select>
+                <button class="manager-delete" title="Remove tag from all tasks"><i class="fas fa-trash"></i></button>
+            </li>
+        `).join('') : '<li class="manager-empty">No tags yet</li>';
+    }
+
+    handleCategoryManagerChange(e) {
+        const item = e.target.closest('[data-category]');
+        if (!item) return;
+        const category = this.categories.find(c => c.id === item.dataset.category);
+
+        if (e.target.classList.contains('category-merge')) {
+            if (e.target.value) this.mergeCategory(category.id, e.target.value);
+            return;
+        }
+        if (e.target.classList.contains('category-color')) {
+            category.color = e.target.value;
+        } else if (e.target.classList.contains('category-icon')) {
+            category.icon = e.target.value;
+        } else if (e.target.classList.contains('category-name')) {
+            const name = e.target.value.trim();
+            if (name) category.name = name;
+        }
+        this.saveCategories();
+        this.renderCategoryControls();
+        this.renderCategoryManager();
+        this.renderTasks();
+    }
+
+    addCategory() {
+        const input = document.getElementById('new-category-name');
+        const name = input.value.trim();
+        if (!name) return false;
+
+        const id = name.toLowerCase().replace(/\W+/g, '');
+        if (!id) {
+            this.showToast('Category names need at least one letter or number.', 'error');
+            return false;
+        }
+        if (this.categories.some(category => category.id === id || category.name.toLowerCase() === name.toLowerCase())) {
+            this.showToast(`A category called "${this.escapeHtml(name)}" already exists.`, 'warning');
+            return false;
+        }
+
+        this.categories.push({ id, name, color: '#667eea', icon: 'fa-folder' });
+        input.value = '';
+        this.saveCategories();
+        this.renderCategoryControls();
+        this.renderCategoryManager();
+        return true;
+    }
+
+    mergeCategory(fromId, toId) {
+        const from = this.getCategory(fromId);
+        const to = this.getCategory(toId);
+        let moved = 0;
+
+        this.recordHistory('Merge categories', () => {
+            this.getStoredTasks().forEach(task => {
+                if (task.category === fromId) {
+                    task.category = toId;
+                    moved++;
+                }
+            });
+            this.categories = this.categories.filter(category => category.id !== fromId);
+            this.moveTemplateCategory(fromId, toId);
+        });
+        if (this.currentCategory === fromId) this.currentCategory = toId;
+
+        this.saveCategories();
+        this.saveTasks();
+        this.renderCategoryControls();
+        this.renderCategoryManager();
+        this.renderTasks();
+        this.showToast(`Merged "${this.escapeHtml(from.name)}" into "${this.escapeHtml(to.name)}" (${moved} tasks)`, 'success', this.undoAction());
+    }
+
+    deleteCategory(id) {
+        const category = this.getCategory(id);
+        const fallback = this.categories.find(c => c.id !== id);
+        if (!fallback) {
+            this.showToast('You need at least one category.', 'error');
+            return false;
+        }
+
+        const used = this.getStoredTasks().filter(task => task.category === id).length;
+        if (used > 0) {
+            if (!confirm(`Delete "${category.name}"? Its ${used} task(s) will move to "${fallback.name}".`)) return false;
+            this.mergeCategory(id, fallback.id);
+            return true;
+        }
+
+        this.categories = this.categories.filter(c => c.id !== id);
+        if (this.currentCategory === id) this.currentCategory = 'all';
+        this.moveTemplateCategory(id, fallback.id);
+        this.saveCategories();
+        this.renderCategoryControls();
+        this.renderCategoryManager();
+        this.renderTasks();
+        return true;
+    }
+
+    getTagCounts() {
+        const counts = new Map();
+        this.tasks.forEach(task => task.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+        return [...counts].map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    }
+
+    handleTagManagerChange(e) {
+        const item = e.target.closest('[data-tag]');
+        if (!item) return;
+        if (e.target.classList.contains('tag-name') || e.target.classList.contains('tag-merge')) {
+            const target = e.target.value.trim();
+            if (target) {
+                this.renameTag(item.dataset.tag, target);
+            } else {
+                this.renderCategoryManager();
+            }
+        }
+    }
+
+    renameTag(from, to) {
+        if (!to || from === to) return false;
+        const merging = this.tasks.some(task => task.tags.includes(to));
+        let changed = 0;
+
+        this.recordHistory(merging ? 'Merge tags' : 'Rename tag', () => {
+            this.tasks.forEach(task => {
+                if (!task.tags.includes(from)) return;
+                task.tags = [...new Set(task.tags.map(tag => (tag === from ? to : tag)))];
+                changed++;
+            });
+        });
+        this.saveTasks();
+        this.renderCategoryManager();
+        this.renderTasks();
+        this.showToast(`${merging ? 'Merged' : 'Renamed'} tag "${this.escapeHtml(from)}" to "${this.escapeHtml(to)}" on ${changed} tasks`, 'success', this.undoAction());
+        return true;
+    }
+
+    removeTag(name) {
+        let changed = 0;
+        this.recordHistory('Remove tag', () => {
+            this.tasks.forEach(task => {
+                if (!task.tags.includes(name)) return;
+                task.tags = task.tags.filter(tag => tag !== name);
+                changed++;
+            });
+        });
+        this.saveTasks();
+        this.renderCategoryManager();
+        this.renderTasks();
+        this.showToast(`Removed tag "${this.escapeHtml(name)}" from ${changed} tasks`, 'success', this.undoAction());
+    }
+
+    setupTagAutocomplete(input, hashtags = false) {
+        if (!input) return;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'tag-autocomplete';
+        const list = document.createElement('ul');
+        list.className = 'tag-suggestions';
+        input.replaceWith(wrapper);
+        wrapper.append(input, list);
+
+        let matches = [];
+        let active = 0;
+        const getToken = () => {
+            const before = input.value.slice(0, input.selectionStart ?? input.value.length);
+            if (hashtags) {
+                const match = before.match(/#(\w*)$/);
+                return match ? { query: match[1], start: before.length - match[0].length, end: before.length } : null;
+            }
+            const start = before.lastIndexOf(',') + 1;
+            return { query: before.slice(start).trim(), start, end: before.length };
+        };
+        const hide = () => {
+            matches = [];
+            list.classList.remove('open');
+        };
+        const accept = (value) => {
+            const token = getToken();
+            if (!token) return;
+            const head = input.value.slice(0, token.start);
+            const tail = input.value.slice(token.end);
+            const inserted = hashtags ? `#${value} ` : `${token.start > 0 ? ' ' : ''}${value}, `;
+            input.value = head + inserted + (hashtags ? tail.replace(/^\w*\s?/, '') : tail.replace(/^[^,]*,?\s*/, ''));
+            const caret = (head + inserted).length;
+            input.setSelectionRange?.(caret, caret);
+            hide();
+            input.dispatchEvent(new Event('input'));
+        };
+        const show = () => {
+            const token = getToken();
+            if (!token || (!token.query && !hashtags)) return hide();
+            const query = token.query.toLowerCase();
+            const used = hashtags ? [] : input.value.split(',').map(tag => tag.trim());
+            const candidates = this.getTagCounts().map(tag => ({ value: tag.name, label: tag.name, meta: `${tag.count}` }));
+            if (hashtags) {
+                this.categories.forEach(category => candidates.unshift({ value: category.id, label: category.name, meta: 'category' }));
+            }
+            matches = candidates
+                .filter(c => c.value.toLowerCase().startsWith(query) && c.value.toLowerCase() !== query && !used.includes(c.value))
+                .filter(c => !hashtags || /^\w+$/.test(c.value))
+                .slice(0, 6);
+            active = 0;
+            list.innerHTML = matches.map((match, index) => `
+                <li class="tag-suggestion ${index === active ? 'active' : ''}" data-index="${index}">
+                    <span>${hashtags ? '#' : ''}${this.escapeHtml(match.value)}</span>
+                    <small>${this.escapeHtml(match.meta)}</small>
+                </li>
+            `).join('');
+            list.classList.toggle('open', matches.length > 0);
+        };
+
+        input.addEventListener('input', show);
+        input.addEventListener('blur', hide);
+        input.addEventListener('keydown', (e) => {
+            if (!list.classList.contains('open')) return;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                active = (active + (e.key === 'ArrowDown' ? 1 : -1) + matches.length) % matches.length;
+                list.querySelectorAll('.tag-suggestion').forEach((item, index) => item.classList.toggle('active', index === active));
+            } else if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                accept(matches[active].value);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                hide();
+            }
+        });
+        list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.tag-suggestion');
+            if (!item) return;
+            e.preventDefault();
+            accept(matches[parseInt(item.dataset.index, 10)].value);
+        });
+    }
+
     bindEvents() {
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+        document.addEventListener('keydown', (e) => this.handleModalKeydown(e));
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        document.getElementById('palette-input').addEventListener('input', () => this.renderCommandPalette());
+        document.getElementById('palette-input').addEventListener('keydown', (e) => this.handlePaletteKeydown(e));
+        document.getElementById('palette-results').addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.palette-item');
+            if (!item) return;
+            e.preventDefault();
+            this.runPaletteItem(parseInt(item.dataset.index, 10));
+        });
+        document.getElementById('command-palette').addEventListener('mousedown', (e) => {
+            if (e.target.id === 'command-palette') this.closeCommandPalette();
+        });
+        document.getElementById('close-shortcuts').addEventListener('click', () => this.closeShortcutHelp());
+        document.getElementById('workspace-select').addEventListener('change', (e) => this.handleWorkspaceSelect(e));
+        document.getElementById('show-privacy-screen').addEventListener('click', () => this.showPrivacyScreen());
+        document.getElementById('manage-workspaces').addEventListener('click', () => this.openWorkspaceManager());
+        document.getElementById('open-archive').addEventListener('click', () => this.openArchive('archive'));
+        document.getElementById('dismiss-privacy-screen').addEventListener('click', () => this.dismissPrivacyScreen());
+        document.getElementById('privacy-screen-passphrase').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.dismissPrivacyScreen();
+        });
+        document.getElementById('close-workspaces').addEventListener('click', () => this.closeWorkspaceManager());
+        document.getElementById('done-workspaces').addEventListener('click', () => this.closeWorkspaceManager());
+        document.getElementById('add-workspace').addEventListener('click', () => {
+            const input = document.getElementById('new-workspace-name');
+            if (this.addWorkspace(input.value)) {
+                input.value = '';
+                this.renderWorkspaceManager();
+            }
+        });
+        document.getElementById('new-workspace-name').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') document.getElementById('add-workspace').click();
+        });
+        const workspaceList = document.getElementById('workspace-manager-list');
+        workspaceList.addEventListener('change', (e) => {
+            const item = e.target.closest('[data-workspace]');
+            if (item && e.target.classList.contains('workspace-name')) {
+                this.renameWorkspace(item.dataset.workspace, e.target.value);
+                this.renderWorkspaceManager();
+            }
+        });
+        workspaceList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-workspace]');
+            if (item && e.target.closest('.manager-delete')) this.deleteWorkspace(item.dataset.workspace);
+        });
+        document.getElementById('set-passphrase').addEventListener('click', () => this.setWorkspacePassphrase());
+        document.getElementById('remove-privacy-screen').addEventListener('click', () => this.removeWorkspacePassphrase());
+        document.getElementById('modal-transfer').addEventListener('change', (e) => {
+            const [mode, targetId] = e.target.value.split(':');
+            const task = this.currentEditingTask;
+            e.target.selectedIndex = 0;
+            if (!task || !targetId) return;
+            this.closeModal();
+            this.transferTasks([task.id], targetId, mode === 'copy');
+        });
+        document.getElementById('open-shortcuts').addEventListener('click', () => this.openShortcutHelp());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.selectionMode && !document.querySelector('.modal-overlay.active')) {
+                this.setSelectionMode(false);
+            }
+        });
+        document.querySelectorAll('[data-reminder-editor]').forEach(editor => {
+            const key = editor.dataset.reminderEditor;
+            editor.querySelector('.reminder-preset').addEventListener('change', (e) => this.handleReminderPreset(key, e.target));
+            editor.querySelector('.reminder-custom-add').addEventListener('click', () => this.addCustomReminder(key));
+            editor.querySelector('.reminder-chips').addEventListener('click', (e) => {
+                const button = e.target.closest('.reminder-remove');
+                if (button) this.removeDraftReminder(key, parseInt(button.dataset.index, 10));
+            });
+        });
         document.getElementById('quick-add-btn').addEventListener('click', () => this.handleQuickAdd());
         document.getElementById('task-input').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.handleQuickAdd();
         });
+        document.getElementById('task-input').addEventListener('input', () => this.renderQuickPreview());
         document.querySelector('.detailed-add-btn').addEventListener('click', () => this.handleDetailedAdd());
         document.getElementById('voice-btn').addEventListener('click', () => this.startVoiceRecognition());
         document.querySelectorAll('.mode-btn').forEach(btn => {
@@ -388,14 +5203,111 @@ class TaskManager {
         document.querySelectorAll('.filter-btn').forEach(btn => {
             btn.addEventListener('click', () => this.setFilter('status', btn.dataset.filter));
         });
-        document.querySelectorAll('.category-btn').forEach(btn => {
-            btn.addEventListener('click', () => this.setFilter('category', btn.dataset.category));
+        document.querySelector('.category-filters').addEventListener('click', (e) => {
+            const button = e.target.closest('.category-btn');
+            if (button) this.setFilter('category', button.dataset.category);
+            if (e.target.closest('.category-manage-btn')) this.openCategoryManager();
+        });
+        const categoryManagerList = document.getElementById('category-manager-list');
+        categoryManagerList.addEventListener('change', (e) => this.handleCategoryManagerChange(e));
+        categoryManagerList.addEventListener('click', (e) => {
+            const button = e.target.closest('.manager-delete');
+            if (button) this.deleteCategory(button.closest('[data-category]').dataset.category);
+        });
+        const tagManagerList = document.getElementById('tag-manager-list');
+        tagManagerList.addEventListener('change', (e) => this.handleTagManagerChange(e));
+        tagManagerList.addEventListener('click', (e) => {
+            const button = e.target.closest('.manager-delete');
+            if (button) this.removeTag(button.closest('[data-tag]').dataset.tag);
+        });
+        document.getElementById('add-category').addEventListener('click', () => this.addCategory());
+        document.getElementById('new-category-name').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addCategory();
+        });
+        document.getElementById('close-organize').addEventListener('click', () => this.closeCategoryManager());
+        document.getElementById('open-analytics').addEventListener('click', () => this.openAnalytics());
+        document.getElementById('close-analytics').addEventListener('click', () => this.closeAnalytics());
+        ['analytics-range', 'analytics-group', 'analytics-from', 'analytics-to'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderAnalytics());
         });
+        document.getElementById('done-organize').addEventListener('click', () => this.closeCategoryManager());
+        this.setupTagAutocomplete(document.getElementById('task-input'), true);
+        this.setupTagAutocomplete(document.querySelector('.detailed-mode input[placeholder="Tags (comma-separated)"]'));
+        this.setupTagAutocomplete(document.getElementById('modal-tags'));
         document.querySelectorAll('.view-btn').forEach(btn => {
             btn.addEventListener('click', () => this.switchView(btn.dataset.view));
         });
-        document.querySelector('.search-input').addEventListener('input', () => this.renderTasks());
+        document.querySelector('.search-input').addEventListener('input', () => {
+            this.activeSavedFilter = null;
+            this.updateUI();
+            this.renderTasks();
+        });
+        document.getElementById('save-filter-btn').addEventListener('click', () => this.saveCurrentFilter());
+        document.querySelectorAll('.data-menu [data-export]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                btn.closest('details').open = false;
+                this.exportTasks(btn.dataset.export);
+            });
+        });
+        document.getElementById('import-trigger').addEventListener('click', (e) => {
+            e.target.closest('details').open = false;
+            document.getElementById('import-file').click();
+        });
+        document.getElementById('import-file').addEventListener('change', (e) => this.handleImportFile(e.target.files[0]));
+        document.getElementById('import-list').addEventListener('change', (e) => {
+            if (e.target.classList.contains('import-action')) {
+                this.setImportAction(parseInt(e.target.dataset.index, 10), e.target.value);
+            }
+        });
+        document.getElementById('import-duplicates').addEventListener('change', (e) => this.setAllDuplicateActions(e.target.value));
+        document.getElementById('confirm-import').addEventListener('click', () => this.confirmImport());
+        document.getElementById('cancel-import').addEventListener('click', () => this.closeImportPreview());
+        document.getElementById('close-import').addEventListener('click', () => this.closeImportPreview());
         document.querySelector('.sort-select').addEventListener('change', () => this.renderTasks());
+        ['tasks-list', 'grid-container', 'calendar-container', 'board-container'].forEach(id => {
+            const container = document.getElementById(id);
+            container.addEventListener('dragstart', (e) => this.handleTaskDragStart(e));
+            container.addEventListener('dragend', () => this.handleTaskDragEnd());
+            container.addEventListener('keydown', (e) => this.handleTaskKeydown(e));
+        });
+        ['tasks-list', 'grid-container', 'board-container'].forEach(id => {
+            document.getElementById(id).addEventListener('click', (e) => this.handleSelectionClick(e));
+        });
+        document.getElementById('select-mode-btn').addEventListener('click', () => this.setSelectionMode(!this.selectionMode));
+        const batchToolbar = document.getElementById('batch-toolbar');
+        batchToolbar.addEventListener('click', (e) => this.handleBatchAction(e));
+        batchToolbar.addEventListener('change', (e) => this.handleBatchAction(e));
+        document.getElementById('batch-date').addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            this.rescheduleSelected(e.target.value);
+            e.target.value = '';
+            e.target.classList.remove('active');
+        });
+        document.getElementById('batch-tag').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') document.querySelector('[data-batch="add-tag"]').click();
+        });
+        this.setupTagAutocomplete(document.getElementById('batch-tag'));
+        ['tasks-list', 'grid-container'].forEach(id => {
+            const container = document.getElementById(id);
+            container.addEventListener('dragover', (e) => this.handleCardDragOver(e));
+            container.addEventListener('drop', (e) => this.handleCardDrop(e));
+        });
+        const boardContainer = document.getElementById('board-container');
+        boardContainer.addEventListener('dragover', (e) => this.handleBoardDragOver(e));
+        boardContainer.addEventListener('drop', (e) => this.handleBoardDrop(e));
+        boardContainer.addEventListener('click', (e) => this.handleBoardColumnAction(e));
+        document.getElementById('add-board-column').addEventListener('click', () => this.addBoardColumn());
+        const calendarContainer = document.getElementById('calendar-container');
+        calendarContainer.addEventListener('keydown', (e) => this.handleCalendarKeydown(e));
+        calendarContainer.addEventListener('dragover', (e) => this.handleCalendarDragOver(e));
+        calendarContainer.addEventListener('drop', (e) => this.handleCalendarDrop(e));
+        const calendarViewBtn = document.querySelector('.view-btn[data-view="calendar"]');
+        calendarViewBtn.addEventListener('dragenter', () => {
+            if (!this.draggedTaskId || this.currentView === 'calendar') return;
+            clearTimeout(this.viewSwitchTimer);
+            this.viewSwitchTimer = setTimeout(() => this.switchView('calendar'), 500);
+        });
+        calendarViewBtn.addEventListener('dragleave', () => clearTimeout(this.viewSwitchTimer));
         document.getElementById('close-modal').addEventListener('click', () => this.closeModal());
         document.getElementById('cancel-edit').addEventListener('click', () => this.closeModal());
         document.getElementById('save-task').addEventListener('click', () => this.handleSaveEdit());
@@ -404,32 +5316,130 @@ class TaskManager {
                 this.deleteTask(this.currentEditingTask.id);
             }
         });
+        const modalSubtasks = document.getElementById('modal-subtasks');
+        ['click', 'change', 'input'].forEach(type => {
+            modalSubtasks.addEventListener(type, (e) => this.handleModalSubtaskAction(e));
+        });
+        document.getElementById('add-subtask').addEventListener('click', () => this.addModalSubtask());
+        // Cards are re-rendered on every change, so one listener serves every step checkbox.
+        document.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('subtask-toggle')) return;
+            this.toggleSubtask(e.target.closest('.task-card').dataset.taskId, e.target.dataset.subtaskId);
+        });
+        document.getElementById('modal-subtask-input').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addModalSubtask();
+        });
+        const blockerSearch = document.getElementById('modal-blocker-search');
+        blockerSearch.addEventListener('input', () => this.renderBlockerResults());
+        blockerSearch.addEventListener('keydown', (e) => this.handleBlockerKeydown(e));
+        document.getElementById('modal-blocker-results').addEventListener('click', (e) => {
+            const option = e.target.closest('.blocker-option');
+            if (option) this.addBlocker(this.blockerResults[parseInt(option.dataset.index, 10)].id);
+        });
+        document.getElementById('modal-blockers').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-blocker]');
+            if (!button) return;
+            this.editingBlockedBy = this.editingBlockedBy.filter(id => id !== parseFloat(button.dataset.removeBlocker));
+            this.renderBlockerEditor();
+            blockerSearch.focus();
+        });
+        const timeLog = document.getElementById('modal-time-log');
+        ['click', 'change'].forEach(type => {
+            timeLog.addEventListener(type, (e) => this.handleTimeLogAction(e));
+        });
+        document.getElementById('add-time-entry').addEventListener('click', () => this.addTimeEntry());
+        document.getElementById('modal-notes-toggle').addEventListener('click', () => {
+            this.setNotesPreview(document.getElementById('modal-notes-preview').hidden);
+        });
+        const attachmentInput = document.getElementById('modal-attachment-input');
+        attachmentInput.addEventListener('change', async () => {
+            await this.addAttachments([...attachmentInput.files]);
+            attachmentInput.value = '';
+        });
+        document.getElementById('modal-attachments').addEventListener('click', (e) => this.handleAttachmentAction(e));
+        const attachmentField = document.getElementById('modal-attachment-field');
+        attachmentField.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            attachmentField.classList.add('drag-over');
+        });
+        attachmentField.addEventListener('dragleave', (e) => {
+            if (!attachmentField.contains(e.relatedTarget)) attachmentField.classList.remove('drag-over');
+        });
+        attachmentField.addEventListener('drop', (e) => {
+            if (!e.dataTransfer?.files.length) return;
+            e.preventDefault();
+            attachmentField.classList.remove('drag-over');
+            this.addAttachments([...e.dataTransfer.files]);
+        });
+        document.getElementById('modal-log-duration').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addTimeEntry();
+        });
+        ['modal-repeat-frequency', 'modal-repeat-interval', 'modal-repeat-end'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateRepeatEditor());
+        });
+        document.getElementById('timeline-prev').addEventListener('click', () => this.changeTimelineRange(-1));
+        document.getElementById('timeline-next').addEventListener('click', () => this.changeTimelineRange(1));
+        document.getElementById('timeline-today').addEventListener('click', () => this.goToToday());
+        const timelineContainer = document.getElementById('timeline-container');
+        timelineContainer.addEventListener('click', (e) => this.handleTimelineClick(e));
+        timelineContainer.addEventListener('dragstart', (e) => this.handleTaskDragStart(e));
+        timelineContainer.addEventListener('dragend', () => this.handleTaskDragEnd());
+        timelineContainer.addEventListener('dragover', (e) => this.handleTimelineDragOver(e));
+        timelineContainer.addEventListener('drop', (e) => this.handleTimelineDrop(e));
+        timelineContainer.addEventListener('keydown', (e) => this.handleTaskKeydown(e));
         document.getElementById('prev-month').addEventListener('click', () => this.changeMonth(-1));
         document.getElementById('next-month').addEventListener('click', () => this.changeMonth(1));
-        document.querySelectorAll('.suggestion-chip').forEach(chip => {
-            chip.addEventListener('click', (e) => {
+        document.getElementById('smart-suggestions').addEventListener('click', (e) => {
+            const chip = e.target.closest('button');
+            if (!chip) return;
+            if (chip.classList.contains('suggestion-manage')) {
+                this.openTemplateManager();
+            } else if (chip.dataset.template) {
+                this.prefillTemplate(chip.dataset.template);
+            } else {
                 const input = document.getElementById('task-input');
-                const chipText = e.target.textContent.trim();
-                let existingValue = input.value.trim();
-                let newValue = existingValue;
-                if (chipText.includes('Today')) {
-                    newValue += ' due today';
-                } else if (chipText.includes('High Priority')) {
-                    newValue += ' high priority';
-                } else if (chipText.includes('Personal')) {
-                    newValue += ' #personal';
-                } else if (chipText.includes('Work')) {
-                    newValue += ' #work';
-                }
-                input.value = newValue.trim();
-            });
+                input.value = `${input.value.trim()} ${chip.dataset.append}`.trim();
+                this.renderQuickPreview();
+            }
+        });
+        document.getElementById('save-as-template').addEventListener('click', () => this.saveTaskAsTemplate());
+        document.getElementById('close-templates').addEventListener('click', () => this.closeTemplateManager());
+        document.getElementById('done-templates').addEventListener('click', () => this.closeTemplateManager());
+        document.getElementById('new-template').addEventListener('click', () => this.editTemplate(this.createTemplate()));
+        document.getElementById('cancel-template').addEventListener('click', () => this.closeTemplateEditor());
+        document.getElementById('save-template').addEventListener('click', () => this.saveTemplateEditor());
+        document.getElementById('template-manager-list').addEventListener('click', (e) => this.handleTemplateManagerClick(e));
+        this.setupTagAutocomplete(document.getElementById('template-tags'));
+        document.querySelectorAll('[data-stats-mode]').forEach(button => {
+            button.addEventListener('click', () => this.setStatsMode(button.dataset.statsMode));
+        });
+        document.getElementById('archive-completed-section').addEventListener('click', () => this.archiveCompleted());
+        document.getElementById('close-archive').addEventListener('click', () => this.closeArchive());
+        document.getElementById('done-archive').addEventListener('click', () => this.closeArchive());
+        document.querySelectorAll('[data-archive-tab]').forEach(tab => {
+            tab.addEventListener('click', () => this.setArchiveTab(tab.dataset.archiveTab));
+        });
+        document.getElementById('archive-search').addEventListener('input', () => this.renderArchive());
+        document.getElementById('archive-list').addEventListener('click', (e) => this.handleArchiveClick(e));
+        document.getElementById('archive-completed').addEventListener('click', () => {
+            this.archiveCompleted();
+            this.renderArchive();
         });
+        document.getElementById('empty-trash').addEventListener('click', () => this.emptyTrash());
+        document.getElementById('auto-archive-days').addEventListener('change', (e) => this.setCleanupRule('archiveAfterDays', e.target.value));
+        document.getElementById('trash-days').addEventListener('change', (e) => this.setCleanupRule('trashAfterDays', e.target.value));
     }
 
     handleQuickAdd() {
         const input = document.getElementById('task-input');
         const text = input.value.trim();
         if (!text) return;
+        const trigger = this.matchTemplateTrigger(text);
+        if (trigger) {
+            if (this.useTemplate(trigger.template.id, trigger.input)) input.value = '';
+            return;
+        }
         const taskData = this.parseQuickTask(text);
         if (this.addTask(taskData)) {
             input.value = '';
@@ -441,9 +5451,17 @@ class TaskManager {
         const descTextarea = document.querySelector('.detailed-mode textarea');
         const dateInput = document.querySelector('.detailed-mode input[type="date"]');
         const timeInput = document.querySelector('.detailed-mode input[type="time"]');
-        const prioritySelect = document.querySelector('.detailed-mode select.detail-select:nth-of-type(1)');
-        const categorySelect = document.querySelector('.detailed-mode select.detail-select:nth-of-type(2)');
+        const prioritySelect = document.getElementById('detail-priority');
+        const categorySelect = document.getElementById('detail-category');
         const tagsInput = document.querySelector('.detailed-mode input[placeholder="Tags (comma-separated)"]');
+        const estimateInput = document.getElementById('detail-estimate');
+        const estimate = this.parseDuration(estimateInput.value);
+        if (estimateInput.value.trim() && !estimate) {
+            this.showToast('Enter the estimate as minutes or hours, e.g. 45m or 1h 30m.', 'warning');
+            estimateInput.focus();
+            return;
+        }
+        if (this.hasOrphanedReminders('detail', dateInput.value)) return;
 
         const taskData = {
             title: titleInput.value,
@@ -452,7 +5470,9 @@ class TaskManager {
             dueTime: timeInput.value,
             priority: prioritySelect.value,
             category: categorySelect.value,
-            tags: tagsInput.value.split(',').map(tag => tag.trim()).filter(tag => tag)
+            tags: tagsInput.value.split(',').map(tag => tag.trim()).filter(tag => tag),
+            reminders: this.draftReminders.detail,
+            estimate
         };
 
         if (this.addTask(taskData)) {
@@ -466,57 +5486,390 @@ class TaskManager {
         const modalDesc = document.getElementById('modal-description').value;
         const modalDate = document.getElementById('modal-date').value;
         const modalTime = document.getElementById('modal-time').value;
+        const modalTimeZone = document.getElementById('modal-timezone').value;
+        const modalStatus = document.getElementById('modal-status').value;
         const modalPriority = document.getElementById('modal-priority').value;
         const modalCategory = document.getElementById('modal-category').value;
         const modalTags = document.getElementById('modal-tags').value.split(',').map(tag => tag.trim()).filter(tag => tag);
+        const modalRecurrence = this.readRepeatEditor();
+        const modalSubtasks = this.editingSubtasks
+            .filter(subtask => subtask.title.trim())
+            .map(subtask => ({ ...subtask, title: subtask.title.trim() }));
+        const estimateInput = document.getElementById('modal-estimate');
+        const modalEstimate = this.parseDuration(estimateInput.value);
+        if (estimateInput.value.trim() && !modalEstimate) {
+            this.showToast('Enter the estimate as minutes or hours, e.g. 45m or 1h 30m.', 'warning');
+            estimateInput.focus();
+            return;
+        }
+        if (this.hasOrphanedReminders('modal', modalDate)) return;
+        const liveEntries = this.currentEditingTask.timeEntries;
+        const modalTimeEntries = this.editingTimeEntries.map(entry => (
+            entry.end ? entry : { ...entry, end: liveEntries.find(live => live.id === entry.id)?.end || null }
+        ));
+        const taskId = this.currentEditingTask.id;
+        const before = this.getSubtaskProgress(this.currentEditingTask);
+        const wasAllDone = before.total > 0 && before.done === before.total;
 
         this.updateTask(this.currentEditingTask.id, {
             title: modalTitle,
             description: modalDesc,
             dueDate: modalDate,
             dueTime: modalTime,
+            timeZone: modalTimeZone,
+            status: modalStatus,
             priority: modalPriority,
             category: modalCategory,
-            tags: modalTags
+            tags: modalTags,
+            recurrence: this.normalizeRecurrence(modalRecurrence, modalDate),
+            subtasks: modalSubtasks,
+            estimate: modalEstimate,
+            timeEntries: modalTimeEntries,
+            blockedBy: [...this.editingBlockedBy],
+            attachments: this.editingAttachments.map(attachment => ({ ...attachment })),
+            reminders: this.resetUpcomingReminders({ dueDate: modalDate, dueTime: modalTime, timeZone: modalTimeZone }, this.draftReminders.modal)
+        });
+
+        const updated = this.tasks.find(t => t.id === taskId);
+        if (updated && !wasAllDone) {
+            this.offerParentCompletion(updated);
+        }
+    }
+
+    renderModalSubtasks() {
+        const list = document.getElementById('modal-subtasks');
+        const summary = document.getElementById('modal-subtask-summary');
+        const done = this.editingSubtasks.filter(s => s.completed).length;
+        summary.textContent = this.editingSubtasks.length > 0 ? `${done}/${this.editingSubtasks.length}` : '';
+
+        list.innerHTML = this.editingSubtasks.map((subtask, index) => `
+            <li class="modal-subtask ${subtask.completed ? 'completed' : ''}" data-index="${index}">
+                <input type="checkbox" data-action="toggle" ${subtask.completed ? 'checked' : ''} aria-label="Step done">
+                <input type="text" class="modal-subtask-title" data-action="rename" value="${this.escapeHtml(subtask.title)}" aria-label="Step title">
+                <button class="subtask-btn" data-action="up" ${index === 0 ? 'disabled' : ''} aria-label="Move step up"><i class="fas fa-arrow-up"></i></button>
+                <button class="subtask-btn" data-action="down" ${index === this.editingSubtasks.length - 1 ? 'disabled' : ''} aria-label="Move step down"><i class="fas fa-arrow-down"></i></button>
+                <button class="subtask-btn delete" data-action="delete" aria-label="Remove step"><i class="fas fa-times"></i></button>
+            </li>
+        `).join('');
+    }
+
+    handleModalSubtaskAction(e) {
+        const target = e.target.closest('[data-action]');
+        const item = e.target.closest('.modal-subtask');
+        if (!target || !item) return;
+        if (e.type === 'click' && target.tagName === 'INPUT') return;
+        const index = parseInt(item.dataset.index, 10);
+        const subtasks = this.editingSubtasks;
+
+        switch (target.dataset.action) {
+            case 'toggle':
+                if (e.type !== 'change') return;
+                subtasks[index].completed = target.checked;
+                break;
+            case 'rename':
+                subtasks[index].title = target.value;
+                return;
+            case 'up':
+                if (index > 0) [subtasks[index - 1], subtasks[index]] = [subtasks[index], subtasks[index - 1]];
+                break;
+            case 'down':
+                if (index < subtasks.length - 1) [subtasks[index + 1], subtasks[index]] = [subtasks[index], subtasks[index + 1]];
+                break;
+            case 'delete':
+                subtasks.splice(index, 1);
+                break;
+        }
+        this.renderModalSubtasks();
+    }
+
+    addModalSubtask() {
+        const input = document.getElementById('modal-subtask-input');
+        if (!input.value.trim()) return;
+        this.editingSubtasks.push(this.createSubtask(input.value));
+        input.value = '';
+        this.renderModalSubtasks();
+    }
+
+    fillRepeatEditor(rule) {
+        document.getElementById('modal-repeat-frequency').value = rule ? rule.frequency : '';
+        document.getElementById('modal-repeat-interval').value = rule ? rule.interval : 1;
+        document.querySelectorAll('#modal-repeat-weekdays input').forEach(checkbox => {
+            checkbox.checked = !!rule?.weekdays?.includes(parseInt(checkbox.value, 10));
         });
+        document.getElementById('modal-repeat-monthly').value = rule?.monthlyMode || 'date';
+        document.getElementById('modal-repeat-end').value = rule?.endDate ? 'date' : (rule?.count ? 'count' : 'never');
+        document.getElementById('modal-repeat-until').value = rule?.endDate || '';
+        document.getElementById('modal-repeat-count').value = rule?.count || '';
+        this.updateRepeatEditor();
+    }
+
+    readRepeatEditor() {
+        const frequency = document.getElementById('modal-repeat-frequency').value;
+        if (!frequency) return null;
+        const endMode = document.getElementById('modal-repeat-end').value;
+        const previous = this.currentEditingTask?.recurrence;
+        return {
+            frequency,
+            interval: document.getElementById('modal-repeat-interval').value,
+            weekdays: [...document.querySelectorAll('#modal-repeat-weekdays input:checked')].map(c => parseInt(c.value, 10)),
+            monthlyMode: document.getElementById('modal-repeat-monthly').value,
+            endDate: endMode === 'date' ? document.getElementById('modal-repeat-until').value : '',
+            count: endMode === 'count' ? document.getElementById('modal-repeat-count').value : null,
+            occurrence: previous ? previous.occurrence : 1
+        };
+    }
+
+    updateRepeatEditor() {
+        const frequency = document.getElementById('modal-repeat-frequency').value;
+        const endMode = document.getElementById('modal-repeat-end').value;
+        const interval = parseInt(document.getElementById('modal-repeat-interval').value, 10) || 1;
+        const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+        document.getElementById('modal-repeat-unit').textContent = frequency ? `${units[frequency]}${interval === 1 ? '' : 's'}` : '';
+        document.querySelector('.repeat-interval').style.display = frequency ? 'flex' : 'none';
+        document.getElementById('modal-repeat-weekdays').style.display = frequency === 'weekly' ? 'flex' : 'none';
+        document.getElementById('modal-repeat-monthly').style.display = frequency === 'monthly' ? 'block' : 'none';
+        document.getElementById('modal-repeat-end-row').style.display = frequency ? 'grid' : 'none';
+        document.getElementById('modal-repeat-until').style.display = endMode === 'date' ? 'block' : 'none';
+        document.getElementById('modal-repeat-count').style.display = endMode === 'count' ? 'block' : 'none';
     }
 
     parseQuickTask(text) {
-        const today = new Date().toISOString().split('T')[0];
+        const today = LocalDate.today();
+        const detected = [];
         let title = text;
         let priority = 'medium';
         let category = 'personal';
-        let dueDate = '';
         let tags = [];
 
-        const priorityMatch = text.match(/\b(high|medium|low) priority\b/i);
+        const priorityMatch = title.match(/\b(high|medium|low) priority\b/i);
         if (priorityMatch) {
             priority = priorityMatch[1].toLowerCase();
-            title = title.replace(priorityMatch[0], '').trim();
+            title = title.replace(priorityMatch[0], ' ');
+            detected.push('priority');
+        }
+
+        const estimateMatch = title.match(/(?:^|\s)~(\d+(?:\.\d+)?h(?:\s?\d+m)?|\d+m)(?=\s|$)/i);
+        let estimate = null;
+        if (estimateMatch) {
+            estimate = this.parseDuration(estimateMatch[1]);
+            title = title.replace(estimateMatch[0], ' ');
+            detected.push('estimate');
+        }
+
+        const recurrenceMatch = this.parseRecurrence(title);
+        let recurrence = null;
+        if (recurrenceMatch) {
+            recurrence = recurrenceMatch.rule;
+            title = title.replace(recurrenceMatch.match, ' ');
+            detected.push('recurrence');
         }
 
         const categoryMatch = title.match(/#(\w+)/);
         if (categoryMatch) {
             category = categoryMatch[1].toLowerCase();
-            title = title.replace(categoryMatch[0], '').trim();
+            title = title.replace(categoryMatch[0], ' ');
+            detected.push('category');
         }
         
         const tagMatches = title.match(/#(\w+)/g) || [];
         tags = tagMatches.map(tag => tag.slice(1));
-        title = title.replace(/#(\w+)/g, '').trim();
+        title = title.replace(/#(\w+)/g, ' ');
+
+        const parsed = this.parseDateTime(title);
+        let { dueDate, dueTime } = parsed;
+        title = parsed.text;
+        if (dueDate) detected.push('date');
+        if (dueTime) detected.push('time');
 
-        if (title.toLowerCase().includes('today')) {
-            dueDate = today;
-            title = title.replace(/today/gi, '').trim();
+        if (recurrence) {
+            recurrence = this.normalizeRecurrence(recurrence, dueDate || today);
+            dueDate = dueDate || this.getFirstOccurrenceDate(recurrence, today);
         }
-        if (title.toLowerCase().includes('tomorrow')) {
-            const tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            dueDate = tomorrow.toISOString().split('T')[0];
-            title = title.replace(/tomorrow/gi, '').trim();
+
+        title = title.replace(/\s{2,}/g, ' ').trim();
+        return { title, priority, category, dueDate, dueTime, tags, recurrence, estimate, detected };
+    }
+
+    parseDateTime(text, now = new Date()) {
+        const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+        const numberWords = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+        const monthPattern = 'january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec';
+        const dayPattern = 'sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues|tue|wed|thurs|thur|thu|fri|sat';
+        const prefix = '(?:(?:due|by|on)\\s+)?';
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const addDays = days => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+        const pad = n => String(n).padStart(2, '0');
+        const futureDate = (month, day, year) => {
+            if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+            if (year) return new Date(year < 100 ? 2000 + year : year, month, day);
+            const date = new Date(today.getFullYear(), month, day);
+            if (date < today) date.setFullYear(date.getFullYear() + 1);
+            return date;
+        };
+
+        let dueDate = null;
+        let dueTime = '';
+        let remaining = text;
+        const take = (pattern, handler) => {
+            const match = remaining.match(new RegExp(pattern, 'i'));
+            if (!match) return false;
+            const result = handler(match);
+            if (result === false) return false;
+            remaining = remaining.replace(match[0], ' ');
+            return true;
+        };
+
+        const timePatterns = [
+            [`(?:\\bat\\s+|@\\s*)?\\b(\\d{1,2})(?::(\\d{2}))?\\s*(a\\.?m\\.?|p\\.?m\\.?)(?=\\W|$)`, m => {
+                const hour = parseInt(m[1], 10);
+                if (hour < 1 || hour > 12 || parseInt(m[2] || '0', 10) > 59) return false;
+                const hours = (hour % 12) + (m[3].toLowerCase().startsWith('p') ? 12 : 0);
+                dueTime = `${pad(hours)}:${m[2] || '00'}`;
+            }],
+            [`(?:\\bat\\s+|@\\s*)?\\b([01]?\\d|2[0-3]):([0-5]\\d)\\b`, m => {
+                dueTime = `${pad(m[1])}:${m[2]}`;
+            }],
+            [`\\b(?:at\\s+)?(noon|midday|midnight)\\b`, m => {
+                dueTime = m[1].toLowerCase() === 'midnight' ? '00:00' : '12:00';
+            }],
+            // A bare "at 5" needs to end the text or lead into a date, so "Look at 5 items" stays a title.
+            [`\\bat\\s+(\\d{1,2})(?=\\s*$|\\s+(?:on|by|due|today|tonight|tomorrow|tmrw|next|this|${dayPattern}|${monthPattern})\\b)`, m => {
+                const hours = parseInt(m[1], 10);
+                if (hours > 23) return false;
+                dueTime = `${pad(hours >= 1 && hours <= 7 ? hours + 12 : hours)}:00`;
+            }]
+        ];
+        timePatterns.some(([pattern, handler]) => take(pattern, handler));
+
+        const datePatterns = [
+            [`\\b${prefix}(today|tonight|tomorrow|tmrw)\\b`, m => {
+                const word = m[1].toLowerCase();
+                dueDate = word === 'today' || word === 'tonight' ? addDays(0) : addDays(1);
+                if (word === 'tonight' && !dueTime) dueTime = '20:00';
+            }],
+            [`\\b${prefix}end\\s+of\\s+(?:the\\s+)?(day|week|month|year)\\b`, m => {
+                const unit = m[1].toLowerCase();
+                if (unit === 'day') {
+                    dueDate = addDays(0);
+                    if (!dueTime) dueTime = '17:00';
+                } else if (unit === 'week') {
+                    dueDate = addDays((5 - today.getDay() + 7) % 7);
+                } else if (unit === 'month') {
+                    dueDate = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+                } else {
+                    dueDate = new Date(today.getFullYear(), 11, 31);
+                }
+            }],
+            [`\\b${prefix}in\\s+(\\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten)\\s+(day|week|month|year)s?\\b`, m => {
+                const amount = numberWords[m[1].toLowerCase()] || parseInt(m[1], 10);
+                const unit = m[2].toLowerCase();
+                if (unit === 'day') dueDate = addDays(amount);
+                else if (unit === 'week') dueDate = addDays(amount * 7);
+                else if (unit === 'month') dueDate = new Date(today.getFullYear(), today.getMonth() + amount, today.getDate());
+                else dueDate = new Date(today.getFullYear() + amount, today.getMonth(), today.getDate());
+            }],
+            [`\\b${prefix}(?:(next|this)\\s+)?(${dayPattern})\\b`, m => {
+                const weekday = dayNames.indexOf(m[2].slice(0, 3).toLowerCase());
+                let offset = (weekday - today.getDay() + 7) % 7;
+                if (offset === 0 && m[1] && m[1].toLowerCase() === 'next') offset = 7;
+                dueDate = addDays(offset);
+            }],
+            [`\\b${prefix}(${monthPattern})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, m => {
+                const date = futureDate(monthNames.indexOf(m[1].slice(0, 3).toLowerCase()), parseInt(m[2], 10), m[3] && parseInt(m[3], 10));
+                if (!date) return false;
+                dueDate = date;
+            }],
+            [`\\b${prefix}(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${monthPattern})\\.?(?:,?\\s+(\\d{4}))?\\b`, m => {
+                const date = futureDate(monthNames.indexOf(m[2].slice(0, 3).toLowerCase()), parseInt(m[1], 10), m[3] && parseInt(m[3], 10));
+                if (!date) return false;
+                dueDate = date;
+            }],
+            [`\\b${prefix}(\\d{4})-(\\d{2})-(\\d{2})\\b`, m => {
+                dueDate = new Date(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10));
+            }],
+            [`\\b${prefix}(\\d{1,2})/(\\d{1,2})(?:/(\\d{2}|\\d{4}))?\\b`, m => {
+                const first = parseInt(m[1], 10);
+                const second = parseInt(m[2], 10);
+                const monthFirst = first <= 12 && (second > 12 || LocalDate.isMonthFirst());
+                const date = monthFirst
+                    ? futureDate(first - 1, second, m[3] && parseInt(m[3], 10))
+                    : futureDate(second - 1, first, m[3] && parseInt(m[3], 10));
+                if (!date) return false;
+                dueDate = date;
+            }]
+        ];
+        datePatterns.some(([pattern, handler]) => take(pattern, handler));
+
+        if (dueTime && !dueDate) {
+            const [hours, minutes] = dueTime.split(':').map(Number);
+            dueDate = hours * 60 + minutes > now.getHours() * 60 + now.getMinutes() ? addDays(0) : addDays(1);
+        }
+
+        return {
+            text: remaining.replace(/\s{2,}/g, ' ').trim(),
+            dueDate: dueDate ? LocalDate.toKey(dueDate) : '',
+            dueTime
+        };
+    }
+
+    renderQuickPreview() {
+        const preview = document.getElementById('quick-preview');
+        const text = document.getElementById('task-input').value.trim();
+        if (!preview) return;
+        if (!text) {
+            preview.innerHTML = '';
+            return;
         }
 
-        return { title, priority, category, dueDate, tags };
+        const trigger = this.matchTemplateTrigger(text);
+        const parsed = trigger ? this.buildTaskFromTemplate(trigger.template, trigger.input) : this.parseQuickTask(text);
+        const chips = [];
+        if (trigger) chips.push(`<i class="fas fa-clone"></i> ${this.escapeHtml(trigger.template.name)}`);
+        if (parsed.detected.includes('date')) chips.push(`<i class="fas fa-calendar"></i> ${this.formatDate(parsed.dueDate)}`);
+        if (parsed.detected.includes('time')) chips.push(`<i class="fas fa-clock"></i> ${parsed.dueTime}`);
+        if (parsed.recurrence) chips.push(`<i class="fas fa-redo"></i> ${this.escapeHtml(this.describeRecurrence(parsed.recurrence))}`);
+        if (parsed.detected.includes('priority')) chips.push(`<i class="fas fa-flag"></i> ${parsed.priority}`);
+        if (parsed.estimate) chips.push(`<i class="fas fa-stopwatch"></i> ${this.formatMinutes(parsed.estimate)}`);
+        if (parsed.detected.includes('category')) {
+            const category = this.getCategory(parsed.category);
+            const isNew = !this.categories.some(c => c.id === parsed.category);
+            chips.push(`<i class="fas ${category.icon}"></i> ${this.escapeHtml(category.name)}${isNew ? ' (new)' : ''}`);
+        }
+        parsed.tags.forEach(tag => chips.push(`<i class="fas fa-tag"></i> ${this.escapeHtml(tag)}`));
+        if (trigger && parsed.subtasks.length > 0) chips.push(`<i class="fas fa-list-check"></i> ${parsed.subtasks.length} step${parsed.subtasks.length === 1 ? '' : 's'}`);
+
+        preview.innerHTML = chips.length > 0
+            ? `<span class="preview-title">${this.escapeHtml(parsed.title) || '<em>Untitled</em>'}</span>${chips.map(chip => `<span class="preview-chip">${chip}</span>`).join('')}`
+            : '';
+    }
+
+    parseRecurrence(text) {
+        const dayPattern = 'sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues|tue|wed|thurs|thur|thu|fri|sat';
+        const dayIndex = name => ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(name.slice(0, 3).toLowerCase());
+        const units = { day: 'daily', week: 'weekly', month: 'monthly' };
+        let match;
+
+        if ((match = text.match(/\bevery\s+(?:weekday|workday)s?\b/i))) {
+            return { match: match[0], rule: { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] } };
+        }
+        if ((match = text.match(new RegExp(`\\bevery\\s+((?:${dayPattern})(?:\\s*(?:,|and|&)\\s*(?:${dayPattern}))*)\\b`, 'i')))) {
+            const weekdays = match[1].split(/\s*(?:,|and|&)\s*/i).map(dayIndex);
+            return { match: match[0], rule: { frequency: 'weekly', weekdays } };
+        }
+        if ((match = text.match(/\bevery\s+(\d+|other)\s+(day|week|month)s?\b/i))) {
+            const interval = match[1].toLowerCase() === 'other' ? 2 : parseInt(match[1], 10);
+            return { match: match[0], rule: { frequency: units[match[2].toLowerCase()], interval } };
+        }
+        if ((match = text.match(/\bevery\s+(day|week|month)\b/i))) {
+            return { match: match[0], rule: { frequency: units[match[1].toLowerCase()] } };
+        }
+        // A bare "weekly" only counts at the end ("Water plants daily #home"), so "Write weekly report" keeps its title.
+        if ((match = text.match(/\b(?:repeats?\s+)?(daily|weekly|monthly)(?=(?:\s+#\w+)*\s*$)/i) || text.match(/\brepeats?\s+(daily|weekly|monthly)\b/i))) {
+            return { match: match[0], rule: { frequency: match[1].toLowerCase() } };
+        }
+        return null;
     }
     
 
@@ -561,27 +5914,361 @@ class TaskManager {
     }
 
 
+    // Archived tasks are finished work, so the all-time mode and history-based stats still count them.
+    getStatsTasks(mode = this.statsMode) {
+        return mode === 'all' ? [...this.tasks, ...this.archive] : this.tasks;
+    }
+
+    setStatsMode(mode, persist = true) {
+        this.statsMode = mode;
+        if (persist) {
+            try {
+                window.localStorage?.setItem('enhanced-stats-mode', mode);
+            } catch (e) {
+                console.warn('Could not save stats mode to localStorage');
+            }
+        }
+        this.updateStats();
+    }
+
     updateStats() {
-        const totalTasks = this.tasks.length;
-        const completedTasks = this.tasks.filter(t => t.completed).length;
+        const tasks = this.getStatsTasks();
+        const totalTasks = tasks.length;
+        const completedTasks = tasks.filter(t => t.completed).length;
         const pendingTasks = totalTasks - completedTasks;
+        const subtaskTotals = tasks.reduce((sum, task) => {
+            const { done, total } = this.getSubtaskProgress(task);
+            return { done: sum.done + done, total: sum.total + total };
+        }, { done: 0, total: 0 });
         const productivityScore = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
         
         document.getElementById('total-tasks').textContent = totalTasks;
         document.getElementById('completed-tasks').textContent = completedTasks;
         document.getElementById('pending-tasks').textContent = pendingTasks;
+        document.getElementById('subtask-progress').textContent = `${subtaskTotals.done}/${subtaskTotals.total}`;
         document.getElementById('productivity-score').textContent = `${productivityScore}%`;
+        document.getElementById('streak-count').textContent = this.getCompletionStreaks().current;
+        document.querySelectorAll('[data-stats-mode]').forEach(button => {
+            button.classList.toggle('active', button.dataset.statsMode === this.statsMode);
+            button.setAttribute('aria-pressed', String(button.dataset.statsMode === this.statsMode));
+        });
+        this.updateTimeStats();
+        if (document.getElementById('analytics-modal').classList.contains('active')) {
+            this.renderAnalytics();
+        }
+    }
+
+    getCompletionStreaks() {
+        const days = [...new Set(this.getStatsTasks('all').filter(t => t.completedAt).map(t => LocalDate.toKey(new Date(t.completedAt))))].sort();
+        const dayNumber = key => Math.round(LocalDate.parse(key).getTime() / 86400000);
+
+        let best = 0;
+        let run = 0;
+        days.forEach((key, index) => {
+            run = index > 0 && dayNumber(key) - dayNumber(days[index - 1]) === 1 ? run + 1 : 1;
+            best = Math.max(best, run);
+        });
+
+        const cursor = new Date();
+        if (!days.includes(LocalDate.toKey(cursor))) cursor.setDate(cursor.getDate() - 1);
+        let current = 0;
+        while (days.includes(LocalDate.toKey(cursor))) {
+            current++;
+            cursor.setDate(cursor.getDate() - 1);
+        }
+        return { current, best };
+    }
+
+    getAnalyticsRange() {
+        const preset = document.getElementById('analytics-range').value;
+        const end = new Date();
+        end.setHours(23, 59, 59, 999);
+        let start;
+
+        if (preset === 'custom') {
+            const from = document.getElementById('analytics-from').value;
+            const to = document.getElementById('analytics-to').value;
+            if (to) end.setTime(LocalDate.parse(LocalDate.addDays(to, 1)).getTime() - 1);
+            start = from ? LocalDate.parse(from) : null;
+        } else if (preset !== 'all') {
+            start = new Date(end);
+            start.setDate(start.getDate() - parseInt(preset, 10) + 1);
+            start.setHours(0, 0, 0, 0);
+        }
+
+        if (!start) {
+            const earliest = Math.min(...this.getStatsTasks('all').map(t => t.completedAt || t.createdAt), Date.now());
+            start = new Date(earliest);
+            start.setHours(0, 0, 0, 0);
+        }
+        return start <= end ? { start, end } : { start: new Date(end.getFullYear(), end.getMonth(), end.getDate()), end };
+    }
+
+    getDateBuckets(start, end, groupBy, valueOf) {
+        const cursor = new Date(start);
+        if (groupBy === 'week') cursor.setTime(LocalDate.startOfWeek(cursor).getTime());
+        const buckets = [];
+        while (cursor <= end) {
+            const bucketStart = new Date(cursor);
+            cursor.setDate(cursor.getDate() + (groupBy === 'week' ? 7 : 1));
+            buckets.push({
+                label: LocalDate.format(bucketStart, { month: 'short', day: 'numeric' }),
+                title: groupBy === 'week' ? `Week of ${LocalDate.format(bucketStart, { month: 'short', day: 'numeric' })}` : LocalDate.format(bucketStart, { weekday: 'short', month: 'short', day: 'numeric' }),
+                value: valueOf(bucketStart.getTime(), cursor.getTime())
+            });
+        }
+        return buckets;
+    }
+
+    getCompletionBuckets(completed, start, end, groupBy) {
+        return this.getDateBuckets(start, end, groupBy, (from, to) => completed.filter(t => t.completedAt >= from && t.completedAt < to).length);
+    }
+
+    isCompletedOnTime(task) {
+        const due = task.dueTime ? this.getTaskDueMoment(task) : LocalDate.parse(LocalDate.addDays(task.dueDate, 1));
+        return task.completedAt <= due.getTime();
+    }
+
+    formatDuration(ms) {
+        const hours = ms / 3600000;
+        if (hours < 1) return `${Math.max(1, Math.round(ms / 60000))}m`;
+        if (hours < 48) return `${Math.round(hours * 10) / 10}h`;
+        return `${Math.round((hours / 24) * 10) / 10}d`;
+    }
+
+    renderBarChart(buckets, { label = 'Completed tasks over time', unit = 'completed', format = value => value } = {}) {
+        const width = 640;
+        const height = 200;
+        const padding = { top: 16, right: 8, bottom: 28, left: 32 };
+        const max = Math.max(1, ...buckets.map(b => b.value));
+        const slot = (width - padding.left - padding.right) / Math.max(1, buckets.length);
+        const barWidth = Math.max(2, slot * 0.7);
+        const chartHeight = height - padding.top - padding.bottom;
+        const labelEvery = Math.ceil(buckets.length / 10);
+
+        const bars = buckets.map((bucket, index) => {
+            const barHeight = (bucket.value / max) * chartHeight;
+            const x = padding.left + index * slot + (slot - barWidth) / 2;
+            const label = index % labelEvery === 0
+                ? `<text class="chart-label" x="${x + barWidth / 2}" y="${height - 8}" text-anchor="middle">${bucket.label}</text>`
+                : '';
+            return `
+                <rect class="chart-bar" x="${x}" y="${padding.top + chartHeight - barHeight}" width="${barWidth}" height="${barHeight}" rx="3">
+                    <title>${bucket.title}: ${format(bucket.value)} ${unit}</title>
+                </rect>
+                ${label}
+            `;
+        }).join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">
+                <line class="chart-axis" x1="${padding.left}" y1="${padding.top + chartHeight}" x2="${width - padding.right}" y2="${padding.top + chartHeight}"></line>
+                <text class="chart-label" x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end">${format(max)}</text>
+                <text class="chart-label" x="${padding.left - 6}" y="${padding.top + chartHeight}" text-anchor="end">${format(0)}</text>
+                ${bars}
+            </svg>
+        `;
+    }
+
+    renderBreakdownChart(entries, emptyText = 'Nothing completed in this range') {
+        if (entries.length === 0) return `<p class="analytics-empty">${emptyText}</p>`;
+        const rowHeight = 28;
+        const labelWidth = 110;
+        const width = 320;
+        const max = Math.max(...entries.map(entry => entry.value));
+
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${entries.length * rowHeight}" role="img">
+                ${entries.map((entry, index) => {
+                    const y = index * rowHeight;
+                    const barWidth = ((width - labelWidth - 30) * entry.value) / max;
+                    return `
+                        <text class="chart-label" x="${labelWidth - 8}" y="${y + 18}" text-anchor="end">${this.escapeHtml(entry.label)}</text>
+                        <rect x="${labelWidth}" y="${y + 6}" width="${Math.max(barWidth, 2)}" height="16" rx="3" fill="${entry.color}"></rect>
+                        <text class="chart-value" x="${labelWidth + barWidth + 6}" y="${y + 18}">${entry.display || entry.value}</text>
+                    `;
+                }).join('')}
+            </svg>
+        `;
+    }
+
+    renderAnalytics() {
+        const { start, end } = this.getAnalyticsRange();
+        const groupBy = document.getElementById('analytics-group').value;
+        const tasks = this.getStatsTasks('all');
+        const completed = tasks.filter(t => t.completedAt && t.completedAt >= start.getTime() && t.completedAt <= end.getTime());
+        const created = tasks.filter(t => t.createdAt >= start.getTime() && t.createdAt <= end.getTime());
+        const withDueDate = completed.filter(t => t.dueDate);
+        const onTime = withDueDate.filter(t => this.isCompletedOnTime(t)).length;
+        const durations = completed.map(t => t.completedAt - t.createdAt).filter(ms => ms >= 0);
+        const streaks = this.getCompletionStreaks();
+        const tracked = this.getTimeTotals(start.getTime(), end.getTime() + 1);
+
+        document.getElementById('analytics-custom').style.display = document.getElementById('analytics-range').value === 'custom' ? 'flex' : 'none';
+        document.getElementById('analytics-summary').innerHTML = [
+            { value: completed.length, label: `Completed (${created.length} created)` },
+            { value: `${streaks.current}`, label: `Day streak (best ${streaks.best})` },
+            { value: durations.length > 0 ? this.formatDuration(durations.reduce((a, b) => a + b, 0) / durations.length) : '–', label: 'Avg. time to complete' },
+            { value: withDueDate.length > 0 ? `${Math.round((onTime / withDueDate.length) * 100)}%` : '–', label: `On time (${onTime} on time, ${withDueDate.length - onTime} late)` },
+            { value: tracked.total > 0 ? this.formatMinutes(tracked.total / 60000) : '–', label: 'Time tracked' }
+        ].map(card => `
+            <div class="analytics-card">
+                <span class="analytics-value">${card.value}</span>
+                <span class="analytics-label">${card.label}</span>
+            </div>
+        `).join('');
+
+        document.getElementById('analytics-timeline').innerHTML = this.renderBarChart(this.getCompletionBuckets(completed, start, end, groupBy));
+        const timeBuckets = this.getDateBuckets(start, end, groupBy, (from, to) => {
+            let total = 0;
+            for (const day = new Date(from); day.getTime() < to; day.setDate(day.getDate() + 1)) {
+                total += tracked.byDay[LocalDate.toKey(day)] || 0;
+            }
+            return Math.round(total / 60000);
+        });
+        document.getElementById('analytics-time').innerHTML = this.renderBarChart(timeBuckets, {
+            label: 'Time tracked over time',
+            unit: 'tracked',
+            format: minutes => this.formatMinutes(minutes)
+        });
+
+        const countBy = (keysOf) => {
+            const counts = new Map();
+            completed.forEach(task => keysOf(task).forEach(key => counts.set(key, (counts.get(key) || 0) + 1)));
+            return [...counts].sort((a, b) => b[1] - a[1]);
+        };
+        const priorityColors = { high: '#e53e3e', medium: '#ed8936', low: '#48bb78' };
+        document.getElementById('analytics-categories').innerHTML = this.renderBreakdownChart(
+            countBy(task => [task.category]).map(([id, value]) => ({ label: this.getCategory(id).name, value, color: this.getCategory(id).color }))
+        );
+        document.getElementById('analytics-priorities').innerHTML = this.renderBreakdownChart(
+            countBy(task => [task.priority]).map(([priority, value]) => ({ label: priority, value, color: priorityColors[priority] || '#718096' }))
+        );
+        document.getElementById('analytics-tags').innerHTML = this.renderBreakdownChart(
+            countBy(task => task.tags).slice(0, 8).map(([tag, value]) => ({ label: `#${tag}`, value, color: '#667eea' }))
+        );
+        document.getElementById('analytics-time-categories').innerHTML = this.renderBreakdownChart(
+            Object.entries(tracked.byCategory).sort((a, b) => b[1] - a[1]).map(([id, ms]) => ({
+                label: this.getCategory(id).name,
+                value: ms,
+                display: this.formatMinutes(ms / 60000),
+                color: this.getCategory(id).color
+            })),
+            'No time tracked in this range'
+        );
+    }
+
+    openAnalytics() {
+        this.renderAnalytics();
+        document.getElementById('analytics-modal').classList.add('active');
+    }
+
+    closeAnalytics() {
+        document.getElementById('analytics-modal').classList.remove('active');
+    }
+
+    openArchive(tab = 'archive') {
+        this.rememberFocus();
+        this.archiveTab = tab;
+        document.getElementById('archive-search').value = '';
+        document.getElementById('auto-archive-days').value = String(this.cleanup.archiveAfterDays);
+        document.getElementById('trash-days').value = String(this.cleanup.trashAfterDays);
+        this.renderArchive();
+        document.getElementById('archive-modal').classList.add('active');
+        document.getElementById('archive-search').focus();
+    }
+
+    closeArchive() {
+        document.getElementById('archive-modal').classList.remove('active');
+        this.restoreFocus();
+    }
+
+    setArchiveTab(tab) {
+        this.archiveTab = tab;
+        document.getElementById('archive-search').value = '';
+        this.renderArchive();
+    }
+
+    renderArchive() {
+        const trash = this.archiveTab === 'trash';
+        document.querySelectorAll('[data-archive-tab]').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.archiveTab === this.archiveTab);
+            tab.setAttribute('aria-selected', String(tab.dataset.archiveTab === this.archiveTab));
+        });
+        document.getElementById('archive-count').textContent = this.archive.length;
+        document.getElementById('trash-count').textContent = this.trash.length;
+        document.getElementById('archive-search').placeholder = trash ? 'Search the trash...' : 'Search archived tasks...';
+        document.getElementById('archive-completed').hidden = trash;
+        document.getElementById('archive-completed').disabled = !this.tasks.some(task => task.completed);
+        document.getElementById('empty-trash').hidden = !trash;
+        document.getElementById('empty-trash').disabled = this.trash.length === 0;
+
+        const query = this.parseSearchQuery(document.getElementById('archive-search').value);
+        const searchTerm = query.text.toLowerCase();
+        const field = trash ? 'deletedAt' : 'archivedAt';
+        const tasks = (trash ? this.trash : this.archive)
+            .filter(task => query.filters.every(filter => this.matchesQueryFilter(task, filter) !== filter.negate))
+            .filter(task => !searchTerm || this.matchesSearchText(task, searchTerm))
+            .sort((a, b) => b[field] - a[field]);
+
+        const empty = (trash ? this.trash : this.archive).length > 0
+            ? 'No tasks match your search.'
+            : (trash ? 'The trash is empty.' : 'Nothing archived yet. Archive completed tasks to keep your lists short.');
+        document.getElementById('archive-list').innerHTML = tasks.length > 0 ? tasks.map(task => {
+            const category = this.getCategory(task.category);
+            const when = LocalDate.format(new Date(task[field]), { month: 'short', day: 'numeric', year: 'numeric' });
+            const meta = [category.name, `${trash ? 'Deleted' : 'Archived'} ${when}`];
+            if (trash && this.cleanup.trashAfterDays > 0) {
+                const daysLeft = Math.max(0, Math.ceil((task.deletedAt + this.cleanup.trashAfterDays * 86400000 - Date.now()) / 86400000));
+                meta.push(daysLeft > 1 ? `Removed in ${daysLeft} days` : 'Removed within a day');
+            } else if (!trash && task.completedAt) {
+                meta.push(`Completed ${LocalDate.format(new Date(task.completedAt), { month: 'short', day: 'numeric' })}`);
+            }
+            const title = this.escapeHtml(task.title);
+            return `
+                <li class="manager-item archive-item" data-archived-task="${task.id}">
+                    <i class="fas ${category.icon}" style="color: ${category.color}" aria-hidden="true"></i>
+                    <span class="archive-info">
+                        <span class="archive-title ${task.completed ? 'done' : ''}">${title}</span>
+                        <span class="archive-meta">${meta.map(part => this.escapeHtml(part)).join(' &middot; ')}</span>
+                    </span>
+                    <button class="manager-action" data-action="restore" title="Restore" aria-label="Restore ${title}"><i class="fas fa-undo"></i></button>
+                    <button class="manager-delete" data-action="${trash ? 'purge' : 'trash'}" title="${trash ? 'Delete permanently' : 'Move to trash'}" aria-label="${trash ? 'Permanently delete' : 'Move to trash:'} ${title}"><i class="fas fa-trash"></i></button>
+                </li>
+            `;
+        }).join('') : `<li class="manager-empty">${empty}</li>`;
+    }
+
+    handleArchiveClick(e) {
+        const button = e.target.closest('[data-action]');
+        const item = e.target.closest('[data-archived-task]');
+        if (!button || !item) return;
+        const id = parseFloat(item.dataset.archivedTask);
+
+        if (button.dataset.action === 'restore') {
+            this.restoreTask(id);
+        } else if (button.dataset.action === 'trash') {
+            this.trashArchivedTask(id);
+        } else if (button.dataset.action === 'purge') {
+            this.purgeTasks(new Set([id]));
+        }
     }
 
     updateUI() {
         document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.filter === this.currentFilter);
+            btn.classList.toggle('active', !this.activeSavedFilter && btn.dataset.filter === this.currentFilter);
+            btn.setAttribute('aria-pressed', !this.activeSavedFilter && btn.dataset.filter === this.currentFilter);
+        });
+        document.querySelectorAll('.saved-filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.savedFilter === String(this.activeSavedFilter));
         });
         document.querySelectorAll('.category-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.category === this.currentCategory);
+            btn.setAttribute('aria-pressed', btn.dataset.category === this.currentCategory);
         });
         document.querySelectorAll('.view-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.view === this.currentView);
+            btn.setAttribute('aria-pressed', btn.dataset.view === this.currentView);
         });
     }
 
@@ -601,10 +6288,399 @@ class TaskManager {
         } else if (type === 'category') {
             this.currentCategory = value;
         }
+        this.activeSavedFilter = null;
+        this.updateUI();
+        this.renderTasks();
+    }
+
+    renderSavedFilters() {
+        const container = document.getElementById('saved-filters');
+        if (!container) return;
+        container.innerHTML = this.savedFilters.map(filter => `
+            <span class="saved-filter-btn" data-saved-filter="${filter.id}">
+                <button class="saved-filter-apply" onclick="taskManager.applySavedFilter('${filter.id}')" title="${this.escapeHtml(filter.query)}">
+                    <i class="fas fa-bookmark"></i>
+                    ${this.escapeHtml(filter.name)}
+                </button>
+                <button class="saved-filter-remove" onclick="taskManager.deleteSavedFilter('${filter.id}')" title="Remove saved filter" aria-label="Remove saved filter ${this.escapeHtml(filter.name)}">&times;</button>
+            </span>
+        `).join('');
+        this.updateUI();
+    }
+
+    saveCurrentFilter() {
+        const query = document.querySelector('.search-input').value.trim();
+        if (!query && this.currentFilter === 'all' && this.currentCategory === 'all') {
+            this.showToast('Set a filter or search query before saving it.', 'warning');
+            return;
+        }
+        const name = window.prompt('Name this filter', query || 'My filter');
+        if (!name || !name.trim()) return;
+
+        const filter = {
+            id: Date.now() + Math.random(),
+            name: name.trim(),
+            query,
+            status: this.currentFilter,
+            category: this.currentCategory
+        };
+        this.savedFilters.push(filter);
+        this.saveSavedFilters();
+        this.activeSavedFilter = filter.id;
+        this.renderSavedFilters();
+        this.showToast(`Saved filter "${this.escapeHtml(filter.name)}"`, 'success');
+    }
+
+    applySavedFilter(id) {
+        const filter = this.savedFilters.find(f => f.id === parseFloat(id));
+        if (!filter) return;
+        document.querySelector('.search-input').value = filter.query;
+        this.currentFilter = filter.status || 'all';
+        this.currentCategory = filter.category || 'all';
+        this.activeSavedFilter = filter.id;
         this.updateUI();
         this.renderTasks();
     }
 
+    deleteSavedFilter(id) {
+        const index = this.savedFilters.findIndex(f => f.id === parseFloat(id));
+        if (index === -1) return;
+        this.savedFilters.splice(index, 1);
+        this.saveSavedFilters();
+        if (this.activeSavedFilter === parseFloat(id)) {
+            this.activeSavedFilter = null;
+        }
+        this.renderSavedFilters();
+    }
+
+    createTemplate(fields = {}) {
+        return {
+            id: Date.now() + Math.random(),
+            name: '',
+            trigger: '',
+            title: '',
+            description: '',
+            priority: 'medium',
+            category: this.categories[0]?.id || 'personal',
+            tags: [],
+            subtasks: [],
+            dueOffset: null,
+            estimate: null,
+            uses: 0,
+            lastUsed: null,
+            ...fields
+        };
+    }
+
+    // Templates from a file are rebuilt from the fields a template has, like imported tasks.
+    normalizeTemplate(template) {
+        const text = value => (typeof value === 'string' ? value : '');
+        const strings = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+        const id = parseFloat(template.id);
+        const trigger = text(template.trigger) || text(template.name) || text(template.title);
+        const offset = template.dueOffset && typeof template.dueOffset === 'object' ? template.dueOffset : null;
+        const estimate = parseFloat(template.estimate);
+        return this.createTemplate({
+            ...(Number.isFinite(id) ? { id } : {}),
+            name: text(template.name) || text(template.title),
+            trigger: /^[\w-]+$/.test(trigger) && !this.findTemplate(trigger) ? trigger.toLowerCase() : this.suggestTrigger(trigger),
+            title: text(template.title),
+            description: text(template.description),
+            priority: ['high', 'medium', 'low'].includes(template.priority) ? template.priority : 'medium',
+            category: text(template.category) || this.categories[0]?.id || 'personal',
+            tags: strings(template.tags),
+            subtasks: strings(template.subtasks),
+            dueOffset: offset ? { days: Math.max(0, parseInt(offset.days, 10) || 0), time: /^\d{2}:\d{2}$/.test(offset.time) ? offset.time : '' } : null,
+            estimate: estimate > 0 ? estimate : null,
+            uses: Math.max(0, parseInt(template.uses, 10) || 0),
+            lastUsed: Number.isFinite(template.lastUsed) ? template.lastUsed : null
+        });
+    }
+
+    moveTemplateCategory(fromId, toId) {
+        const moved = this.templates.filter(template => template.category === fromId);
+        if (moved.length === 0) return;
+        moved.forEach(template => {
+            template.category = toId;
+        });
+        this.saveTemplates();
+    }
+
+    findTemplate(trigger, exceptId = null) {
+        const wanted = trigger.toLowerCase();
+        return this.templates.find(template => template.id !== exceptId && template.trigger.toLowerCase() === wanted);
+    }
+
+    suggestTrigger(text, exceptId = null) {
+        const base = text.toLowerCase().replace(/^\//, '').split(/\s+/)[0].replace(/[^\w-]/g, '') || 'template';
+        let trigger = base;
+        for (let n = 2; this.findTemplate(trigger, exceptId); n++) trigger = `${base}${n}`;
+        return trigger;
+    }
+
+    describeDueOffset(offset) {
+        if (!offset) return 'No due date';
+        const days = offset.days === 0 ? 'Same day' : `+${offset.days} day${offset.days === 1 ? '' : 's'}`;
+        return offset.time ? `${days} at ${offset.time}` : days;
+    }
+
+    matchTemplateTrigger(text) {
+        const match = text.match(/^\/([\w-]+)(?:\s+(.*))?$/s);
+        const template = match && this.findTemplate(match[1]);
+        return template ? { template, input: (match[2] || '').trim() } : null;
+    }
+
+    buildTaskFromTemplate(template, input = '') {
+        // Quick add syntax after the trigger still works, e.g. "/onboard Acme tomorrow high priority".
+        const parsed = this.parseQuickTask(input);
+        const fill = text => text.replace(/\{input\}/gi, () => parsed.title).replace(/[ \t]{2,}/g, ' ').trim();
+        const title = /\{input\}/i.test(template.title) ? fill(template.title) : [template.title, parsed.title].filter(Boolean).join(' ');
+        const dueDate = parsed.dueDate || (template.dueOffset ? LocalDate.addDays(LocalDate.today(), template.dueOffset.days) : '');
+        const dueTime = parsed.dueTime || (dueDate && template.dueOffset?.time) || '';
+        return {
+            title,
+            description: fill(template.description),
+            priority: parsed.detected.includes('priority') ? parsed.priority : template.priority,
+            category: parsed.detected.includes('category') ? parsed.category : template.category,
+            dueDate,
+            dueTime,
+            tags: [...new Set([...template.tags, ...parsed.tags])],
+            recurrence: parsed.recurrence,
+            estimate: parsed.estimate || template.estimate || null,
+            subtasks: template.subtasks.map(step => this.createSubtask(fill(step))).filter(subtask => subtask.title),
+            detected: ['priority', 'category', ...(dueDate ? ['date'] : []), ...(dueTime ? ['time'] : [])]
+        };
+    }
+
+    useTemplate(id, input = '') {
+        const template = this.templates.find(t => t.id === parseFloat(id));
+        if (!template || !this.addTask(this.buildTaskFromTemplate(template, input))) return false;
+        template.uses = (template.uses || 0) + 1;
+        template.lastUsed = Date.now();
+        this.saveTemplates();
+        this.renderSuggestionChips();
+        return true;
+    }
+
+    prefillTemplate(id) {
+        const template = this.templates.find(t => t.id === parseFloat(id));
+        if (!template) return;
+        const input = document.getElementById('task-input');
+        const rest = input.value.trim().replace(/^\/[\w-]+\s*/, '');
+        this.switchInputMode('quick');
+        input.value = `/${template.trigger} ${rest}`;
+        input.focus();
+        this.renderQuickPreview();
+    }
+
+    renderSuggestionChips() {
+        const container = document.getElementById('smart-suggestions');
+        if (!container) return;
+        const popular = [...this.templates]
+            .sort((a, b) => (b.uses || 0) - (a.uses || 0) || (b.lastUsed || 0) - (a.lastUsed || 0))
+            .slice(0, 4);
+        const defaults = [['📅 Today', 'due today'], ['⭐ High Priority', 'high priority'], ['🏠 Personal', '#personal'], ['💼 Work', '#work']];
+
+        container.innerHTML = (popular.length > 0
+            ? popular.map(template => `
+                <button type="button" class="suggestion-chip template-chip" data-template="${template.id}" title="/${this.escapeHtml(template.trigger)}">
+                    <i class="fas fa-clone" aria-hidden="true"></i> ${this.escapeHtml(template.name)}
+                </button>
+            `)
+            : defaults.map(([label, text]) => `<button type="button" class="suggestion-chip" data-append="${text}">${label}</button>`)
+        ).join('') + `
+            <button type="button" class="suggestion-manage" title="Manage templates" aria-label="Manage templates">
+                <i class="fas fa-clone" aria-hidden="true"></i>
+            </button>
+        `;
+    }
+
+    openTemplateManager() {
+        this.rememberFocus();
+        this.closeTemplateEditor();
+        document.getElementById('templates-modal').classList.add('active');
+        document.getElementById('new-template').focus();
+    }
+
+    closeTemplateManager() {
+        document.getElementById('templates-modal').classList.remove('active');
+        this.editingTemplate = null;
+        this.restoreFocus();
+    }
+
+    renderTemplateManager() {
+        document.getElementById('template-manager-list').innerHTML = this.templates.length > 0 ? this.templates.map(template => `
+            <li class="manager-item ${this.editingTemplate?.id === template.id ? 'editing' : ''}" data-template="${template.id}">
+                <i class="fas fa-clone" aria-hidden="true"></i>
+                <span class="template-info">
+                    <span class="template-name">${this.escapeHtml(template.name)}</span>
+                    <span class="template-meta">/${this.escapeHtml(template.trigger)} &middot; ${this.describeDueOffset(template.dueOffset)}</span>
+                </span>
+                <span class="manager-count" title="Times used">${template.uses || 0}</span>
+                <button class="manager-action" data-action="use" title="Use in quick add" aria-label="Use template ${this.escapeHtml(template.name)}"><i class="fas fa-plus"></i></button>
+                <button class="manager-action" data-action="edit" title="Edit template" aria-label="Edit template ${this.escapeHtml(template.name)}"><i class="fas fa-edit"></i></button>
+                <button class="manager-delete" data-action="delete" title="Delete template" aria-label="Delete template ${this.escapeHtml(template.name)}"><i class="fas fa-trash"></i></button>
+            </li>
+        `).join('') : '<li class="manager-empty">No templates yet. Create one here or use "Save as template" on a task.</li>';
+    }
+
+    handleTemplateManagerClick(e) {
+        const button = e.target.closest('[data-action]');
+        const item = e.target.closest('[data-template]');
+        if (!button || !item) return;
+        const template = this.templates.find(t => t.id === parseFloat(item.dataset.template));
+        if (!template) return;
+
+        if (button.dataset.action === 'use') {
+            this.closeTemplateManager();
+            this.prefillTemplate(template.id);
+        } else if (button.dataset.action === 'edit') {
+            this.editTemplate(template);
+        } else if (button.dataset.action === 'delete') {
+            this.deleteTemplate(template.id);
+        }
+    }
+
+    editTemplate(template) {
+        this.editingTemplate = template;
+        document.getElementById('template-name').value = template.name;
+        document.getElementById('template-trigger').value = template.trigger;
+        document.getElementById('template-title').value = template.title;
+        document.getElementById('template-description').value = template.description;
+        document.getElementById('template-priority').value = template.priority;
+        document.getElementById('template-category').value = template.category;
+        document.getElementById('template-tags').value = template.tags.join(', ');
+        document.getElementById('template-subtasks').value = template.subtasks.join('\n');
+        document.getElementById('template-due-days').value = template.dueOffset ? template.dueOffset.days : '';
+        document.getElementById('template-due-time').value = template.dueOffset?.time || '';
+        document.getElementById('template-estimate').value = template.estimate ? this.formatMinutes(template.estimate) : '';
+        document.getElementById('template-editor').hidden = false;
+        this.renderTemplateManager();
+        document.getElementById('template-name').focus();
+    }
+
+    closeTemplateEditor() {
+        this.editingTemplate = null;
+        document.getElementById('template-editor').hidden = true;
+        this.renderTemplateManager();
+    }
+
+    saveTemplateEditor() {
+        const template = this.editingTemplate;
+        if (!template) return false;
+        const name = document.getElementById('template-name').value.trim();
+        const title = document.getElementById('template-title').value.trim();
+        const triggerInput = document.getElementById('template-trigger');
+        const trigger = triggerInput.value.trim().replace(/^\//, '').toLowerCase() || this.suggestTrigger(name, template.id);
+        const days = document.getElementById('template-due-days').value.trim();
+        const time = document.getElementById('template-due-time').value;
+        const estimateInput = document.getElementById('template-estimate');
+        const estimate = this.parseDuration(estimateInput.value);
+
+        if (!name || !title) {
+            this.showToast('Give the template a name and a task title.', 'warning');
+            document.getElementById(name ? 'template-title' : 'template-name').focus();
+            return false;
+        }
+        if (!/^[\w-]+$/.test(trigger)) {
+            this.showToast('Triggers can only use letters, numbers, - and _.', 'warning');
+            triggerInput.focus();
+            return false;
+        }
+        const clash = this.findTemplate(trigger, template.id);
+        if (clash) {
+            this.showToast(`/${this.escapeHtml(trigger)} is already used by "${this.escapeHtml(clash.name)}".`, 'warning');
+            triggerInput.focus();
+            return false;
+        }
+        if (estimateInput.value.trim() && !estimate) {
+            this.showToast('Enter the estimate as minutes or hours, e.g. 45m or 1h 30m.', 'warning');
+            estimateInput.focus();
+            return false;
+        }
+
+        Object.assign(template, {
+            name,
+            trigger,
+            title,
+            description: document.getElementById('template-description').value.trim(),
+            priority: document.getElementById('template-priority').value,
+            category: document.getElementById('template-category').value,
+            tags: document.getElementById('template-tags').value.split(',').map(tag => tag.trim()).filter(tag => tag),
+            subtasks: document.getElementById('template-subtasks').value.split('\n').map(step => step.trim()).filter(step => step),
+            dueOffset: days || time ? { days: Math.max(0, parseInt(days, 10) || 0), time } : null,
+            estimate
+        });
+        if (!this.templates.includes(template)) this.templates.push(template);
+        this.saveTemplates();
+        this.renderSuggestionChips();
+        this.closeTemplateEditor();
+        document.getElementById('new-template').focus();
+        this.showToast(`Saved template "${this.escapeHtml(name)}"`, 'success');
+        return true;
+    }
+
+    deleteTemplate(id) {
+        const index = this.templates.findIndex(t => t.id === parseFloat(id));
+        if (index === -1) return false;
+        const [template] = this.templates.splice(index, 1);
+        if (this.editingTemplate === template) this.closeTemplateEditor();
+        this.saveTemplates();
+        this.renderSuggestionChips();
+        this.renderTemplateManager();
+        this.showToast(`Deleted template "${this.escapeHtml(template.name)}"`, 'success', {
+            label: 'Undo',
+            handler: () => {
+                this.templates.splice(Math.min(index, this.templates.length), 0, template);
+                this.saveTemplates();
+                this.renderSuggestionChips();
+                this.renderTemplateManager();
+            }
+        });
+        return true;
+    }
+
+    saveTaskAsTemplate() {
+        const task = this.currentEditingTask;
+        if (!task) return false;
+        const title = document.getElementById('modal-title').value.trim();
+        if (!title) {
+            this.showToast('Give the task a title before saving it as a template.', 'warning');
+            return false;
+        }
+        const name = window.prompt('Name this template', title);
+        if (!name || !name.trim()) return false;
+
+        const dueDate = document.getElementById('modal-date').value;
+        const dueTime = document.getElementById('modal-time').value;
+        const dayNumber = key => Math.round(LocalDate.parse(key).getTime() / 86400000);
+        const createdOn = LocalDate.toKey(new Date(task.createdAt));
+        const template = this.createTemplate({
+            name: name.trim(),
+            trigger: this.suggestTrigger(name),
+            title,
+            description: document.getElementById('modal-description').value.trim(),
+            priority: document.getElementById('modal-priority').value,
+            category: document.getElementById('modal-category').value,
+            tags: document.getElementById('modal-tags').value.split(',').map(tag => tag.trim()).filter(tag => tag),
+            subtasks: this.editingSubtasks.map(subtask => subtask.title.trim()).filter(step => step),
+            dueOffset: dueDate ? { days: Math.max(0, dayNumber(dueDate) - dayNumber(createdOn)), time: dueTime } : null,
+            estimate: this.parseDuration(document.getElementById('modal-estimate').value)
+        });
+        this.templates.push(template);
+        this.saveTemplates();
+        this.renderSuggestionChips();
+        this.showToast(`Saved template "${this.escapeHtml(template.name)}". Type /${this.escapeHtml(template.trigger)} in quick add to use it.`, 'success', {
+            label: 'Edit',
+            handler: () => {
+                this.closeModal();
+                this.openTemplateManager();
+                this.editTemplate(template);
+            }
+        });
+        return true;
+    }
+
     switchView(view) {
         this.currentView = view;
         this.updateUI();
@@ -615,54 +6691,67 @@ class TaskManager {
         document.getElementById('task-input').value = '';
         const detailedInputs = document.querySelectorAll('.detailed-mode input, .detailed-mode textarea, .detailed-mode select');
         detailedInputs.forEach(input => {
-            if (input.type === 'date' || input.type === 'time' || input.type === 'text' || input.tagName === 'TEXTAREA') {
+            if (['date', 'time', 'text', 'datetime-local'].includes(input.type) || input.tagName === 'TEXTAREA') {
                 input.value = '';
             } else if (input.tagName === 'SELECT') {
-                input.value = 'low'; 
+                input.selectedIndex = 0;
             }
         });
-        document.querySelector('.detailed-mode select.detail-select:nth-of-type(2)').value = 'personal'; // Set default for category
+        this.draftReminders.detail = [];
+        this.renderReminderEditor('detail');
+        this.renderQuickPreview();
     }
 
-    showToast(message, type) {
+    showToast(message, type, action = null, duration = null) {
         const container = document.getElementById('toast-container');
         if (!container) return;
+        const actions = action ? [].concat(action) : [];
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
+        if (type === 'error') toast.setAttribute('role', 'alert');
         toast.innerHTML = `
-            <div class="toast-icon">
+            <div class="toast-icon" aria-hidden="true">
                 ${type === 'success' ? '<i class="fas fa-check-circle"></i>' : (type === 'error' ? '<i class="fas fa-exclamation-circle"></i>' : '<i class="fas fa-info-circle"></i>')}
             </div>
             <div class="toast-message">${message}</div>
-            <button class="toast-close" onclick="this.parentElement.remove()">&times;</button>
+            ${actions.map((a, index) => `<button class="toast-action" data-index="${index}">${this.escapeHtml(a.label)}</button>`).join('')}
+            <button class="toast-close" onclick="this.parentElement.remove()" aria-label="Dismiss notification">&times;</button>
         `;
+        toast.querySelectorAll('.toast-action').forEach(button => {
+            button.addEventListener('click', () => {
+                toast.remove();
+                actions[button.dataset.index].handler();
+            });
+        });
         container.appendChild(toast);
         setTimeout(() => toast.classList.add('show'), 100);
-        setTimeout(() => toast.classList.remove('show'), 3000);
-        setTimeout(() => toast.remove(), 3500);
+        const visibleFor = duration ?? (actions.length > 0 ? 6000 : 3000);
+        if (visibleFor > 0) {
+            setTimeout(() => toast.classList.remove('show'), visibleFor);
+            setTimeout(() => toast.remove(), visibleFor + 500);
+        }
+        return toast;
     }
 
     isOverdue(task) {
-        const today = new Date().toISOString().split('T')[0];
-        return task.dueDate && task.dueDate < today && !task.completed;
+        const { date } = this.getLocalDue(task);
+        return date && date < LocalDate.today() && !task.completed;
     }
 
     isToday(task) {
-        const today = new Date().toISOString().split('T')[0];
-        return task.dueDate === today;
+        return this.getLocalDue(task).date === LocalDate.today();
     }
 
     isUpcoming(task) {
-        const today = new Date().toISOString().split('T')[0];
-        return task.dueDate > today;
+        return this.getLocalDue(task).date > LocalDate.today();
     }
 
     updateSectionCount(id, count) {
-        const sectionTitle = document.querySelector(`#tasks-list .tasks-section h4[id="${id}"]`);
-        if (sectionTitle) {
-            const countSpan = sectionTitle.querySelector('.task-count');
+        const section = document.getElementById(id)?.closest('.tasks-section');
+        if (section) {
+            const countSpan = section.querySelector('.task-count');
             if (countSpan) {
-                countSpan.textContent = `(${count})`;
+                countSpan.textContent = count;
             }
         }
     }
@@ -678,17 +6767,55 @@ class TaskManager {
         this.currentEditingTask = task;
         document.getElementById('modal-title').value = task.title;
         document.getElementById('modal-description').value = task.description;
+        this.setNotesPreview(false);
         document.getElementById('modal-date').value = task.dueDate;
         document.getElementById('modal-time').value = task.dueTime;
+        this.fillTimeZoneSelect(task.timeZone);
+        document.getElementById('modal-status').innerHTML = this.boardColumns.map(column => `
+            <option value="${column.id}">${this.escapeHtml(column.name)}</option>
+        `).join('');
+        document.getElementById('modal-status').value = this.getTaskColumn(task).id;
         document.getElementById('modal-priority').value = task.priority;
         document.getElementById('modal-category').value = task.category;
         document.getElementById('modal-tags').value = task.tags.join(', ');
+        this.fillRepeatEditor(task.recurrence);
+        this.editingSubtasks = task.subtasks.map(subtask => ({ ...subtask }));
+        this.draftReminders.modal = task.reminders.map(reminder => ({ ...reminder }));
+        this.renderReminderEditor('modal');
+        document.getElementById('modal-subtask-input').value = '';
+        this.renderModalSubtasks();
+        document.getElementById('modal-estimate').value = task.estimate ? this.formatMinutes(task.estimate) : '';
+        document.getElementById('modal-log-date').value = LocalDate.today();
+        document.getElementById('modal-log-duration').value = '';
+        this.editingTimeEntries = task.timeEntries.map(entry => ({ ...entry }));
+        this.renderTimeLog();
+        this.editingBlockedBy = [...task.blockedBy];
+        document.getElementById('modal-blocker-search').value = '';
+        this.renderBlockerEditor();
+        this.renderBlockerResults();
+        this.editingAttachments = task.attachments.map(attachment => ({ ...attachment }));
+        this.renderAttachmentEditor();
+        this.rememberFocus();
         document.getElementById('task-modal').classList.add('active');
+        document.getElementById('modal-title').focus();
+    }
+
+    fillTimeZoneSelect(value) {
+        const select = document.getElementById('modal-timezone');
+        const zones = LocalDate.getTimeZones();
+        if (value && !zones.includes(value)) zones.unshift(value);
+        select.innerHTML = `<option value="">Local time (${this.escapeHtml(LocalDate.getLocalTimeZone() || 'this device')})</option>` +
+            zones.map(zone => `<option value="${this.escapeHtml(zone)}">${this.escapeHtml(zone.replace(/_/g, ' '))}</option>`).join('');
+        select.value = value || '';
     }
 
     closeModal() {
-        document.getElementById('task-modal').classList.remove('active');
+        const modal = document.getElementById('task-modal');
+        const wasOpen = modal.classList.contains('active');
+        modal.classList.remove('active');
         this.currentEditingTask = null;
+        this.revokeAttachmentUrls();
+        if (wasOpen) this.restoreFocus();
     }
 }
 
@@ -0,0 +1,84 @@
+// The app shell is served network-first, so deploys reach clients without a bump here.
+// Bumping the version still triggers the in-app update prompt and clears the old precache.
+const CACHE_NAME = 'taskflow-v2';
+const RUNTIME_CACHE = 'taskflow-runtime';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.webmanifest',
+    'vendor/fontawesome/css/fontawesome.min.css',
+    'vendor/fontawesome/css/solid.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png',
+    'icons/shortcut-add-96.png',
+    'icons/shortcut-today-96.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== CACHE_NAME && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// The copy is taken as soon as the response arrives, before respondWith starts reading its body.
+function cacheResponse(event, network, cacheName, key, onlyOk = true) {
+    const copy = network.then(response => (!onlyOk || response.ok ? response.clone() : null));
+    event.waitUntil(copy
+        .then(response => response && caches.open(cacheName).then(cache => cache.put(key, response)))
+        .catch(() => {}));
+}
+
+function networkFirst(event, key) {
+    const network = fetch(event.request);
+    cacheResponse(event, network, CACHE_NAME, key);
+    event.respondWith(network.catch(() => caches.match(key, { ignoreSearch: true })
+        .then(cached => cached || Response.error())));
+}
+
+function staleWhileRevalidate(event) {
+    const network = fetch(event.request);
+    cacheResponse(event, network, RUNTIME_CACHE, event.request, false);
+    event.respondWith(caches.open(RUNTIME_CACHE)
+        .then(cache => cache.match(event.request))
+        .then(cached => cached || network.catch(() => cached || Response.error())));
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        networkFirst(event, 'index.html');
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        networkFirst(event, request);
+        return;
+    }
+
+    if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+        staleWhileRevalidate(event);
+    }
+});
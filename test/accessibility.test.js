@@ -0,0 +1,126 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp, readStylesheet } = require('./load-app');
+
+let window;
+let document;
+let taskManager;
+
+beforeEach(async () => {
+    window = await loadApp();
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+test('task cards are list items with a real checkbox and labelled buttons', () => {
+    taskManager.addTask({ title: 'Write report' });
+    const card = document.querySelector('#tasks-list .task-card');
+
+    assert.equal(card.tagName, 'LI');
+    assert.equal(card.parentElement.tagName, 'UL');
+    assert.equal(document.getElementById(card.getAttribute('aria-labelledby')).textContent, 'Write report');
+
+    const checkbox = card.querySelector('.task-checkbox input[type="checkbox"]');
+    assert.ok(checkbox);
+    assert.equal(checkbox.checked, false);
+    assert.equal(checkbox.getAttribute('aria-label'), 'Mark Write report as done');
+
+    assert.equal(card.querySelector('.edit-btn').tagName, 'BUTTON');
+    assert.equal(card.querySelector('.edit-btn').getAttribute('aria-label'), 'Edit Write report');
+    assert.equal(card.querySelector('.delete-btn').tagName, 'BUTTON');
+    assert.equal(card.querySelector('.delete-btn').getAttribute('aria-label'), 'Delete Write report');
+    card.querySelectorAll('.task-action-btn i').forEach(icon => assert.equal(icon.getAttribute('aria-hidden'), 'true'));
+});
+
+test('checking the card checkbox completes the task', () => {
+    taskManager.addTask({ title: 'Water plants' });
+    const checkbox = document.querySelector('#tasks-list .task-checkbox input');
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new window.Event('change', { bubbles: true }));
+
+    assert.equal(taskManager.tasks[0].completed, true);
+    const updated = document.querySelector('#tasks-list .task-checkbox input');
+    assert.equal(updated.checked, true);
+    assert.equal(updated.getAttribute('aria-label'), 'Mark Water plants as not done');
+});
+
+test('toasts are announced through a polite live region', () => {
+    const container = document.getElementById('toast-container');
+    assert.equal(container.getAttribute('aria-live'), 'polite');
+
+    const toast = taskManager.showToast('Saved', 'success');
+    assert.equal(toast.parentElement, container);
+    assert.equal(toast.hasAttribute('role'), false);
+    assert.equal(toast.querySelector('.toast-close').getAttribute('aria-label'), 'Dismiss notification');
+
+    assert.equal(taskManager.showToast('Could not save', 'error').getAttribute('role'), 'alert');
+});
+
+function renderCalendar(focusDate) {
+    const [year, month] = focusDate.split('-').map(Number);
+    taskManager.calendarDate = new Date(year, month - 1, 1);
+    taskManager.calendarFocusDate = focusDate;
+    taskManager.renderCalendarView();
+    return document.getElementById('calendar-container');
+}
+
+test('the calendar is an ARIA grid of rows and cells', () => {
+    const grid = renderCalendar('2024-01-15');
+    assert.equal(grid.getAttribute('role'), 'grid');
+    assert.equal(document.getElementById(grid.getAttribute('aria-labelledby')).textContent, 'January 2024');
+
+    const rows = [...grid.children];
+    assert.ok(rows.every(row => row.getAttribute('role') === 'row'));
+
+    const headers = rows[0].querySelectorAll('[role="columnheader"]');
+    assert.equal(headers.length, 7);
+    assert.equal(headers[0].getAttribute('aria-label'), 'Sunday');
+
+    rows.slice(1).forEach(row => {
+        assert.equal(row.children.length, 7);
+        assert.ok([...row.children].every(cell => cell.getAttribute('role') === 'gridcell'));
+    });
+    assert.equal(grid.querySelectorAll('[role="gridcell"][data-date]').length, 31);
+
+    const focusable = grid.querySelectorAll('[role="gridcell"][tabindex="0"]');
+    assert.equal(focusable.length, 1);
+    assert.equal(focusable[0].dataset.date, '2024-01-15');
+    assert.match(focusable[0].getAttribute('aria-label'), /^Monday, January 15, no tasks$/);
+});
+
+test('calendar keys move focus by day, week, week edge and month', () => {
+    const grid = renderCalendar('2024-01-15');
+    grid.querySelector('[data-date="2024-01-15"]').focus();
+
+    const press = key => {
+        const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+        document.activeElement.dispatchEvent(event);
+        assert.equal(event.defaultPrevented, true, `${key} should be handled`);
+        return document.activeElement.dataset.date;
+    };
+
+    assert.equal(press('ArrowRight'), '2024-01-16');
+    assert.equal(press('ArrowDown'), '2024-01-23');
+    assert.equal(press('ArrowLeft'), '2024-01-22');
+    assert.equal(press('ArrowUp'), '2024-01-15');
+    assert.equal(press('Home'), '2024-01-14');
+    assert.equal(press('End'), '2024-01-20');
+    assert.equal(grid.querySelectorAll('[tabindex="0"]').length, 1);
+
+    assert.equal(press('PageDown'), '2024-02-20');
+    assert.equal(document.getElementById('calendar-month-year').textContent, 'February 2024');
+    assert.equal(press('PageUp'), '2024-01-20');
+
+    grid.querySelector('[data-date="2024-01-31"]').focus();
+    assert.equal(press('ArrowRight'), '2024-02-01');
+    assert.equal(press('ArrowLeft'), '2024-01-31');
+});
+
+test('reduced motion hides the background animation and shortens transitions', () => {
+    const block = readStylesheet().match(/@media \(prefers-reduced-motion: reduce\) \{([\s\S]*?)\n\}/);
+    assert.ok(block, 'style.css should have a prefers-reduced-motion block');
+    assert.match(block[1], /\.bg-animation\s*\{\s*display:\s*none;/);
+    assert.match(block[1], /transition-duration:\s*0\.01ms !important;/);
+    assert.match(block[1], /animation-duration:\s*0\.01ms !important;/);
+});
@@ -0,0 +1,118 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+// Wednesday 10 January 2024, midday.
+const NOW = Date.UTC(2024, 0, 10, 12);
+const at = (day, hour = 10) => Date.UTC(2024, 0, day, hour);
+
+const done = (id, day, extra = {}) => ({
+    id, title: `Task ${id}`, tags: [], completed: true, completedAt: at(day), createdAt: at(day - 1), ...extra
+});
+
+const savedTasks = [
+    done(1, 10, { category: 'work', priority: 'high', tags: ['ship'], dueDate: '2024-01-10', dueTime: '09:00' }),
+    done(2, 9, { category: 'work', priority: 'medium', tags: ['ship'], dueDate: '2024-01-12' }),
+    done(3, 8, { category: 'personal', priority: 'low' }),
+    done(4, 4),
+    done(5, 3),
+    done(6, 2),
+    done(7, 1, { createdAt: at(1, 6) }),
+    { id: 8, title: 'Still open', tags: [], createdAt: at(5) }
+];
+
+let window;
+let document;
+let taskManager;
+
+beforeEach(async () => {
+    window = await loadApp({ now: NOW, storage: { 'enhanced-tasks': JSON.stringify(savedTasks) } });
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+const dateKey = date => window.eval('LocalDate').toKey(date);
+const setRange = (range, group = 'day') => {
+    document.getElementById('analytics-range').value = range;
+    document.getElementById('analytics-group').value = group;
+};
+
+test('streaks count consecutive completion days', () => {
+    assert.deepEqual({ ...taskManager.getCompletionStreaks() }, { current: 3, best: 4 });
+    assert.equal(document.getElementById('streak-count').textContent, '3');
+
+    taskManager.tasks = taskManager.tasks.filter(task => task.id !== 1);
+    assert.equal(taskManager.getCompletionStreaks().current, 2, 'a streak is still alive until today is over');
+    taskManager.tasks = taskManager.tasks.filter(task => task.id !== 2);
+    assert.equal(taskManager.getCompletionStreaks().current, 0);
+});
+
+test('completions are bucketed per day or per week', () => {
+    setRange('7');
+    const { start, end } = taskManager.getAnalyticsRange();
+    assert.equal(dateKey(start), '2024-01-04');
+    assert.equal(dateKey(end), '2024-01-10');
+
+    const completed = taskManager.tasks.filter(task => task.completed);
+    const days = taskManager.getCompletionBuckets(completed, start, end, 'day');
+    assert.equal(days.map(bucket => bucket.value).join(','), '1,0,0,0,1,1,1');
+    assert.equal(days[0].label, 'Jan 4');
+
+    const weeks = taskManager.getCompletionBuckets(completed, start, end, 'week');
+    assert.equal(weeks.map(bucket => `${bucket.label}:${bucket.value}`).join(','), 'Dec 31:4,Jan 7:3');
+    assert.equal(weeks[1].title, 'Week of Jan 7');
+});
+
+test('custom ranges fall back to the earliest task when no start is given', () => {
+    setRange('custom');
+    document.getElementById('analytics-to').value = '2024-01-03';
+    const { start, end } = taskManager.getAnalyticsRange();
+    assert.equal(dateKey(start), '2024-01-01');
+    assert.equal(dateKey(end), '2024-01-03');
+});
+
+test('on-time completion uses the due time or the end of the due day', () => {
+    const [late, early] = taskManager.tasks;
+    assert.equal(taskManager.isCompletedOnTime(late), false);
+    assert.equal(taskManager.isCompletedOnTime(early), true);
+    assert.equal(taskManager.isCompletedOnTime({ ...early, dueDate: '2024-01-09', dueTime: '' }), true);
+});
+
+test('durations are shown in minutes, hours or days', () => {
+    assert.equal(taskManager.formatDuration(20 * 1000), '1m');
+    assert.equal(taskManager.formatDuration(45 * 60000), '45m');
+    assert.equal(taskManager.formatDuration(90 * 60000), '1.5h');
+    assert.equal(taskManager.formatDuration(72 * 3600000), '3d');
+});
+
+test('the dashboard summarises the range and breaks completions down', () => {
+    setRange('7');
+    taskManager.openAnalytics();
+    assert.equal(document.getElementById('analytics-modal').classList.contains('active'), true);
+
+    const cards = [...document.querySelectorAll('#analytics-summary .analytics-card')].map(card => card.textContent.replace(/\s+/g, ' ').trim());
+    assert.deepEqual(cards, [
+        '4 Completed (4 created)',
+        '3 Day streak (best 4)',
+        '24h Avg. time to complete',
+        '50% On time (1 on time, 1 late)',
+        '– Time tracked'
+    ]);
+    assert.equal(document.querySelectorAll('#analytics-timeline .chart-bar').length, 7);
+
+    const labels = id => [...document.querySelectorAll(`#${id} .chart-label`)].map(label => label.textContent);
+    assert.deepEqual(labels('analytics-categories'), ['Work', 'Personal']);
+    assert.deepEqual(labels('analytics-priorities'), ['medium', 'high', 'low']);
+    assert.deepEqual(labels('analytics-tags'), ['#ship']);
+});
+
+test('an empty range says so instead of drawing empty charts', () => {
+    setRange('custom');
+    document.getElementById('analytics-from').value = '2023-06-01';
+    document.getElementById('analytics-to').value = '2023-06-30';
+    taskManager.renderAnalytics();
+    assert.equal(document.getElementById('analytics-custom').style.display, 'flex');
+    assert.match(document.getElementById('analytics-categories').textContent, /Nothing completed in this range/);
+    assert.match(document.getElementById('analytics-summary').textContent, /–\s+Avg\. time to complete/);
+});
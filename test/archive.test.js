@@ -0,0 +1,100 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+// Wednesday 10 January 2024, midday.
+const NOW = Date.UTC(2024, 0, 10, 12);
+const DAY = 86400000;
+
+const savedTasks = [
+    { id: 1, title: 'Open', tags: [] },
+    { id: 2, title: 'Done last week', tags: [], completed: true, completedAt: NOW - 8 * DAY },
+    { id: 3, title: 'Done today', tags: [], completed: true, completedAt: NOW },
+    { id: 4, title: 'Archived', tags: [], completed: true, completedAt: NOW - 20 * DAY, archivedAt: NOW - 10 * DAY },
+    { id: 5, title: 'Binned long ago', tags: [], deletedAt: NOW - 40 * DAY },
+    { id: 6, title: 'Binned yesterday', tags: [], deletedAt: NOW - DAY }
+];
+
+let window;
+let document;
+let taskManager;
+
+const load = async (storage = {}) => {
+    window = await loadApp({ now: NOW, storage: { 'enhanced-tasks': JSON.stringify(savedTasks), ...storage } });
+    ({ document, taskManager } = window);
+};
+
+afterEach(() => closeApp(window));
+
+const titles = list => list.map(task => task.title).join(', ');
+const lastToast = () => [...document.querySelectorAll('.toast')].pop().textContent;
+
+test('stored tasks are split into active, archive and trash, and old trash is emptied', async () => {
+    await load();
+    assert.equal(titles(taskManager.tasks), 'Open, Done last week, Done today');
+    assert.equal(titles(taskManager.archive), 'Archived');
+    assert.equal(titles(taskManager.trash), 'Binned yesterday');
+    assert.match(lastToast(), /emptied 1 old task from the trash/);
+    assert.equal(document.querySelectorAll('.task-card').length, 3);
+});
+
+test('auto-archive moves tasks completed long enough ago', async () => {
+    await load({ 'enhanced-cleanup': JSON.stringify({ archiveAfterDays: 7, trashAfterDays: 0 }) });
+    assert.equal(titles(taskManager.archive), 'Archived, Done last week');
+    assert.equal(titles(taskManager.trash), 'Binned long ago, Binned yesterday');
+    assert.match(lastToast(), /archived 1 completed task/);
+
+    taskManager.setCleanupRule('archiveAfterDays', '0');
+    taskManager.setCleanupRule('trashAfterDays', 'soon');
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('enhanced-cleanup')), { archiveAfterDays: 0, trashAfterDays: 0 });
+});
+
+test('deleted tasks go to the trash and can be restored', async () => {
+    await load();
+    taskManager.deleteTask(1);
+    assert.equal(taskManager.trash[1].title, 'Open');
+    assert.equal(taskManager.trash[1].deletedAt, NOW);
+    assert.equal(taskManager.restoreTask(1), true);
+    assert.equal(taskManager.tasks.some(task => task.title === 'Open'), true);
+
+    taskManager.trashArchivedTask(4);
+    taskManager.restoreTask(4);
+    assert.equal(titles(taskManager.archive), 'Archived', 'an archived task goes back to the archive');
+});
+
+test('only completed tasks can be archived', async () => {
+    await load();
+    assert.equal(taskManager.archiveTasks(new Set([1])), 0);
+    assert.equal(taskManager.archiveCompleted(), 2);
+    assert.equal(titles(taskManager.tasks), 'Open');
+    taskManager.undo();
+    assert.equal(taskManager.tasks.length, 3);
+});
+
+test('stats count active tasks or everything including the archive', async () => {
+    await load();
+    const stat = id => document.getElementById(id).textContent;
+    assert.equal(stat('total-tasks'), '3');
+    assert.equal(stat('productivity-score'), '67%');
+    taskManager.setStatsMode('all');
+    taskManager.updateStats();
+    assert.equal(stat('total-tasks'), '4');
+    assert.equal(stat('completed-tasks'), '3');
+    assert.equal(stat('productivity-score'), '75%');
+});
+
+test('imported archives stay archived and nothing arrives in the trash', async () => {
+    await load();
+    await taskManager.handleImportFile({
+        name: 'backup.json',
+        text: async () => JSON.stringify({
+            tasks: [{ id: 10, title: 'Fresh', deletedAt: NOW }],
+            archive: [{ id: 11, title: 'Old news', completed: true, archivedAt: '<b>' }, { id: 12, title: 'Older news', completed: true, archivedAt: NOW - DAY }, 'junk']
+        })
+    });
+    taskManager.confirmImport();
+    assert.equal(taskManager.tasks.some(task => task.title === 'Fresh'), true);
+    assert.equal(taskManager.tasks.some(task => task.title === 'Old news'), true, 'an unreadable archive date leaves the task active');
+    assert.equal(taskManager.archive.some(task => task.title === 'Older news'), true);
+    assert.equal(titles(taskManager.trash), 'Binned yesterday');
+});
@@ -0,0 +1,107 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+const savedTasks = [
+    { id: 1, title: 'Draft spec', tags: [], status: 'in-progress' },
+    { id: 2, title: 'Fix login', tags: [], status: 'review' },
+    { id: 3, title: 'Ship it', tags: [], completed: true, status: 'in-progress' },
+    { id: 4, title: 'Old status', tags: [], status: 'no-such-column' }
+];
+
+let window;
+let document;
+let taskManager;
+
+beforeEach(async () => {
+    window = await loadApp({ storage: { 'enhanced-tasks': JSON.stringify(savedTasks) } });
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+const statuses = () => taskManager.tasks.map(task => task.status).join(', ');
+const columnIds = () => taskManager.boardColumns.map(column => column.id).join(', ');
+const lastToast = () => [...document.querySelectorAll('.toast')].pop();
+
+test('saved tasks land in a known column that agrees with completion', () => {
+    assert.equal(columnIds(), 'backlog, in-progress, review, done');
+    assert.equal(statuses(), 'in-progress, review, done, backlog');
+});
+
+test('moving to the done column completes a task and reopening returns it', () => {
+    taskManager.moveTaskToStatus(2, 'done');
+    const task = taskManager.tasks[1];
+    assert.equal(task.completed, true);
+    assert.ok(task.completedAt);
+
+    taskManager.toggleTaskComplete(2);
+    assert.equal(task.completed, false);
+    assert.equal(task.status, 'review', 'reopened tasks go back to their last open column');
+
+    taskManager.toggleTaskComplete(1);
+    assert.equal(taskManager.tasks[0].status, 'done');
+});
+
+test('the last open column survives a reload', async () => {
+    taskManager.moveTaskToStatus(2, 'done');
+    await taskManager.pendingWrite;
+    const saved = window.localStorage.getItem('enhanced-tasks');
+    await closeApp(window);
+
+    window = await loadApp({ storage: { 'enhanced-tasks': saved } });
+    ({ taskManager } = window);
+    taskManager.toggleTaskComplete(2);
+    assert.equal(taskManager.tasks[1].status, 'review');
+});
+
+test('the board renders columns with counts and WIP warnings', () => {
+    taskManager.boardColumns[1].wipLimit = 1;
+    taskManager.switchView('board');
+    const column = document.querySelector('.board-column[data-status="in-progress"]');
+    assert.equal(column.querySelector('.board-column-count').textContent, '1/1');
+    assert.equal(column.classList.contains('over-limit'), false);
+    assert.deepEqual([...column.querySelectorAll('.task-card .task-title')].map(title => title.textContent), ['Draft spec']);
+
+    taskManager.moveTaskToStatus(2, 'in-progress');
+    assert.match(lastToast().textContent, /In Progress is over its WIP limit \(2\/1\)/);
+    assert.equal(document.querySelector('.board-column[data-status="in-progress"]').classList.contains('over-limit'), true);
+});
+
+test('arrow keys step a task between neighbouring columns', () => {
+    taskManager.shiftTaskColumn(1, 1);
+    assert.equal(taskManager.tasks[0].status, 'review');
+    taskManager.shiftTaskColumn(4, -1);
+    assert.equal(taskManager.tasks[3].status, 'backlog', 'the first column has nothing to its left');
+});
+
+test('new columns get unique ids and sit before the done column', () => {
+    window.prompt = () => 'Review';
+    taskManager.addBoardColumn();
+    window.prompt = () => 'QA / Testing';
+    taskManager.addBoardColumn();
+    assert.equal(columnIds(), 'backlog, in-progress, review, review-2, qa-testing, done');
+    assert.equal(JSON.parse(window.localStorage.getItem('enhanced-board-columns')).length, 6);
+});
+
+test('deleting a column moves its tasks and undo brings both back', () => {
+    taskManager.deleteBoardColumn('review');
+    assert.equal(columnIds(), 'backlog, in-progress, done');
+    assert.equal(taskManager.tasks[1].status, 'backlog');
+    assert.equal(taskManager.deleteBoardColumn('done'), false, 'the done column cannot be deleted');
+
+    taskManager.undo();
+    assert.equal(columnIds(), 'backlog, in-progress, review, done');
+    assert.equal(taskManager.tasks[1].status, 'review');
+    assert.equal(JSON.parse(window.localStorage.getItem('enhanced-board-columns')).length, 4);
+});
+
+test('the status: query matches column ids and names', () => {
+    const search = query => {
+        document.querySelector('.search-input').value = query;
+        return [...taskManager.getFilteredTasks()].map(task => task.title).sort();
+    };
+    assert.deepEqual(search('status:review'), ['Fix login']);
+    assert.deepEqual(search('status:"in progress"'), ['Draft spec']);
+    assert.deepEqual(search('-status:done'), ['Draft spec', 'Fix login', 'Old status']);
+});
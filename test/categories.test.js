@@ -0,0 +1,105 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+const savedTasks = [
+    { id: 1, title: 'Gym', category: 'health', tags: ['morning', 'routine'] },
+    { id: 2, title: 'Stand-up', category: 'work', tags: ['routine'] },
+    { id: 3, title: 'Tax return', category: 'finance', tags: ['Money'] }
+];
+
+let window;
+let document;
+let taskManager;
+
+beforeEach(async () => {
+    window = await loadApp({ storage: { 'enhanced-tasks': JSON.stringify(savedTasks) } });
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+const categoryIds = () => taskManager.categories.map(category => category.id).join(', ');
+const tagsOf = id => taskManager.tasks.find(task => task.id === id).tags.join(', ');
+
+test('categories used by saved tasks are added to the list and the filters', () => {
+    assert.equal(categoryIds(), 'personal, work, health, learning, finance');
+    assert.equal(taskManager.getCategory('finance').name, 'Finance');
+    const buttons = [...document.querySelectorAll('.category-filters .category-btn')].map(button => button.dataset.category);
+    assert.deepEqual(buttons, ['all', 'personal', 'work', 'health', 'learning', 'finance']);
+    assert.equal(document.querySelectorAll('#modal-category option').length, 5);
+});
+
+test('adding a category checks for an existing name', () => {
+    const input = document.getElementById('new-category-name');
+    input.value = 'Side Projects';
+    assert.equal(taskManager.addCategory(), true);
+    assert.equal(taskManager.getCategory('sideprojects').name, 'Side Projects');
+
+    input.value = 'side projects';
+    assert.equal(taskManager.addCategory(), false);
+    input.value = '!!!';
+    assert.equal(taskManager.addCategory(), false);
+    assert.equal(JSON.parse(window.localStorage.getItem('enhanced-categories')).length, 6);
+});
+
+test('merging categories moves tasks and can be undone', () => {
+    taskManager.currentCategory = 'finance';
+    taskManager.mergeCategory('finance', 'personal');
+    assert.equal(taskManager.tasks[2].category, 'personal');
+    assert.equal(categoryIds(), 'personal, work, health, learning');
+    assert.equal(taskManager.currentCategory, 'personal');
+
+    taskManager.undo();
+    assert.equal(taskManager.tasks[2].category, 'finance');
+    assert.equal(categoryIds(), 'personal, work, health, learning, finance');
+});
+
+test('deleting an unused category just removes it', () => {
+    assert.equal(taskManager.deleteCategory('learning'), true);
+    assert.equal(categoryIds(), 'personal, work, health, finance');
+    assert.equal(taskManager.deleteCategory('health'), true);
+    assert.equal(taskManager.tasks[0].category, 'personal', 'tasks move to the first other category');
+});
+
+test('tag counts, renames and merges', () => {
+    assert.deepEqual([...taskManager.getTagCounts()].map(tag => `${tag.name}:${tag.count}`), ['routine:2', 'Money:1', 'morning:1']);
+
+    taskManager.renameTag('Money', 'money');
+    assert.equal(tagsOf(3), 'money');
+
+    taskManager.renameTag('morning', 'routine');
+    assert.equal(tagsOf(1), 'routine', 'merging does not duplicate a tag');
+
+    taskManager.undo();
+    assert.equal(tagsOf(1), 'morning, routine');
+
+    taskManager.removeTag('routine');
+    assert.equal(tagsOf(1), 'morning');
+    assert.equal(tagsOf(2), '');
+});
+
+test('the category query matches ids and display names', () => {
+    taskManager.getCategory('finance').name = 'Money Matters';
+    document.querySelector('.search-input').value = 'category:"money matters"';
+    assert.deepEqual([...taskManager.getFilteredTasks()].map(task => task.title), ['Tax return']);
+});
+
+test('imported categories are checked before they are added', async () => {
+    await taskManager.handleImportFile({
+        name: 'tasks.json',
+        text: async () => JSON.stringify({
+            tasks: [{ id: 9, title: 'Imported', category: 'garden', tags: [] }],
+            categories: [
+                { id: 'garden', name: 'Garden', color: 'red;background:url(x)', icon: 'fa-leaf" onmouseover="alert(1)' },
+                { id: 'bad id', name: 'Bad' },
+                null
+            ]
+        })
+    });
+    taskManager.confirmImport();
+    const garden = taskManager.getCategory('garden');
+    assert.equal(garden.color, '#718096');
+    assert.equal(garden.icon, 'fa-folder');
+    assert.equal(taskManager.categories.some(category => category.id === 'bad id'), false);
+});
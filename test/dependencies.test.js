@@ -0,0 +1,83 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+const savedTasks = [
+    { id: 1, title: 'Design', tags: [] },
+    { id: 2, title: 'Build', tags: [], blockedBy: [1] },
+    { id: 3, title: 'Ship', tags: [], blockedBy: [1, 2] },
+    { id: 4, title: 'Celebrate', tags: [], blockedBy: [99] }
+];
+
+let window;
+let document;
+let taskManager;
+
+beforeEach(async () => {
+    window = await loadApp({ storage: { 'enhanced-tasks': JSON.stringify(savedTasks) } });
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+const task = id => taskManager.tasks.find(t => t.id === id);
+const blockedTitles = () => taskManager.tasks.filter(t => taskManager.isBlocked(t)).map(t => t.title).join(', ');
+const lastToast = () => [...document.querySelectorAll('.toast')].pop().textContent;
+
+test('a task is blocked while any existing blocker is open', () => {
+    assert.equal(blockedTitles(), 'Build, Ship', 'missing blockers do not block');
+    assert.deepEqual([...taskManager.getBlockers(task(3))].map(t => t.title), ['Design', 'Build']);
+    assert.deepEqual([...taskManager.getDependents(task(1))].map(t => t.title), ['Build', 'Ship']);
+    assert.equal(document.querySelector('.task-card[data-task-id="2"]').classList.contains('blocked'), true);
+});
+
+test('finishing the last blocker announces the unblocked tasks', () => {
+    taskManager.toggleTaskComplete(1);
+    assert.equal(blockedTitles(), 'Ship');
+    assert.match(lastToast(), /Unblocked "Build"\. Ready to start!/);
+
+    taskManager.toggleTaskComplete(2);
+    assert.match(lastToast(), /Unblocked "Ship"/);
+});
+
+test('blockers that would close a loop are refused', () => {
+    assert.equal(taskManager.createsCycle(1, 3), true);
+    assert.equal(taskManager.createsCycle(3, 4), false);
+
+    taskManager.openEditTask(1);
+    assert.equal(taskManager.addBlocker(3), false);
+    assert.match(lastToast(), /"Ship" already waits on this task/);
+    assert.equal(taskManager.addBlocker(4), true);
+    assert.deepEqual([...taskManager.editingBlockedBy], [4]);
+});
+
+test('deleting a blocker asks first and frees the tasks waiting on it', () => {
+    const questions = [];
+    window.confirm = message => {
+        questions.push(message);
+        return false;
+    };
+    assert.equal(taskManager.deleteTask(1), false);
+    assert.match(questions[0], /"Design" is blocking 2 other tasks/);
+
+    window.confirm = () => true;
+    taskManager.deleteTask(1);
+    assert.deepEqual([...task(2).blockedBy], []);
+    assert.deepEqual([...task(3).blockedBy], [2]);
+
+    taskManager.undo();
+    assert.deepEqual([...task(3).blockedBy], [1, 2]);
+});
+
+test('is:blocked finds waiting tasks', () => {
+    document.querySelector('.search-input').value = 'is:blocked';
+    assert.deepEqual([...taskManager.getFilteredTasks()].map(t => t.title).sort(), ['Build', 'Ship']);
+});
+
+test('blockers survive CSV and are checked on import', () => {
+    const [, , ship] = taskManager.csvToTasks(taskManager.tasksToCsv(taskManager.tasks)).map(raw => taskManager.normalizeTask(raw));
+    assert.deepEqual([...ship.blockedBy], [1, 2]);
+
+    const imported = taskManager.normalizeTask({ title: 'Odd', blockedBy: ['5', 'x', null, { id: 1 }, 6] });
+    assert.deepEqual([...imported.blockedBy], [5, 6]);
+});
@@ -0,0 +1,100 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+// Wednesday 10 January 2024, midday.
+const NOW = Date.UTC(2024, 0, 10, 12);
+
+const savedTasks = [
+    { id: 1, title: 'Quarterly report', priority: 'high', category: 'work', tags: ['finance'], dueDate: '2024-01-09' },
+    { id: 2, title: 'Team lunch', priority: 'medium', category: 'work', tags: ['team'], dueDate: '2024-01-10' },
+    { id: 3, title: 'Renew gym', priority: 'low', category: 'health', tags: [], dueDate: '2024-01-20' },
+    { id: 4, title: 'Read book', priority: 'medium', category: 'personal', tags: [], completed: true },
+    { id: 5, title: 'Plan offsite', priority: 'high', category: 'work', tags: ['team'], dueDate: '2024-01-12', recurrence: { frequency: 'weekly' } }
+];
+
+let window;
+let document;
+let taskManager;
+
+beforeEach(async () => {
+    window = await loadApp({ now: NOW, storage: { 'enhanced-tasks': JSON.stringify(savedTasks) } });
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+function search(query) {
+    document.querySelector('.search-input').value = query;
+    return [...taskManager.getFilteredTasks()].map(task => task.title).sort();
+}
+
+test('parseSearchQuery splits filters from free text', () => {
+    const query = taskManager.parseSearchQuery('tag:"deep work" -p:low hello "exact phrase"');
+    assert.deepEqual(JSON.parse(JSON.stringify(query)), {
+        filters: [
+            { key: 'tag', value: 'deep work', negate: false },
+            { key: 'priority', value: 'low', negate: true }
+        ],
+        text: 'hello exact phrase'
+    });
+    // Unknown keys stay part of the search text.
+    assert.equal(taskManager.parseSearchQuery('note:this').text, 'note:this');
+});
+
+test('query filters match priority, tags, category and state', () => {
+    assert.deepEqual(search('priority:high'), ['Plan offsite', 'Quarterly report']);
+    assert.deepEqual(search('-tag:team'), ['Quarterly report', 'Read book', 'Renew gym']);
+    assert.deepEqual(search('p:high,low is:open'), ['Plan offsite', 'Quarterly report', 'Renew gym']);
+    assert.deepEqual(search('cat:work tag:team lunch'), ['Team lunch']);
+    assert.deepEqual(search('is:done'), ['Read book']);
+    assert.deepEqual(search('is:recurring'), ['Plan offsite']);
+    assert.deepEqual(search('"quarterly report"'), ['Quarterly report']);
+});
+
+test('due filters compare against today and relative offsets', () => {
+    assert.deepEqual(search('due:<today'), ['Quarterly report']);
+    assert.deepEqual(search('due:today'), ['Team lunch']);
+    assert.deepEqual(search('due:<=+7d'), ['Plan offsite', 'Quarterly report', 'Team lunch']);
+    assert.deepEqual(search('due:>=2024-01-12'), ['Plan offsite', 'Renew gym']);
+    assert.deepEqual(search('due:none'), ['Read book']);
+    assert.deepEqual(search('due:overdue'), ['Quarterly report']);
+    assert.deepEqual(search('due:banana'), []);
+});
+
+test('the status buttons filter by due date', () => {
+    const withStatus = status => {
+        taskManager.currentFilter = status;
+        return search('');
+    };
+    assert.deepEqual(withStatus('overdue'), ['Quarterly report']);
+    assert.deepEqual(withStatus('today'), ['Team lunch']);
+    assert.deepEqual(withStatus('upcoming'), ['Plan offsite', 'Renew gym']);
+    assert.equal(withStatus('all').length, 5);
+});
+
+test('saved filters store the query, status and category', async () => {
+    window.prompt = () => 'Urgent work';
+    document.querySelector('.search-input').value = 'priority:high';
+    taskManager.currentCategory = 'work';
+    taskManager.saveCurrentFilter();
+
+    const [saved] = JSON.parse(window.localStorage.getItem('enhanced-saved-filters'));
+    assert.deepEqual([saved.name, saved.query, saved.status, saved.category], ['Urgent work', 'priority:high', 'all', 'work']);
+    assert.match(document.getElementById('saved-filters').textContent, /Urgent work/);
+
+    taskManager.currentCategory = 'all';
+    search('');
+    taskManager.applySavedFilter(saved.id);
+    assert.equal(document.querySelector('.search-input').value, 'priority:high');
+    assert.equal(taskManager.currentCategory, 'work');
+    assert.deepEqual([...taskManager.getFilteredTasks()].map(task => task.title).sort(), ['Plan offsite', 'Quarterly report']);
+
+    const reloaded = await loadApp({ storage: { 'enhanced-saved-filters': window.localStorage.getItem('enhanced-saved-filters') } });
+    assert.equal(reloaded.taskManager.savedFilters.length, 1);
+    await closeApp(reloaded);
+
+    taskManager.deleteSavedFilter(saved.id);
+    assert.equal(taskManager.activeSavedFilter, null);
+    assert.deepEqual(JSON.parse(window.localStorage.getItem('enhanced-saved-filters')), []);
+});
@@ -0,0 +1,119 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+const savedTasks = [
+    { id: 1, title: 'First', tags: [] },
+    { id: 2, title: 'Second', tags: [] },
+    { id: 3, title: 'Third', tags: [] }
+];
+
+let window;
+let document;
+let taskManager;
+
+beforeEach(async () => {
+    window = await loadApp({ storage: { 'enhanced-tasks': JSON.stringify(savedTasks) } });
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+const titles = () => taskManager.tasks.map(task => task.title).join(', ');
+const lastToast = () => [...document.querySelectorAll('.toast')].pop();
+
+test('undo and redo a deletion keep the task in its place', () => {
+    taskManager.deleteTask(2);
+    assert.equal(titles(), 'First, Third');
+
+    assert.equal(taskManager.undo(), true);
+    assert.equal(titles(), 'First, Second, Third');
+    assert.match(lastToast().textContent, /Undid: Delete task/);
+
+    assert.equal(taskManager.redo(), true);
+    assert.equal(titles(), 'First, Third');
+});
+
+test('undo reverts edits, additions and completions', () => {
+    taskManager.updateTask(1, { title: 'Renamed' });
+    taskManager.addTask({ title: 'Fourth' });
+    taskManager.toggleTaskComplete(3);
+    assert.equal(titles(), 'Renamed, Second, Third, Fourth');
+
+    taskManager.undo();
+    assert.equal(taskManager.tasks[2].completed, false);
+    taskManager.undo();
+    assert.equal(titles(), 'Renamed, Second, Third');
+    taskManager.undo();
+    assert.equal(titles(), 'First, Second, Third');
+    assert.equal(taskManager.undo(), false);
+    assert.match(lastToast().textContent, /Nothing to undo/);
+});
+
+test('completing a repeating task and undoing it removes the next occurrence too', () => {
+    taskManager.tasks[0].dueDate = '2024-01-03';
+    taskManager.tasks[0].recurrence = taskManager.normalizeRecurrence({ frequency: 'daily' }, '2024-01-03');
+    taskManager.toggleTaskComplete(1);
+    assert.equal(taskManager.tasks.length, 4);
+
+    taskManager.undo();
+    assert.equal(taskManager.tasks.length, 3);
+    assert.equal(taskManager.tasks[0].completed, false);
+    assert.equal(taskManager.tasks[0].nextOccurrenceId, null);
+});
+
+test('a new change clears the redo stack', () => {
+    taskManager.deleteTask(1);
+    taskManager.undo();
+    taskManager.updateTask(2, { title: 'Changed' });
+    assert.equal(taskManager.redo(), false);
+    assert.equal(titles(), 'First, Changed, Third');
+});
+
+test('a toast undo button only undoes its own change', () => {
+    taskManager.deleteTask(1);
+    const staleUndo = lastToast().querySelector('.toast-action');
+    taskManager.deleteTask(2);
+
+    staleUndo.click();
+    assert.equal(titles(), 'Third');
+    assert.match(lastToast().textContent, /already undone or has newer changes/);
+
+    lastToast().querySelector('.toast-close').click();
+    lastToast().querySelector('.toast-action').click();
+    assert.equal(titles(), 'Second, Third');
+});
+
+test('history survives a reload and keeps the last 50 changes', async () => {
+    for (let i = 0; i < 55; i++) {
+        taskManager.updateTask(1, { title: `Edit ${i}` });
+    }
+    assert.equal(taskManager.history.undo.length, 50);
+
+    const reloaded = await loadApp({
+        storage: {
+            'enhanced-tasks': window.localStorage.getItem('enhanced-tasks'),
+            'enhanced-history': window.localStorage.getItem('enhanced-history')
+        }
+    });
+    reloaded.taskManager.undo();
+    assert.equal(reloaded.taskManager.tasks[0].title, 'Edit 53');
+    await closeApp(reloaded);
+});
+
+test('Ctrl+Z and Ctrl+Shift+Z work outside text fields', () => {
+    const press = (target, options) => {
+        const event = new window.KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true, cancelable: true, ...options });
+        target.dispatchEvent(event);
+        return event.defaultPrevented;
+    };
+    taskManager.deleteTask(3);
+
+    assert.equal(press(document.getElementById('task-input')), false);
+    assert.equal(titles(), 'First, Second');
+
+    assert.equal(press(document.body), true);
+    assert.equal(titles(), 'First, Second, Third');
+    assert.equal(press(document.body, { shiftKey: true }), true);
+    assert.equal(titles(), 'First, Second');
+});
@@ -0,0 +1,164 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+// Wednesday 3 January 2024, midday.
+const NOW = Date.UTC(2024, 0, 3, 12);
+
+const savedTasks = [
+    {
+        id: 1,
+        title: 'Budget, "final" draft\nfor review',
+        description: '=SUM(A1:A3)',
+        priority: 'high',
+        category: 'work',
+        dueDate: '2024-01-10',
+        dueTime: '09:30',
+        tags: ['finance', 'q1'],
+        createdAt: Date.UTC(2024, 0, 1),
+        subtasks: [{ id: 11, title: 'Collect receipts', completed: true }, { id: 12, title: 'Fill sheet', completed: false }],
+        recurrence: { frequency: 'weekly', weekdays: [1, 3] }
+    },
+    { id: 2, title: 'Read book', tags: [], completed: true, completedAt: Date.UTC(2024, 0, 2), createdAt: Date.UTC(2024, 0, 1) }
+];
+
+let window;
+let document;
+let taskManager;
+
+beforeEach(async () => {
+    window = await loadApp({ now: NOW, storage: { 'enhanced-tasks': JSON.stringify(savedTasks) } });
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+// Stands in for the File the import input hands over.
+const importFile = (name, content) => taskManager.handleImportFile({ name, text: async () => content });
+
+test('CSV export quotes awkward cells and neutralises formulas', () => {
+    const csv = taskManager.tasksToCsv(taskManager.tasks);
+    const [header, first] = taskManager.parseCsv(csv);
+    const cell = column => first[header.indexOf(column)];
+    assert.equal(header.slice(0, 3).join(','), 'id,title,description');
+    assert.equal(cell('title'), 'Budget, "final" draft\nfor review');
+    assert.equal(cell('description'), "'=SUM(A1:A3)");
+    assert.equal(cell('tags'), 'finance, q1');
+    assert.equal(cell('subtasks'), '[x] Collect receipts; [ ] Fill sheet');
+    assert.equal(cell('repeat'), 'FREQ=WEEKLY;BYDAY=MO,WE');
+    assert.match(csv, /"Budget, ""final"" draft\nfor review"/);
+});
+
+test('CSV round-trips tasks, steps and repeat rules', () => {
+    const [task, done] = taskManager.csvToTasks(taskManager.tasksToCsv(taskManager.tasks)).map(raw => taskManager.normalizeTask(raw));
+    assert.equal(task.title, savedTasks[0].title);
+    assert.equal(task.description, '=SUM(A1:A3)');
+    assert.equal(task.priority, 'high');
+    assert.equal(task.dueDate, '2024-01-10');
+    assert.equal(task.dueTime, '09:30');
+    assert.deepEqual([...task.tags], ['finance', 'q1']);
+    assert.equal(task.subtasks.map(subtask => `${subtask.completed}:${subtask.title}`).join('|'), 'true:Collect receipts|false:Fill sheet');
+    assert.deepEqual([...task.recurrence.weekdays], [1, 3]);
+    assert.equal(task.createdAt, Date.UTC(2024, 0, 1));
+    assert.equal(done.completed, true);
+    assert.equal(done.completedAt, Date.UTC(2024, 0, 2));
+});
+
+test('CSV import reads only known columns', () => {
+    const csv = 'title,priority,dueTime,onclick,constructor\nPlan trip,URGENT,9am,alert(1),x\n';
+    const [raw] = taskManager.csvToTasks(csv);
+    assert.equal(Object.keys(raw).includes('onclick'), false);
+    assert.equal(Object.keys(raw).includes('constructor'), false);
+
+    const task = taskManager.normalizeTask(raw);
+    assert.equal(task.title, 'Plan trip');
+    assert.equal(task.priority, 'medium');
+    assert.equal(task.dueTime, '');
+});
+
+test('iCalendar export and import agree', () => {
+    const ics = taskManager.tasksToIcs(taskManager.tasks);
+    assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(ics, /BEGIN:VEVENT\r\n/);
+    assert.match(ics, /RRULE:FREQ=WEEKLY;BYDAY=MO,WE\r\n/);
+
+    const [event, todo] = taskManager.icsToTasks(ics);
+    assert.equal(event.title, savedTasks[0].title);
+    assert.equal(event.dueDate, '2024-01-10');
+    assert.equal(event.dueTime, '09:30');
+    assert.equal(event.priority, 'high');
+    assert.equal(event.category, 'work');
+    assert.deepEqual([...event.tags], ['finance', 'q1']);
+    assert.equal(todo.completed, true);
+    assert.equal(String(todo.id), '2');
+});
+
+test('imported values that reach markup are checked', async () => {
+    const hostile = '"><img src=x onerror="window.pwned = true">';
+    await importFile('tasks.json', JSON.stringify({
+        tasks: [{
+            id: '3',
+            title: 'Imported <b>task</b>',
+            priority: hostile,
+            dueDate: `2024-01-05${hostile}`,
+            dueTime: hostile,
+            tags: ['ok', { toString: 'no' }],
+            subtasks: [{ id: "1'); window.pwned = true; ('", title: 'Step', completed: 'yes' }],
+            recurrence: { frequency: 'daily', endDate: hostile },
+            onclick: 'alert(1)'
+        }],
+        savedFilters: [{ id: "1'); window.pwned = true; ('", name: 'Hot', query: 'priority:high', status: hostile, category: 'work' }]
+    }));
+
+    const [{ task }] = taskManager.pendingImport.items;
+    assert.equal(task.id, 3);
+    assert.equal(task.priority, 'medium');
+    assert.equal(task.dueDate, '');
+    assert.equal(task.dueTime, '');
+    assert.deepEqual([...task.tags], ['ok']);
+    assert.equal(task.recurrence.endDate, '');
+    assert.equal('onclick' in task, false);
+    assert.equal(typeof task.subtasks[0].id, 'number');
+    assert.equal(task.subtasks[0].completed, false);
+
+    taskManager.confirmImport();
+    const [filter] = taskManager.savedFilters;
+    assert.equal(typeof filter.id, 'number');
+    assert.equal(filter.status, 'all');
+
+    const card = document.querySelector('.task-card[data-task-id="3"]');
+    assert.equal(card.querySelector('.task-title').textContent, 'Imported <b>task</b>');
+    assert.equal(document.querySelector('img'), null);
+    card.querySelector('.subtask-toggle').click();
+    assert.equal(window.pwned, undefined);
+    assert.equal(taskManager.tasks.find(t => t.id === 3).subtasks[0].completed, true);
+});
+
+test('import preview flags duplicates and applies the chosen action', async () => {
+    await importFile('tasks.json', JSON.stringify([
+        { id: 1, title: 'Budget replaced', dueDate: '2024-01-10' },
+        { id: 50, title: 'read book', tags: [] },
+        { id: 51, title: 'Brand new', tags: [] }
+    ]));
+    const { items } = taskManager.pendingImport;
+    assert.deepEqual([...items.map(item => item.action)], ['skip', 'skip', 'add']);
+    assert.match(document.getElementById('import-summary').textContent, /3 tasks found: 1 new, 2 possible duplicates/);
+
+    taskManager.setImportAction(0, 'replace');
+    taskManager.setImportAction(1, 'copy');
+    assert.equal(document.getElementById('confirm-import').textContent, 'Import 3 tasks');
+    taskManager.confirmImport();
+
+    const titles = taskManager.tasks.map(task => task.title);
+    assert.equal(taskManager.tasks.find(task => task.id === 1).title, 'Budget replaced');
+    assert.equal(titles.filter(title => title.toLowerCase() === 'read book').length, 2);
+    assert.ok(titles.includes('Brand new'));
+    assert.equal(taskManager.pendingImport, null);
+});
+
+test('unreadable files are reported, not thrown', async () => {
+    await importFile('broken.json', '{ not json');
+    assert.match(document.querySelector('.toast').textContent, /Could not read that file/);
+    await importFile('empty.csv', 'title,priority\n');
+    assert.match([...document.querySelectorAll('.toast')].pop().textContent, /No tasks found/);
+});
@@ -0,0 +1,60 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+
+// Loads index.html with its local scripts inlined and resolves once the task list is ready.
+// Pass `now` (a timestamp) to freeze the page's clock, and `setup` to reach the window before the app runs.
+async function loadApp({ storage = {}, now = null, setup = null } = {}) {
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8')
+        .replace(/<script src="([^"]+)"><\/script>/g, (tag, src) => `<script>${fs.readFileSync(path.join(root, src), 'utf8')}</script>`);
+    const dom = new JSDOM(html, {
+        url: 'http://localhost/',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        beforeParse(window) {
+            // jsdom has no speech recognition; the voice button only needs a constructor to exist.
+            window.SpeechRecognition = class {
+                start() {}
+                stop() {}
+            };
+            window.confirm = () => true;
+            if (now !== null) {
+                window.Date = class extends window.Date {
+                    constructor(...args) {
+                        super(...(args.length > 0 ? args : [now]));
+                    }
+
+                    static now() {
+                        return now;
+                    }
+                };
+            }
+            Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            if (setup) setup(window);
+        }
+    });
+    const { window } = dom;
+    const deadline = Date.now() + 5000;
+    while (!window.taskManager || window.taskManager.tasksLoading) {
+        if (Date.now() > deadline) {
+            window.close();
+            throw new Error('TaskFlow did not finish loading');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return window;
+}
+
+// Lets a queued task write settle before the page goes away.
+async function closeApp(window) {
+    await window.taskManager?.pendingWrite;
+    window.close();
+}
+
+function readStylesheet() {
+    return fs.readFileSync(path.join(root, 'style.css'), 'utf8');
+}
+
+module.exports = { loadApp, closeApp, readStylesheet };
@@ -0,0 +1,152 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+// npm test runs this file under several TZ values; each zone lists the local date at two fixed instants.
+const zone = process.env.TZ || 'UTC';
+// 05:30 UTC on 10 March 2024: still the evening of the 9th in Los Angeles.
+const LA_EVENING = Date.UTC(2024, 2, 10, 5, 30);
+// 20:00 UTC on 9 March 2024: already the morning of the 10th in Kolkata and Auckland.
+const APAC_MORNING = Date.UTC(2024, 2, 9, 20, 0);
+const localToday = {
+    UTC: { [LA_EVENING]: '2024-03-10', [APAC_MORNING]: '2024-03-09' },
+    'America/Los_Angeles': { [LA_EVENING]: '2024-03-09', [APAC_MORNING]: '2024-03-09' },
+    'Asia/Kolkata': { [LA_EVENING]: '2024-03-10', [APAC_MORNING]: '2024-03-10' },
+    'Pacific/Auckland': { [LA_EVENING]: '2024-03-10', [APAC_MORNING]: '2024-03-10' }
+}[zone];
+const zoned = { skip: localToday ? false : `no expectations for TZ=${zone}` };
+
+let window;
+let LocalDate;
+// Copy out of the page's realm so deepStrictEqual compares plain objects.
+const inZone = (...args) => ({ ...LocalDate.inZone(...args) });
+
+before(async () => {
+    window = await loadApp();
+    LocalDate = window.eval('LocalDate');
+});
+
+after(() => closeApp(window));
+
+test('today() is the local calendar day, not the UTC one', zoned, async () => {
+    for (const now of [LA_EVENING, APAC_MORNING]) {
+        const frozen = await loadApp({ now });
+        assert.equal(frozen.eval('LocalDate.today()'), localToday[now]);
+        await closeApp(frozen);
+    }
+});
+
+test('toKey and parse round-trip local days across DST changes', () => {
+    ['2024-01-01', '2024-03-10', '2024-03-31', '2024-04-07', '2024-09-29', '2024-11-03', '2024-12-31'].forEach(key => {
+        const date = LocalDate.parse(key);
+        assert.equal(LocalDate.toKey(date), key);
+        assert.equal(date.getHours(), 0);
+        assert.equal(LocalDate.toKey(LocalDate.parse(key, '23:59')), key);
+    });
+
+    const timed = LocalDate.parse('2024-06-15', '14:45');
+    assert.deepEqual([timed.getFullYear(), timed.getMonth(), timed.getDate(), timed.getHours(), timed.getMinutes()], [2024, 5, 15, 14, 45]);
+    assert.equal(LocalDate.toTime(timed), '14:45');
+
+    assert.equal(LocalDate.addDays('2024-03-09', 1), '2024-03-10');
+    assert.equal(LocalDate.addDays('2024-03-10', 1), '2024-03-11');
+    assert.equal(LocalDate.addDays('2024-11-03', -1), '2024-11-02');
+    assert.equal(LocalDate.addDays('2024-04-06', 2), '2024-04-08');
+    assert.equal(LocalDate.addDays('2024-12-31', 1), '2025-01-01');
+});
+
+test('toInstant resolves wall-clock times in a zone, including DST changes', () => {
+    const cases = [
+        ['2024-03-10', '09:00', 'Asia/Kolkata', '2024-03-10T03:30:00.000Z'],
+        ['2024-03-10', '01:30', 'America/Los_Angeles', '2024-03-10T09:30:00.000Z'],
+        ['2024-03-10', '03:30', 'America/Los_Angeles', '2024-03-10T10:30:00.000Z'],
+        // Skipped by spring-forward: moves ahead to 03:30 PDT.
+        ['2024-03-10', '02:30', 'America/Los_Angeles', '2024-03-10T10:30:00.000Z'],
+        // Repeated by fall-back: the first (PDT) occurrence.
+        ['2024-11-03', '01:30', 'America/Los_Angeles', '2024-11-03T08:30:00.000Z'],
+        ['2024-09-29', '02:30', 'Pacific/Auckland', '2024-09-28T14:30:00.000Z'],
+        ['2024-09-29', '09:00', 'Pacific/Auckland', '2024-09-28T20:00:00.000Z'],
+        ['2024-04-07', '02:30', 'Pacific/Auckland', '2024-04-06T13:30:00.000Z'],
+        ['2024-04-07', '09:00', 'Pacific/Auckland', '2024-04-06T21:00:00.000Z']
+    ];
+    cases.forEach(([key, time, timeZone, expected]) => {
+        assert.equal(LocalDate.toInstant(key, time, timeZone).toISOString(), expected, `${key} ${time} ${timeZone}`);
+    });
+
+    assert.deepEqual(inZone(LocalDate.toInstant('2024-11-03', '01:30', 'America/Los_Angeles'), 'America/Los_Angeles'), { date: '2024-11-03', time: '01:30' });
+    assert.deepEqual(inZone(LocalDate.toInstant('2024-03-10', '02:30', 'America/Los_Angeles'), 'America/Los_Angeles'), { date: '2024-03-10', time: '03:30' });
+
+    // Without a zone the time is local, the same as parse().
+    assert.equal(LocalDate.toInstant('2024-07-04', '18:15').getTime(), LocalDate.parse('2024-07-04', '18:15').getTime());
+});
+
+test('inZone reads an instant as a date and time in a zone', () => {
+    const instant = new window.Date(LA_EVENING);
+    assert.deepEqual(inZone(instant, 'UTC'), { date: '2024-03-10', time: '05:30' });
+    assert.deepEqual(inZone(instant, 'America/Los_Angeles'), { date: '2024-03-09', time: '21:30' });
+    assert.deepEqual(inZone(instant, 'Asia/Kolkata'), { date: '2024-03-10', time: '11:00' });
+    assert.deepEqual(inZone(instant, 'Pacific/Auckland'), { date: '2024-03-10', time: '18:30' });
+    assert.deepEqual(inZone(instant), { date: LocalDate.toKey(instant), time: LocalDate.toTime(instant) });
+});
+
+test('getWeekStart follows the locale', () => {
+    assert.equal(LocalDate.getWeekStart('en-US'), 0);
+    assert.equal(LocalDate.getWeekStart('pt-BR'), 0);
+    assert.equal(LocalDate.getWeekStart('ja-JP'), 0);
+    assert.equal(LocalDate.getWeekStart('en-GB'), 1);
+    assert.equal(LocalDate.getWeekStart('de-DE'), 1);
+    assert.equal(LocalDate.getWeekStart('fr-FR'), 1);
+});
+
+test('overdue, today and upcoming compare local due dates', zoned, async () => {
+    const frozen = await loadApp({ now: LA_EVENING });
+    const { taskManager } = frozen;
+    const today = localToday[LA_EVENING];
+    const due = (dueDate, extra = {}) => ({ dueDate, dueTime: '', timeZone: '', completed: false, ...extra });
+    const check = task => [taskManager.isOverdue(task), taskManager.isToday(task), taskManager.isUpcoming(task)].map(Boolean);
+
+    assert.deepEqual(check(due(LocalDate.addDays(today, -1))), [true, false, false]);
+    assert.deepEqual(check(due(today)), [false, true, false]);
+    assert.deepEqual(check(due(LocalDate.addDays(today, 1))), [false, false, true]);
+    assert.deepEqual(check(due(LocalDate.addDays(today, -1), { completed: true })), [false, false, false]);
+
+    // 20:00 in Kolkata on the 9th is 14:30 UTC: still the 9th everywhere but Auckland.
+    const zonedTask = due('2024-03-09', { dueTime: '20:00', timeZone: 'Asia/Kolkata' });
+    const localDue = taskManager.getLocalDue(zonedTask).date;
+    assert.equal(localDue, zone === 'Pacific/Auckland' ? '2024-03-10' : '2024-03-09');
+    assert.deepEqual(check(zonedTask), [localDue < today, localDue === today, localDue > today]);
+    await closeApp(frozen);
+});
+
+test('calendar cells carry local data-date keys', zoned, async () => {
+    const frozen = await loadApp({ now: LA_EVENING });
+    const { document, taskManager } = frozen;
+    const today = localToday[LA_EVENING];
+    taskManager.addTask({ title: 'Due today', dueDate: today });
+    taskManager.renderCalendarView();
+
+    const cells = [...document.querySelectorAll('#calendar-container .calendar-day[data-date]')];
+    assert.equal(cells.length, 31);
+    cells.forEach((cell, index) => {
+        assert.equal(cell.dataset.date, `2024-03-${String(index + 1).padStart(2, '0')}`);
+        assert.equal(cell.querySelector('.day-number').textContent, String(index + 1));
+    });
+
+    const todayCell = document.querySelector('#calendar-container .calendar-day.today');
+    assert.equal(todayCell.dataset.date, today);
+    assert.equal(todayCell.getAttribute('aria-current'), 'date');
+    assert.equal(todayCell.querySelector('.day-task').textContent, 'Due today');
+    await closeApp(frozen);
+});
+
+test('saved and imported time zones must be real zones', () => {
+    const { taskManager } = window;
+    const check = timeZone => taskManager.normalizeTask({ title: 'Call', dueDate: '2024-03-09', dueTime: '09:00', timeZone }).timeZone;
+    assert.equal(check('Asia/Tokyo'), 'Asia/Tokyo');
+    assert.equal(check('Mars/Olympus_Mons'), '');
+    assert.equal(check('UTC" onmouseover="alert(1)'), '');
+    assert.equal(check(42), '');
+
+    const [raw] = taskManager.csvToTasks('title,dueDate,dueTime,timeZone\nCall,2024-03-09,09:00,Asia/Tokyo\n');
+    assert.equal(taskManager.normalizeTask(raw).timeZone, 'Asia/Tokyo');
+});
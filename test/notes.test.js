@@ -0,0 +1,93 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+const savedTasks = [
+    { id: 1, title: 'Plan launch', tags: [], description: '## Steps\n- [ ] Draft post\n- [x] Book room\n\n```\n- [ ] not a task\n```' },
+    { id: 2, title: 'Read', tags: [], attachments: [{ id: 7, name: 'brief.pdf', type: 'application/pdf', size: 2048 }] }
+];
+
+let window;
+let document;
+let taskManager;
+
+beforeEach(async () => {
+    window = await loadApp({ storage: { 'enhanced-tasks': JSON.stringify(savedTasks) } });
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+const lastToast = () => [...document.querySelectorAll('.toast')].pop().textContent;
+
+test('notes render Markdown with everything else escaped', () => {
+    const html = taskManager.renderMarkdown('# Title\n**bold** and *soft* <img src=x onerror=alert(1)>\n> quoted\n1. first\n`<b>`');
+    assert.match(html, /<h4>Title<\/h4>/);
+    assert.match(html, /<strong>bold<\/strong> and <em>soft<\/em> &lt;img src=x onerror=alert\(1\)&gt;/);
+    assert.match(html, /<blockquote>quoted<\/blockquote>/);
+    assert.match(html, /<ol><li>first<\/li><\/ol>/);
+    assert.match(html, /<code>&lt;b&gt;<\/code>/);
+});
+
+test('only web and mail links become anchors', () => {
+    const html = taskManager.renderInlineMarkdown('[docs](https://example.com/a?b=1&c="2") [bad](javascript:alert(1)) see www.example.org.');
+    assert.match(html, /<a href="https:\/\/example\.com\/a\?b=1&amp;c=&quot;2&quot;"[^>]*>docs<\/a>/);
+    assert.match(html, /\[bad\]\(javascript:alert\(1\)/);
+    assert.equal((html.match(/<a /g) || []).length, 2);
+    assert.match(html, /<a href="https:\/\/www\.example\.org"[^>]*>www\.example\.org<\/a>\./);
+});
+
+test('checklists in notes can be ticked from the card', () => {
+    const card = document.querySelector('.task-card[data-task-id="1"]');
+    const boxes = card.querySelectorAll('.note-task input[type="checkbox"]');
+    assert.equal(boxes.length, 2, 'lines inside code blocks are left alone');
+    assert.equal(boxes[1].checked, true);
+
+    assert.equal(taskManager.toggleNoteCheckbox(1, 0), true);
+    assert.match(taskManager.tasks[0].description, /- \[x\] Draft post/);
+    assert.match(taskManager.tasks[0].description, /```\n- \[ \] not a task/);
+    taskManager.undo();
+    assert.match(taskManager.tasks[0].description, /- \[ \] Draft post/);
+});
+
+test('cards show how many files are attached', () => {
+    const badge = document.querySelector('.task-card[data-task-id="2"] .task-attachments');
+    assert.equal(badge.textContent.trim(), '1');
+    assert.equal(badge.getAttribute('title'), 'brief.pdf');
+    assert.equal(taskManager.getAttachmentUsage(), 2048);
+    assert.equal(taskManager.getAttachmentIcon('application/pdf'), 'fa-file-pdf');
+});
+
+test('attachment metadata is checked on import', () => {
+    const task = taskManager.normalizeTask({
+        title: 'Imported',
+        attachments: [
+            { id: '9" onmouseover="alert(1)', name: 'a.txt' },
+            { id: 3, name: '<b>notes</b>.txt', type: 'text/plain"><script>', size: 'big' },
+            { id: 4 },
+            null
+        ]
+    });
+    assert.deepEqual(task.attachments.map(attachment => ({ ...attachment })), [
+        { id: 9, name: 'a.txt', type: 'application/octet-stream', size: 0 },
+        { id: 3, name: '<b>notes</b>.txt', type: 'application/octet-stream', size: 0 }
+    ]);
+
+    taskManager.openEditTask(2);
+    taskManager.editingAttachments = task.attachments;
+    taskManager.renderAttachmentEditor();
+    assert.equal(document.querySelector('#modal-attachments b'), null);
+    assert.match(document.querySelector('#modal-attachments .attachment-name').textContent, /a\.txt/);
+});
+
+test('attaching files without IndexedDB explains why it failed', async () => {
+    taskManager.openEditTask(1);
+    const file = new window.File(['hello'], 'hello.txt', { type: 'text/plain' });
+    const large = { name: 'huge.bin', size: taskManager.attachmentLimits.file + 1 };
+    assert.equal(await taskManager.addAttachments([large]), false);
+    assert.match(lastToast(), /"huge\.bin" is larger than 5 MB/);
+
+    assert.equal(await taskManager.addAttachments([file]), false);
+    assert.match(lastToast(), /Attachments need IndexedDB/);
+    assert.equal(taskManager.editingAttachments.length, 0);
+});
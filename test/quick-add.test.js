@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+// Wednesday 3 January 2024, 09:00.
+const NOW = Date.UTC(2024, 0, 3, 9);
+
+let window;
+let taskManager;
+
+before(async () => {
+    window = await loadApp({ now: NOW });
+    ({ taskManager } = window);
+});
+
+after(() => closeApp(window));
+
+test('parseDateTime reads relative and absolute dates', () => {
+    const cases = [
+        ['Submit report by friday', 'Submit report', '2024-01-05'],
+        ['Dentist next wednesday', 'Dentist', '2024-01-10'],
+        ['Review PR this wednesday', 'Review PR', '2024-01-03'],
+        ['Renew passport in 2 weeks', 'Renew passport', '2024-01-17'],
+        ['Book venue in a month', 'Book venue', '2024-02-03'],
+        ['Finish draft end of month', 'Finish draft', '2024-01-31'],
+        ['Party 12 March', 'Party', '2024-03-12'],
+        ['Flight on 2024-02-10', 'Flight', '2024-02-10'],
+        // A date already past this year rolls over to next year.
+        ['Pay rent on jan 1', 'Pay rent', '2025-01-01'],
+        ['Send cards 25/12', 'Send cards', '2024-12-25']
+    ];
+    cases.forEach(([text, title, dueDate]) => {
+        const parsed = taskManager.parseDateTime(text);
+        assert.equal(parsed.text, title, text);
+        assert.equal(parsed.dueDate, dueDate, text);
+        assert.equal(parsed.dueTime, '', text);
+    });
+});
+
+test('parseDateTime reads times and picks the next matching day', () => {
+    const cases = [
+        ['Call mom tomorrow at 5pm', 'Call mom', '2024-01-04', '17:00'],
+        ['Lunch at noon', 'Lunch', '2024-01-03', '12:00'],
+        ['Call the bank tonight', 'Call the bank', '2024-01-03', '20:00'],
+        ['Wrap up end of day', 'Wrap up', '2024-01-03', '17:00'],
+        ['Dinner at 7 on friday', 'Dinner', '2024-01-05', '19:00'],
+        ['Dentist @ 14:30', 'Dentist', '2024-01-03', '14:30'],
+        // 08:00 has already passed today, so it means tomorrow morning.
+        ['Standup at 8:00', 'Standup', '2024-01-04', '08:00']
+    ];
+    cases.forEach(([text, title, dueDate, dueTime]) => {
+        const parsed = taskManager.parseDateTime(text);
+        assert.deepEqual([parsed.text, parsed.dueDate, parsed.dueTime], [title, dueDate, dueTime], text);
+    });
+});
+
+test('parseDateTime leaves ordinary numbers and words alone', () => {
+    ['Look at 5 items', 'Read chapter 13', 'Order 2 monitors', 'Buy may flowers'].forEach(text => {
+        const parsed = taskManager.parseDateTime(text);
+        assert.deepEqual([parsed.text, parsed.dueDate, parsed.dueTime], [text, '', ''], text);
+    });
+});
+
+test('parseQuickTask combines priority, category, tags, date and time', () => {
+    const parsed = taskManager.parseQuickTask('Email Sam tomorrow 9am high priority #work #clients');
+    assert.equal(parsed.title, 'Email Sam');
+    assert.equal(parsed.priority, 'high');
+    assert.equal(parsed.category, 'work');
+    assert.deepEqual([...parsed.tags], ['clients']);
+    assert.equal(parsed.dueDate, '2024-01-04');
+    assert.equal(parsed.dueTime, '09:00');
+    assert.deepEqual([...parsed.detected].sort(), ['category', 'date', 'priority', 'time']);
+});
+
+test('the quick-add preview shows what was detected', () => {
+    const { document } = window;
+    const input = document.getElementById('task-input');
+    input.value = 'Pay <b>rent</b> friday';
+    input.dispatchEvent(new window.Event('input'));
+
+    const preview = document.getElementById('quick-preview');
+    assert.equal(preview.querySelector('.preview-title').textContent, 'Pay <b>rent</b>');
+    assert.equal(preview.querySelectorAll('.preview-chip').length, 1);
+
+    input.value = 'Just a title';
+    input.dispatchEvent(new window.Event('input'));
+    assert.equal(preview.innerHTML, '');
+});
@@ -0,0 +1,109 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+// Wednesday 3 January 2024, midday.
+const NOW = Date.UTC(2024, 0, 3, 12);
+
+let window;
+let taskManager;
+// Copy out of the page's realm so deepStrictEqual compares plain objects.
+const plain = value => JSON.parse(JSON.stringify(value));
+
+beforeEach(async () => {
+    window = await loadApp({ now: NOW });
+    ({ taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+test('normalizeRecurrence fills defaults from the due date', () => {
+    assert.equal(taskManager.normalizeRecurrence(null, '2024-01-03'), null);
+    assert.equal(taskManager.normalizeRecurrence({ frequency: 'yearly' }, '2024-01-03'), null);
+
+    assert.deepEqual(plain(taskManager.normalizeRecurrence({ frequency: 'daily', interval: '0' }, '2024-01-03')), {
+        frequency: 'daily', interval: 1, endDate: '', count: null, occurrence: 1
+    });
+    assert.deepEqual(plain(taskManager.normalizeRecurrence({ frequency: 'weekly' }, '2024-01-03').weekdays), [3]);
+    assert.deepEqual(plain(taskManager.normalizeRecurrence({ frequency: 'weekly', weekdays: [5, 1, 5, 9] }, '2024-01-03').weekdays), [1, 5]);
+
+    const monthly = taskManager.normalizeRecurrence({ frequency: 'monthly', monthlyMode: 'weekday' }, '2024-01-29');
+    assert.equal(monthly.monthlyMode, 'weekday');
+    assert.equal(monthly.monthDay, 29);
+    // The 29th falls in a fifth week, which becomes "last Monday".
+    assert.equal(monthly.nth, -1);
+    assert.equal(monthly.weekday, 1);
+});
+
+test('getNextOccurrenceDate steps daily, weekly and monthly rules', () => {
+    const rule = (frequency, extra, dueDate = '2024-01-03') => taskManager.normalizeRecurrence({ frequency, ...extra }, dueDate);
+    const next = (r, from, occurrence) => taskManager.getNextOccurrenceDate(r, from, occurrence);
+
+    assert.equal(next(rule('daily', { interval: 3 }), '2024-01-30'), '2024-02-02');
+
+    const mwf = rule('weekly', { weekdays: [1, 3, 5] });
+    assert.equal(next(mwf, '2024-01-03'), '2024-01-05');
+    assert.equal(next(mwf, '2024-01-05'), '2024-01-08');
+    assert.equal(next(rule('weekly', { interval: 2, weekdays: [1] }, '2024-01-01'), '2024-01-01'), '2024-01-15');
+
+    const endOfMonth = rule('monthly', { monthDay: 31 }, '2024-01-31');
+    assert.equal(next(endOfMonth, '2024-01-31'), '2024-02-29');
+    assert.equal(next(endOfMonth, '2024-02-29'), '2024-03-31');
+    assert.equal(next(rule('monthly', { monthlyMode: 'weekday' }, '2024-01-29'), '2024-01-29'), '2024-02-26');
+
+    assert.equal(next(rule('daily', { endDate: '2024-01-04' }), '2024-01-04'), null);
+    assert.equal(next(rule('daily', { count: 3 }), '2024-01-05', 3), null);
+    assert.equal(next(rule('daily', { count: 3 }), '2024-01-04', 2), '2024-01-05');
+});
+
+test('quick add understands repeat phrases and keeps ordinary words', () => {
+    const parsed = text => plain(taskManager.parseQuickTask(text));
+
+    const plants = parsed('Water plants every other day');
+    assert.equal(plants.title, 'Water plants');
+    assert.equal(plants.recurrence.frequency, 'daily');
+    assert.equal(plants.recurrence.interval, 2);
+    assert.equal(plants.dueDate, '2024-01-03');
+
+    const standup = parsed('Standup every weekday');
+    assert.equal(standup.title, 'Standup');
+    assert.deepEqual(standup.recurrence.weekdays, [1, 2, 3, 4, 5]);
+
+    const gym = parsed('Gym every mon and thu');
+    assert.deepEqual(gym.recurrence.weekdays, [1, 4]);
+    // Today is a Wednesday, so the first visit is Thursday.
+    assert.equal(gym.dueDate, '2024-01-04');
+
+    const report = parsed('Write weekly report');
+    assert.equal(report.title, 'Write weekly report');
+    assert.equal(report.recurrence, null);
+});
+
+test('completing a recurring task schedules the next one once, up to its count', async () => {
+    // Start from a saved task so the page fills in any fields the test does not care about.
+    await closeApp(window);
+    window = await loadApp({
+        now: NOW,
+        storage: {
+            'enhanced-tasks': JSON.stringify([{ id: 1, title: 'Stretch', dueDate: '2024-01-03', tags: [], recurrence: { frequency: 'daily', count: 2 } }])
+        }
+    });
+    ({ taskManager } = window);
+    const [first] = taskManager.tasks;
+
+    taskManager.toggleTaskComplete(first.id);
+    assert.equal(taskManager.tasks.length, 2);
+    const second = taskManager.tasks[1];
+    assert.equal(first.nextOccurrenceId, second.id);
+    assert.equal(second.dueDate, '2024-01-04');
+    assert.equal(second.completed, false);
+    assert.equal(second.recurrence.occurrence, 2);
+
+    // Reopening and completing again must not add a duplicate.
+    taskManager.toggleTaskComplete(first.id);
+    taskManager.toggleTaskComplete(first.id);
+    assert.equal(taskManager.tasks.length, 2);
+
+    taskManager.toggleTaskComplete(second.id);
+    assert.equal(taskManager.tasks.length, 2, 'the count of 2 is used up');
+});
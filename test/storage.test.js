@@ -0,0 +1,106 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+let window;
+
+afterEach(() => closeApp(window));
+
+const stored = () => JSON.parse(window.localStorage.getItem('enhanced-tasks'));
+const toasts = () => [...window.document.querySelectorAll('.toast')].map(toast => toast.textContent.replace(/\s+/g, ' ').trim());
+
+test('tasks saved before schema versions are migrated once', async () => {
+    window = await loadApp({
+        storage: {
+            'enhanced-tasks': JSON.stringify([{ id: '7', text: 'Old style', date: '2024-02-01', time: '08:15', tags: 'home, errands', priority: 'urgent' }])
+        }
+    });
+    const { taskManager } = window;
+    const [task] = taskManager.tasks;
+    assert.equal(task.id, 7);
+    assert.equal(task.title, 'Old style');
+    assert.equal(task.dueDate, '2024-02-01');
+    assert.equal(task.dueTime, '08:15');
+    assert.deepEqual([...task.tags], ['home', 'errands']);
+    assert.equal(task.priority, 'medium');
+    assert.equal('text' in task, false);
+
+    await taskManager.pendingWrite;
+    assert.equal(window.localStorage.getItem('enhanced-schema-version'), String(taskManager.getSchemaVersion()));
+    assert.equal(stored()[0].title, 'Old style');
+});
+
+test('undoing an entry from an older version migrates the restored task', async () => {
+    window = await loadApp({
+        storage: {
+            'enhanced-tasks': '[]',
+            'enhanced-history': JSON.stringify({
+                undo: [{ id: 1, label: 'Delete task', changes: [{ id: 5, before: { id: 5, text: 'Restored', tags: [] }, after: null, beforeIndex: 0 }] }],
+                redo: []
+            })
+        }
+    });
+    window.taskManager.undo();
+    const [task] = window.taskManager.tasks;
+    assert.equal(task.title, 'Restored');
+    assert.equal(task.status, 'backlog');
+});
+
+test('a failed task write keeps the changes and offers a retry', async () => {
+    window = await loadApp({ storage: { 'enhanced-tasks': JSON.stringify([{ id: 1, title: 'Keep me', tags: [] }]) } });
+    const { taskManager } = window;
+    taskManager.store.write = () => Promise.reject(Object.assign(new Error('full'), { name: 'QuotaExceededError' }));
+
+    taskManager.updateTask(1, { title: 'Edited' });
+    await taskManager.pendingWrite;
+    taskManager.updateTask(1, { title: 'Edited twice' });
+    await taskManager.pendingWrite;
+    assert.equal(toasts().filter(text => /Storage is full/.test(text)).length, 1, 'repeated failures share one toast');
+    assert.equal(taskManager.storageDirty, true);
+    assert.equal(stored()[0].title, 'Keep me');
+
+    delete taskManager.store.write;
+    const retry = [...window.document.querySelectorAll('.toast-action')].find(button => button.textContent === 'Retry');
+    retry.click();
+    await taskManager.pendingWrite;
+    assert.equal(stored()[0].title, 'Edited twice');
+    assert.equal(taskManager.storageDirty, false);
+});
+
+test('settings that cannot be saved are reported once', async () => {
+    window = await loadApp({ storage: { 'enhanced-tasks': '[]' } });
+    const { taskManager } = window;
+    const setItem = window.Storage.prototype.setItem;
+    window.Storage.prototype.setItem = () => {
+        throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    };
+    try {
+        taskManager.saveCategories();
+        taskManager.saveHistory();
+    } finally {
+        window.Storage.prototype.setItem = setItem;
+    }
+    assert.deepEqual(toasts().filter(text => /could not be saved/.test(text)), ['Storage is full, so your categories could not be saved. ×']);
+});
+
+test('a failed start falls back to local storage and says so', async () => {
+    window = await loadApp({
+        storage: { 'enhanced-tasks': JSON.stringify([{ id: 1, title: 'Still here', tags: [] }]) },
+        setup(page) {
+            page.document.addEventListener('DOMContentLoaded', () => {
+                const TaskManager = page.eval('TaskManager');
+                const loadTasks = TaskManager.prototype.loadTasks;
+                TaskManager.prototype.loadTasks = function () {
+                    TaskManager.prototype.loadTasks = loadTasks;
+                    return Promise.reject(new Error('broken'));
+                };
+                page.console.error = () => {};
+            });
+        }
+    });
+    const { taskManager, document } = window;
+    assert.match(toasts().join('\n'), /TaskFlow is using local storage for now/);
+    assert.equal(taskManager.store.db, null);
+    assert.equal(document.getElementById('task-input').disabled, false);
+    assert.deepEqual([...document.querySelectorAll('.task-title')].map(title => title.textContent), ['Still here']);
+});
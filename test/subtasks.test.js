@@ -0,0 +1,81 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+let window;
+let document;
+let taskManager;
+
+const savedTasks = [
+    {
+        id: 1,
+        title: 'Pack for trip',
+        tags: [],
+        subtasks: [
+            { id: 11, title: 'Passport', completed: true },
+            { id: 12, title: 'Charger', completed: false }
+        ]
+    },
+    { id: 2, title: 'Book hotel', tags: [], completed: true },
+    { id: 3, title: 'Plan route', tags: [] }
+];
+
+beforeEach(async () => {
+    window = await loadApp({ storage: { 'enhanced-tasks': JSON.stringify(savedTasks) } });
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+test('getSubtaskProgress counts finished steps', () => {
+    const [trip, hotel] = taskManager.tasks;
+    assert.deepEqual({ ...taskManager.getSubtaskProgress(trip) }, { done: 1, total: 2 });
+    assert.deepEqual({ ...taskManager.getSubtaskProgress(hotel) }, { done: 0, total: 0 });
+});
+
+test('productivity counts finished tasks only; steps have their own counter', () => {
+    assert.equal(document.getElementById('productivity-score').textContent, '33%');
+    assert.equal(document.getElementById('subtask-progress').textContent, '1/2');
+
+    taskManager.toggleSubtask(1, 12);
+    assert.equal(document.getElementById('subtask-progress').textContent, '2/2');
+    assert.equal(document.getElementById('productivity-score').textContent, '33%');
+});
+
+test('cards show step progress and the checklist', () => {
+    const card = document.querySelector('#tasks-list .task-card[data-task-id="1"]');
+    assert.equal(card.querySelector('.subtask-progress-label').textContent, '1/2');
+    assert.equal(card.querySelector('.subtask-progress-fill').style.width, '50%');
+    const items = [...card.querySelectorAll('.subtask-item')];
+    assert.deepEqual(items.map(item => item.textContent.trim()), ['Passport', 'Charger']);
+    assert.deepEqual(items.map(item => item.querySelector('input').checked), [true, false]);
+});
+
+test('finishing the last step offers to complete the task', () => {
+    taskManager.toggleSubtask(1, 12);
+    const [trip] = taskManager.tasks;
+    assert.equal(trip.completed, false, 'the parent is only completed on request');
+
+    const action = [...document.querySelectorAll('.toast .toast-action')].pop();
+    assert.equal(action.textContent, 'Complete task');
+    action.click();
+    assert.equal(trip.completed, true);
+});
+
+test('unchecking a step does not offer completion', () => {
+    taskManager.toggleSubtask(1, 11);
+    assert.equal(document.querySelector('.toast .toast-action'), null);
+    assert.deepEqual({ ...taskManager.getSubtaskProgress(taskManager.tasks[0]) }, { done: 0, total: 2 });
+});
+
+test('the next occurrence of a repeating task starts with fresh steps', () => {
+    const [trip] = taskManager.tasks;
+    trip.dueDate = '2024-01-03';
+    trip.recurrence = taskManager.normalizeRecurrence({ frequency: 'weekly' }, trip.dueDate);
+    taskManager.toggleTaskComplete(trip.id);
+
+    const next = taskManager.tasks.find(task => task.id === trip.nextOccurrenceId);
+    assert.deepEqual([...next.subtasks.map(subtask => subtask.title)], ['Passport', 'Charger']);
+    assert.ok(next.subtasks.every(subtask => !subtask.completed));
+    assert.ok(next.subtasks.every(subtask => !trip.subtasks.some(old => old.id === subtask.id)));
+});
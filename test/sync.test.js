@@ -0,0 +1,92 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+const NOW = Date.UTC(2024, 0, 10, 12);
+
+const savedTasks = [
+    { id: 1, title: 'Shared', priority: 'low', tags: [] },
+    { id: 2, title: 'Other', tags: [] }
+];
+
+let window;
+let document;
+let taskManager;
+
+beforeEach(async () => {
+    window = await loadApp({ now: NOW, storage: { 'enhanced-tasks': JSON.stringify(savedTasks) } });
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+// Delivers a message the way another tab on the same version would send it.
+const fromOtherTab = (put, remove = []) => taskManager.handleSyncMessage({ source: 'other-tab', put, remove, version: taskManager.getSchemaVersion() });
+const copy = task => JSON.parse(JSON.stringify(task));
+
+test('mergeTask keeps the newest value of each field', () => {
+    const local = { id: 1, title: 'Local title', priority: 'high', fieldTimes: { title: 300, priority: 100 } };
+    const incoming = { id: 1, title: 'Remote title', priority: 'low', fieldTimes: { title: 200, priority: 200 } };
+    const merged = taskManager.mergeTask(local, incoming);
+    assert.equal(merged.title, 'Local title');
+    assert.equal(merged.priority, 'low');
+    assert.equal(merged.fieldTimes.title, 300);
+    assert.equal(merged.fieldTimes.priority, 200);
+    assert.equal(local.fieldTimes.priority, 100, 'the local task is left untouched');
+});
+
+test('saving stamps only the fields that changed', async () => {
+    taskManager.updateTask(1, { title: 'Renamed' });
+    const { fieldTimes } = taskManager.tasks[0];
+    assert.equal(fieldTimes.title, NOW);
+    assert.equal(fieldTimes.priority, undefined);
+    await taskManager.pendingWrite;
+
+    const message = JSON.parse(window.localStorage.getItem('enhanced-sync'));
+    assert.equal(message.source, taskManager.tabId);
+    assert.deepEqual(message.put.map(task => task.title), ['Renamed']);
+});
+
+test('changes from another tab merge field by field', () => {
+    taskManager.updateTask(1, { priority: 'high' });
+    const remote = { ...copy(taskManager.tasks[0]), title: 'Renamed elsewhere', priority: 'medium', fieldTimes: { title: NOW + 1, priority: NOW - 1 } };
+    fromOtherTab([remote, { id: 3, title: 'New elsewhere', tags: [] }], [2]);
+
+    const titles = taskManager.tasks.map(task => `${task.title}:${task.priority}`).join(', ');
+    assert.equal(titles, 'Renamed elsewhere:high, New elsewhere:medium');
+    assert.deepEqual([...document.querySelectorAll('.task-title')].map(title => title.textContent).sort(), ['New elsewhere', 'Renamed elsewhere']);
+});
+
+test('received tasks are checked before they reach the list', () => {
+    fromOtherTab([{ id: '4', title: 'Hostile', priority: '"><img src=x>', dueTime: '<b>', tags: 'a, b', fieldTimes: { title: 'soon' } }]);
+    const task = taskManager.tasks.find(t => t.id === 4);
+    assert.equal(task.priority, 'medium');
+    assert.equal(task.dueTime, '');
+    assert.deepEqual({ ...task.fieldTimes }, {});
+    assert.equal(document.querySelector('img'), null);
+});
+
+test('tasks from a tab on an older version are migrated and stored again', async () => {
+    taskManager.handleSyncMessage({ source: 'old-tab', put: [{ id: 5, text: 'From an old tab', date: '2024-01-11' }], remove: [], version: 0 });
+    const task = taskManager.tasks.find(t => t.id === 5);
+    assert.equal(task.title, 'From an old tab');
+    assert.equal(task.dueDate, '2024-01-11');
+    await taskManager.pendingWrite;
+    assert.ok(JSON.parse(window.localStorage.getItem('enhanced-tasks')).some(t => t.id === 5 && t.title === 'From an old tab'));
+});
+
+test('the edit dialog hears about changes and deletions from other tabs', () => {
+    taskManager.openEditTask(1);
+    fromOtherTab([{ ...copy(taskManager.tasks[0]), title: 'Changed elsewhere', fieldTimes: { title: NOW + 1 } }]);
+    assert.match([...document.querySelectorAll('.toast')].pop().textContent, /changed in another tab/);
+    assert.equal(taskManager.currentEditingTask.title, 'Changed elsewhere');
+
+    fromOtherTab([], [1]);
+    assert.equal(taskManager.currentEditingTask, null);
+    assert.match([...document.querySelectorAll('.toast')].pop().textContent, /deleted in another tab/);
+});
+
+test('messages from this tab are ignored', () => {
+    taskManager.handleSyncMessage({ source: taskManager.tabId, put: [], remove: [1, 2] });
+    assert.equal(taskManager.tasks.length, 2);
+});
@@ -0,0 +1,122 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+// Wednesday 10 January 2024, midday.
+const NOW = Date.UTC(2024, 0, 10, 12);
+
+const savedTemplates = [{
+    id: 1,
+    name: 'Client onboarding',
+    trigger: 'onboard',
+    title: 'Onboard {input}',
+    description: 'Kick-off for {input}',
+    priority: 'high',
+    category: 'work',
+    tags: ['clients'],
+    subtasks: ['Send contract to {input}', 'Book kick-off'],
+    dueOffset: { days: 3, time: '10:00' },
+    estimate: 90,
+    uses: 0,
+    lastUsed: null
+}];
+
+let window;
+let document;
+let taskManager;
+
+beforeEach(async () => {
+    window = await loadApp({ now: NOW, storage: { 'enhanced-tasks': '[]', 'enhanced-templates': JSON.stringify(savedTemplates) } });
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+const quickAdd = text => {
+    document.getElementById('task-input').value = text;
+    taskManager.handleQuickAdd();
+};
+
+test('a trigger in quick add builds the task from the template', () => {
+    quickAdd('/onboard Acme #work #vip');
+    const [task] = taskManager.tasks;
+    assert.equal(task.title, 'Onboard Acme');
+    assert.equal(task.description, 'Kick-off for Acme');
+    assert.equal(task.priority, 'high');
+    assert.equal(task.dueDate, '2024-01-13');
+    assert.equal(task.dueTime, '10:00');
+    assert.equal(task.estimate, 90);
+    assert.deepEqual([...task.tags], ['clients', 'vip']);
+    assert.deepEqual([...task.subtasks].map(subtask => subtask.title), ['Send contract to Acme', 'Book kick-off']);
+    assert.equal(document.getElementById('task-input').value, '');
+    assert.equal(taskManager.templates[0].uses, 1);
+});
+
+test('quick add syntax after the trigger wins over the template', () => {
+    quickAdd('/onboard Globex tomorrow low priority');
+    const [task] = taskManager.tasks;
+    assert.equal(task.title, 'Onboard Globex');
+    assert.equal(task.priority, 'low');
+    assert.equal(task.dueDate, '2024-01-11');
+    assert.equal(taskManager.matchTemplateTrigger('/unknown thing'), null);
+});
+
+test('triggers stay unique', () => {
+    assert.equal(taskManager.suggestTrigger('Onboard new hire'), 'onboard2');
+    assert.equal(taskManager.suggestTrigger('!!!'), 'template');
+
+    taskManager.editTemplate(taskManager.createTemplate());
+    document.getElementById('template-name').value = 'Second';
+    document.getElementById('template-title').value = 'Something';
+    document.getElementById('template-trigger').value = '/Onboard';
+    assert.equal(taskManager.saveTemplateEditor(), false);
+    assert.match([...document.querySelectorAll('.toast')].pop().textContent, /\/onboard is already used by "Client onboarding"/);
+
+    document.getElementById('template-trigger').value = 'bad trigger';
+    assert.equal(taskManager.saveTemplateEditor(), false);
+    document.getElementById('template-trigger').value = '';
+    assert.equal(taskManager.saveTemplateEditor(), true);
+    assert.equal(taskManager.templates[1].trigger, 'second');
+    assert.equal(JSON.parse(window.localStorage.getItem('enhanced-templates')).length, 2);
+});
+
+test('popular templates become suggestion chips', () => {
+    const chip = document.querySelector('#smart-suggestions .template-chip');
+    assert.equal(chip.dataset.template, '1');
+    assert.match(chip.textContent, /Client onboarding/);
+    chip.click();
+    assert.equal(document.getElementById('task-input').value, '/onboard ');
+});
+
+test('imported templates are rebuilt from known fields', async () => {
+    await taskManager.handleImportFile({
+        name: 'backup.json',
+        text: async () => JSON.stringify({
+            tasks: [{ id: 5, title: 'Imported task' }],
+            templates: [
+                savedTemplates[0],
+                {
+                    id: '7" onmouseover="alert(1)',
+                    name: 'Weekly review',
+                    trigger: 'onboard',
+                    title: 'Weekly review',
+                    priority: 'urgent',
+                    tags: ['ok', 3],
+                    dueOffset: { days: '-2', time: '<b>' },
+                    onclick: 'alert(1)'
+                },
+                null
+            ]
+        })
+    });
+    taskManager.confirmImport();
+
+    assert.equal(taskManager.templates.length, 2, 'templates already present are skipped');
+    const imported = taskManager.templates[1];
+    assert.equal(imported.id, 7);
+    assert.equal(imported.trigger, 'onboard2', 'a clashing trigger gets a free one');
+    assert.equal(imported.priority, 'medium');
+    assert.deepEqual([...imported.tags], ['ok']);
+    assert.deepEqual({ ...imported.dueOffset }, { days: 0, time: '' });
+    assert.equal('onclick' in imported, false);
+});
@@ -0,0 +1,113 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, closeApp } = require('./load-app');
+
+// Wednesday 10 January 2024, midday.
+const NOW = Date.UTC(2024, 0, 10, 12);
+const MINUTE = 60000;
+
+const savedTasks = [
+    {
+        id: 1,
+        title: 'Write report',
+        category: 'work',
+        tags: [],
+        estimate: 60,
+        timeEntries: [
+            { id: 11, start: Date.UTC(2024, 0, 9, 23, 30), end: Date.UTC(2024, 0, 10, 0, 30) },
+            { id: 12, start: NOW - 30 * MINUTE, end: null }
+        ]
+    },
+    { id: 2, title: 'Read book', category: 'personal', tags: [] }
+];
+
+let window;
+let document;
+let taskManager;
+
+beforeEach(async () => {
+    window = await loadApp({ now: NOW, storage: { 'enhanced-tasks': JSON.stringify(savedTasks) } });
+    ({ document, taskManager } = window);
+});
+
+afterEach(() => closeApp(window));
+
+test('durations parse from minutes and hours', () => {
+    assert.equal(taskManager.parseDuration('45'), 45);
+    assert.equal(taskManager.parseDuration('45m'), 45);
+    assert.equal(taskManager.parseDuration('1h 30m'), 90);
+    assert.equal(taskManager.parseDuration('1.5 hours'), 90);
+    assert.equal(taskManager.parseDuration('0m'), null);
+    assert.equal(taskManager.parseDuration('soon'), null);
+    assert.equal(taskManager.formatMinutes(90), '1h 30m');
+    assert.equal(taskManager.formatMinutes(120), '2h');
+    assert.equal(taskManager.formatClock(3723000), '1:02:03');
+    assert.equal(taskManager.formatClock(65000), '1:05');
+});
+
+test('time spent includes the running timer and is split by day', () => {
+    const [task] = taskManager.tasks;
+    assert.equal(taskManager.getTimeSpent(task), 90 * MINUTE);
+    assert.equal(taskManager.getRunningTimer().task, task);
+
+    const totals = taskManager.getTimeTotals();
+    assert.equal(totals.total, 90 * MINUTE);
+    assert.equal(totals.byDay['2024-01-09'], 30 * MINUTE);
+    assert.equal(totals.byDay['2024-01-10'], 60 * MINUTE);
+    assert.equal(totals.byCategory.work, 90 * MINUTE);
+
+    const card = document.querySelector('.task-card[data-task-id="1"] .task-time');
+    assert.equal(card.classList.contains('running'), true);
+    assert.equal(card.classList.contains('over-estimate'), true);
+});
+
+test('only one timer runs at a time and undo restores the previous one', () => {
+    taskManager.toggleTimer(2);
+    const [first, second] = taskManager.tasks;
+    assert.equal(first.timeEntries[1].end, NOW);
+    assert.equal(second.timeEntries.length, 1);
+    assert.match([...document.querySelectorAll('.toast')].pop().textContent, /Timer started for "Read book" \(stopped "Write report"\)/);
+
+    taskManager.undo();
+    assert.equal(taskManager.tasks[0].timeEntries[1].end, null);
+    assert.equal(taskManager.tasks[1].timeEntries.length, 0);
+
+    taskManager.toggleTimer(1);
+    assert.equal(taskManager.getRunningTimer(), null);
+    assert.match([...document.querySelectorAll('.toast')].pop().textContent, /Logged 30m on "Write report"/);
+});
+
+test('completing a task stops its timer', () => {
+    taskManager.toggleTaskComplete(1);
+    assert.equal(taskManager.tasks[0].timeEntries[1].end, NOW);
+    assert.equal(taskManager.getRunningTimer(), null);
+});
+
+test('quick add reads an estimate', () => {
+    const parsed = taskManager.parseQuickTask('Review slides ~1h30m tomorrow');
+    assert.equal(parsed.estimate, 90);
+    assert.equal(parsed.title, 'Review slides');
+});
+
+test('the time log export lists finished entries', () => {
+    const [header, row, ...rest] = taskManager.timeLogToCsv(taskManager.tasks).split('\r\n');
+    assert.equal(header, 'taskId,title,category,start,end,minutes');
+    assert.equal(row, '1,Write report,Work,2024-01-09T23:30:00.000Z,2024-01-10T00:30:00.000Z,60');
+    assert.equal(rest.length, 0, 'the running entry is left out');
+});
+
+test('saved time data is checked on import', async () => {
+    await taskManager.handleImportFile({
+        name: 'tasks.json',
+        text: async () => JSON.stringify([{
+            id: 3,
+            title: 'Imported',
+            estimate: '<b>',
+            timeEntries: [{ id: 1, start: '<img src=x>', end: 5 }, { id: 2, start: 1000, end: 61000 }, null]
+        }])
+    });
+    const [{ task }] = taskManager.pendingImport.items;
+    assert.equal(task.estimate, null);
+    assert.equal(task.timeEntries.length, 1);
+    assert.equal(taskManager.getTimeSpent(task), MINUTE);
+});